@@ -1,617 +1,2428 @@
 import * as THREE from 'three';
+import { MAX_ZIP_ENTRIES, ZipWriter } from './src/zip.js';
+import { AuraEngine } from './src/aura-engine.js';
+import { MASK_MODES } from './src/alpha-mask.js';
+import { encodeImageWithMask, decodeEmbeddedMask } from './src/emission-mask.js';
+import { POST_CONTROLS } from './src/post-processing.js';
+import { PARTICLE_CONTROLS, PARTICLE_SPRITES } from './src/particles.js';
+import { RemoteControl } from './src/remote-control.js';
+import { UndoHistory } from './src/history.js';
+import { Gizmos } from './src/gizmos.js';
+import { VideoSource, ImageSequence } from './src/media-source.js';
+import { QUALITY_TIERS, AdaptiveQuality, FrameStats } from './src/quality.js';
+import { BACKGROUND_MODES, MAX_PADDING, unpremultiply } from './src/framing.js';
+import { ViewControls } from './src/view-controls.js';
+import {
+    LANGUAGES, getLanguage, setLanguage, onLanguageChanged, t, labelFor, translatePage, errorMessage
+} from './src/i18n/index.js';
+import { createPlaylist, createPlaylistItem, playlistToJSON, playlistFromJSON } from './src/playlist.js';
+import {
+    AUDIO_FEATURES, AudioReactor, createMapping, defaultAudioMappings, modulateParams
+} from './src/audio-reactive.js';
+import { BLEND_MODES, createLayer, moveLayer } from './src/layers.js';
+import {
+    createDefaultPreset, defaultParams, presetToJSON, presetFromJSON, presetSignature,
+    encodePresetHash, decodePresetHash, loadStoredPresets, saveStoredPresets
+} from './src/presets.js';
+import {
+    EASING_LABELS, evaluateTrack, setKeyframe, removeKeyframe, sanitizePhases
+} from './src/timeline.js';
+import {
+    MAX_STOPS, TARA_COLORS, defaultPalette, defaultPalettes, hexToRgb, sanitizePalette, paletteToCSS
+} from './src/palettes.js';
+import {
+    getAuraTypes, getAuraType, getParamDefs, onAuraTypesChanged
+} from './src/auras/index.js';
 
 // --- Global Variables ---
-let scene, camera, renderer, material, mesh;
-let textureLoader;
-let clock;
-let isPaused = false;
-let currentTime = 0;
-let currentType = 0; // 0:Basic, 1:Flame, 2:Ripple, 3:Fade, 4:Droplet
-
-// --- Parameter Defaults ---
-const params = {
-    auraSize: 0.20,
-    auraStrength: 1.5,
-    swimSpeed: 0.5,
-    breathSpeed: 0.3,
-    convergence: 0.5, 
-    coreBrightness: 1.0,
-    // Type specifics
-    flameHeight: 0.5,
-    flameTemp: 0.5,
-    dropSpeed: 1.0,
-    dropSize: 0.5,
-    dropDirX: 0.0,
-    dropDirY: 1.0
-};
-
-// --- Vertex Shader ---
-const vertexShader = `
-    varying vec2 vUv;
-    void main() {
-        vUv = uv;
-        gl_Position = projectionMatrix * modelViewMatrix * vec4(position, 1.0);
-    }
-`;
-
-// --- Fragment Shader (Seamless Periodic Noise) ---
-const fragmentShader = `
-    precision mediump float;
-    uniform sampler2D tDiffuse;
-    uniform float uTime;
-    uniform vec2 uResolution;
-    uniform int uType;
-    
-    // Sliders
-    uniform float uAuraSize;
-    uniform float uStrength;
-    uniform float uSwim;
-    uniform float uBreath;
-    uniform float uConv;
-    uniform float uCore;
-    
-    // Type specific
-    uniform float uFlameHeight;
-    uniform float uFlameTemp;
-    uniform float uDropSpeed;
-    uniform float uDropSize;
-    uniform vec2 uDropDir;
-
-    varying vec2 vUv;
-
-    // --- Noise Functions ---
-    float hash(vec2 p) {
-        return fract(sin(dot(p, vec2(12.123, 78.233))) * 43758.5453);
-    }
-
-    float noise(vec2 p) {
-        vec2 i = floor(p);
-        vec2 f = fract(p);
-        f = f*f*(3.0-2.0*f);
-        return mix(mix(hash(i + vec2(0.0,0.0)), hash(i + vec2(1.0,0.0)), f.x),
-                   mix(hash(i + vec2(0.0,1.0)), hash(i + vec2(1.0,1.0)), f.x), f.y);
-    }
-
-    float fbm(vec2 p) {
-        float v = 0.0;
-        float a = 0.5;
-        for (int i = 0; i < 5; i++) {
-            v += a * noise(p);
-            p *= 2.0;
-            a *= 0.5;
-        }
-        return v;
-    }
-
-    // [NEW] Periodic Noise (Seamless on X axis)
-    // This fixes the cut/seam line on the left side of the aura
-    float pnoise(vec2 p, float period) {
-        vec2 i = floor(p);
-        vec2 f = fract(p);
-        f = f*f*(3.0-2.0*f);
-        
-        // Wrap X index using Modulo
-        // This ensures value at X=period matches value at X=0
-        float x0 = mod(i.x, period);
-        float x1 = mod(i.x + 1.0, period);
-        
-        // Standard Y hash
-        float n00 = hash(vec2(x0, i.y));
-        float n10 = hash(vec2(x1, i.y));
-        float n01 = hash(vec2(x0, i.y + 1.0));
-        float n11 = hash(vec2(x1, i.y + 1.0));
-        
-        return mix(mix(n00, n10, f.x), mix(n01, n11, f.x), f.y);
-    }
-
-    // [NEW] Periodic FBM
-    float pfbm(vec2 p) {
-        float v = 0.0;
-        float a = 0.5;
-        float period = 8.0; // Must match the texture scaling factor (normAngle * 8.0)
-        for (int i = 0; i < 5; i++) {
-            v += a * pnoise(p, period);
-            p *= 2.0;
-            period *= 2.0; // Period scales with frequency
-            a *= 0.5;
-        }
-        return v;
-    }
-
-    // [NEW] Seamless Caustics Pattern
-    float seamlessCaustics(vec2 p, float t) {
-        vec2 q = p;
-        // Use periodic noise for warping too, to prevent seams in distortion
-        q.x += pfbm(p + t * 0.1);
-        q.y += pfbm(p - t * 0.1);
-        
-        float n = pfbm(q * 3.0);
-        float net = 1.0 - abs(n * 2.0 - 1.0);
-        net = pow(net, 3.0); 
-        return net;
-    }
-
-    vec3 rgb2hsv(vec3 c) {
-        vec4 K = vec4(0.0, -1.0 / 3.0, 2.0 / 3.0, -1.0);
-        vec4 p = mix(vec4(c.bg, K.wz), vec4(c.gb, K.xy), step(c.b, c.g));
-        vec4 q = mix(vec4(p.xyw, c.r), vec4(c.r, p.yzx), step(p.x, c.r));
-        float d = q.x - min(q.w, q.y);
-        float e = 1.0e-10;
-        return vec3(abs(q.z + (q.w - q.y) / (6.0 * d + e)), d / (q.x + e), q.x);
-    }
+// The visualizer (renderer, image, layers, timeline, render loop) is an
+// AuraEngine (see src/aura-engine.js); this file is its control panel.
+const engine = new AuraEngine(document.getElementById('canvas-container'));
+const brush = { active: false, erase: false, size: 0.05, softness: 0.5, painting: false };
+let exportJob = null; // Active export (see runExport), null when idle
+let gizmos;           // Center / direction handles over the canvas (see src/gizmos.js)
+let viewControls;     // Pan / zoom of the canvas (see src/view-controls.js)
+let editHistory;      // Undo / redo of every edit (see src/history.js)
+const snapshots = { a: null, b: null }; // A/B comparison slots (presets)
+const quality = { mode: 'auto', targetFps: 60, overlay: false }; // Saved per browser (see setupQualityUI)
+let playlist = createPlaylist(); // Presentation mode's images and looks (see src/playlist.js)
+// Presentation mode: the item shown, seconds it has been shown
+const presentation = { active: false, index: 0, elapsed: 0, paused: false, loading: false };
+
+// --- Aura Layers ---
+// Bottom first (see src/layers.js). Type buttons, sliders, keyframes and the
+// palette editor work on the selected layer; `params` is its parameter set.
+// These alias the engine's state, which it only ever mutates in place.
+const { layers, timeline, palettes, post, particles, frame, maskSettings } = engine;
+let selectedLayer = 0;
+let params = layers[0].params;
+
+// Audio input and its feature -> parameter mappings (see src/audio-reactive.js)
+const audio = new AudioReactor();
+const audioMappings = defaultAudioMappings();
+let audioValues = []; // Smoothed value per mapping, refreshed every frame
+
+// Commands and state sync with other windows and the relay (see src/remote-control.js)
+let remote;
+let remoteStatus = { state: 'closed', detail: '', url: null }; // Its last 'status' event
 
-    vec3 hsv2rgb(vec3 c) {
-        vec4 K = vec4(1.0, 2.0 / 3.0, 1.0 / 3.0, 3.0);
-        vec3 p = abs(fract(c.xxx + K.xyz) * 6.0 - K.www);
-        return c.z * mix(K.xxx, clamp(p - K.xxx, 0.0, 1.0), c.y);
-    }
-
-    void main() {
-        vec2 uv = vUv;
-        vec4 texColor = texture2D(tDiffuse, uv);
-        float alpha = texColor.a;
-
-        float growthPhase = smoothstep(0.0, 8.0, uTime); 
-        float lockPhase = smoothstep(60.0, 62.0, uTime); 
-        float activeTime = uTime * (1.0 - lockPhase * 0.95);
-        
-        float auraAlpha = 0.0;
-        vec3 auraColor = vec3(1.0, 0.8, 0.4); 
-
-        // Center coordinates
-        vec2 center = vec2(0.5);
-        vec2 toCenter = uv - center;
-        float radius = length(toCenter);
-        float angle = atan(toCenter.y, toCenter.x);
-        float normAngle = (angle / 6.28318) + 0.5;
-
-        // ==========================================
-        // TYPE 1: Thangka Flame
-        // ==========================================
-        if (uType == 1) {
-            float baseDist = uAuraSize * growthPhase * 2.5; 
-            float borderMask = 0.0;
-            
-            vec2 polarUV = vec2(normAngle * 6.0, radius);
-            vec2 q = polarUV;
-            q.x += fbm(polarUV * 3.0 + activeTime * 0.5) * 0.2;
-            q.y -= activeTime * uSwim; 
-            float shapeNoise = fbm(q * vec2(5.0, 1.0)); 
-            
-            const int SAMPLES = 16;
-            for(int i=0; i<SAMPLES; i++) {
-                float a = float(i) * 6.28318 / float(SAMPLES);
-                float reach = baseDist * (0.5 + 1.5 * shapeNoise); 
-                vec2 offset = vec2(cos(a), sin(a)) * reach * 0.5; 
-                borderMask = max(borderMask, texture2D(tDiffuse, uv + offset).a);
-            }
-            borderMask = smoothstep(0.1, 0.6, borderMask);
-
-            float detailNoise = fbm(q * vec2(10.0, 2.0)); 
-            float flameVis = borderMask * detailNoise;
-            flameVis = smoothstep(0.1, 0.9, flameVis); 
-            
-            auraAlpha = flameVis * uStrength;
-
-            vec3 c1 = vec3(0.5, 0.0, 0.0);
-            vec3 c2 = vec3(1.0, 0.3, 0.0);
-            vec3 c3 = vec3(1.0, 0.9, 0.1);
-            
-            vec3 fireCol = mix(c1, c2, smoothstep(0.0, 0.5, detailNoise));
-            fireCol = mix(fireCol, c3, smoothstep(0.5, 1.0, detailNoise));
-            
-            vec3 hsvF = rgb2hsv(fireCol);
-            hsvF.x += (uFlameTemp - 0.5) * 0.4;
-            auraColor = hsv2rgb(hsvF);
-        }
-
-        // ==========================================
-        // TYPE 4: Hollow Droplet + Seamless Liquid Border
-        // ==========================================
-        else if (uType == 4) {
-            // [LAYER 1] Water Caustics Background (Seamless)
-            vec2 warpUV = uv;
-            float wave = fbm(uv * 3.0 + activeTime * uSwim * 0.5); 
-            warpUV += (vec2(wave) - 0.5) * 0.05; 
-
-            float bgDist = uAuraSize * 2.5; 
-            float bgMask = 0.0;
-            const int SAMPLES = 12;
-            for(int i=0; i<SAMPLES; i++) {
-                float a = float(i) * 6.28318 / float(SAMPLES);
-                vec2 offset = vec2(cos(a), sin(a)) * bgDist;
-                bgMask = max(bgMask, texture2D(tDiffuse, warpUV + offset).a);
-            }
-            bgMask = smoothstep(0.2, 0.6, bgMask); 
-
-            // Use seamless logic here
-            vec2 waterUV = vec2(normAngle * 8.0, radius * 2.0 - activeTime * 0.2);
-            float netPattern = seamlessCaustics(waterUV, activeTime * 0.5);
-            
-            float bgAlpha = bgMask * netPattern * 0.4 * uStrength;
-
-            // [LAYER 2] Hollow, Slow, Wobbling Droplets
-            float dropsAlpha = 0.0;
-            const float NUM_DROPS = 15.0; 
-            
-            for(float i = 0.0; i < NUM_DROPS; i++) {
-                float seed = i * 17.54;
-                float speedVar = 0.5 + hash(vec2(seed, 1.0)) * 0.5;
-                float t = activeTime * uDropSpeed * 0.08 * speedVar + seed; 
-                
-                float cycle = fract(t); 
-                float cycleIdx = floor(t);
-                
-                float rndAngle = hash(vec2(seed, cycleIdx)) * 6.28318;
-                float travelDist = cycle * 2.0; 
-                vec2 dropPos = center + vec2(cos(rndAngle), sin(rndAngle)) * travelDist;
-                
-                // Dynamic Shape Distortion
-                vec2 p = uv - dropPos; 
-                float wavePhase = activeTime * uSwim * 2.0 + cycleIdx * 1.1;
-                float squashFactor = 1.0 + 0.25 * sin(wavePhase);
-                p.x *= sqrt(squashFactor);
-                p.y /= sqrt(squashFactor);
-                float sizeBreath = 1.0 + 0.15 * cos(wavePhase * 0.7);
-                float d = length(p) / sizeBreath;
-
-                // Thinner Ring Thickness
-                float rndScale = 0.3 + 0.7 * hash(vec2(seed, 9.9));
-                float outerRadius = uDropSize * 0.15 * rndScale * (1.0 - cycle * 0.6);
-                float ringThickness = outerRadius * 0.05; 
-                float innerRadius = outerRadius - ringThickness;
-
-                float edge = 0.005; 
-                float outerCircle = smoothstep(outerRadius, outerRadius - edge, d);
-                float innerHole = smoothstep(innerRadius - edge, innerRadius, d);
-                float ring = outerCircle * innerHole;
-
-                ring *= smoothstep(1.0, 0.85, cycle);
-                
-                dropsAlpha = max(dropsAlpha, ring);
-            }
-
-            auraAlpha = max(bgAlpha, dropsAlpha * uStrength);
-            
-            vec3 waterBlue = vec3(0.0, 0.6, 1.0); 
-            vec3 brightCyan = vec3(0.2, 1.0, 1.0); 
-            auraColor = mix(waterBlue, brightCyan, smoothstep(0.0, 0.5, dropsAlpha));
-        }
+// --- Initialization ---
+function init() {
+    engine.paramModifier = (layerParams) => (audio.active
+        ? modulateParams(layerParams, audioMappings, audioValues, getParamDefs())
+        : layerParams);
+    engine.addEventListener('tick', (e) => updateAudio(e.detail.delta));
+    engine.addEventListener('timeupdate', onTimeUpdate);
+    engine.addEventListener('load', refreshMaskStatus);
+
+    applyPresetFromHash();
+    setupRemote();
+    engine.addEventListener('tick', () => remote.update());
+    engine.loadImage('tara.png').then(() => {
+        // The startup image is where undo stops
+        if (editHistory) editHistory.clear();
+    }).catch((err) => {
+        console.warn('tara.png was not found. Please upload an image.', err);
+    });
 
-        // ==========================================
-        // TYPE 2: Ripple
-        // ==========================================
-        else if (uType == 2) { 
-            float maxDist = uAuraSize * 2.0; 
-            float borderMask = 0.0;
-            for(int i=0; i<8; i++) {
-                float a = float(i) * 6.28318 / 8.0;
-                vec2 offset = vec2(cos(a), sin(a)) * maxDist * 0.8;
-                borderMask = max(borderMask, texture2D(tDiffuse, uv + offset).a);
-            }
-            borderMask = smoothstep(0.1, 0.5, borderMask);
-
-            float radialMove = radius * (10.0 / uDropSize) - activeTime * uDropSpeed * 3.0;
-            vec2 noiseUV = vec2(normAngle * 10.0, radialMove * 0.5);
-            float fineDetail = fbm(noiseUV);
-            float cellLocal = fract(radialMove);
-            float dropShape = smoothstep(0.4, 0.5, cellLocal) * smoothstep(0.6, 0.5, cellLocal);
-            float mist = borderMask * dropShape * fineDetail * 2.5;
-            
-            float dirMask = 1.0;
-            if (length(uDropDir) > 0.1) {
-                float dotDir = dot(normalize(toCenter), normalize(uDropDir));
-                dirMask = smoothstep(0.0, 0.5, dotDir);
-            }
+    window.addEventListener('hashchange', applyPresetFromHash);
+    setupUI();
+    setupAlerts();
+    setupHistory();
 
-            auraAlpha = mist * dirMask * uStrength;
-            auraColor = vec3(0.4, 0.8, 1.0);
-        }
+    engine.start();
+}
 
-        // ==========================================
-        // TYPE 0 & 3: Basic & Fade
-        // ==========================================
-        else {
-            float maxDist = uAuraSize * growthPhase;
-            const int SAMPLES = 12;
-            float noiseVal = fbm(uv * 3.0 + activeTime * uSwim) * 0.1;
-            float accumulatedAlpha = 0.0;
-            for(int i=0; i<SAMPLES; i++) {
-                float a = float(i) * 6.28318 / float(SAMPLES);
-                vec2 offset = vec2(cos(a), sin(a)) * maxDist;
-                offset *= 1.0 + sin(activeTime * 2.0 * uBreath) * 0.15;
-                offset += vec2(noiseVal * 0.1);
-                accumulatedAlpha += texture2D(tDiffuse, uv + offset).a;
-            }
-            auraAlpha = accumulatedAlpha / float(SAMPLES);
-            
-            if (uType == 3) {
-                float fadeNoise = fbm(uv * 10.0 + vec2(0.0, -activeTime * 0.5));
-                float cycle = (sin(activeTime) + 1.0) * 0.5; 
-                float smokeMask = smoothstep(0.2 + cycle * 0.5, 0.8, auraAlpha + fadeNoise * 0.3);
-                auraAlpha *= smokeMask;
-            }
-        }
+// --- Alerts ---
+// Problems that concern the whole app (a lost graphics context, an image
+// that did not load) in a banner at the top of the panel; group-specific
+// ones go to that group's status line.
+let alertTimer = null;
 
-        // ==========================================
-        // Final Composition
-        // ==========================================
-        
-        if (uType != 4) {
-            vec3 hsv = rgb2hsv(auraColor);
-            float targetHue = 0.33; 
-            hsv.x = mix(hsv.x, targetHue, uConv * growthPhase * 0.8);
-            auraColor = hsv2rgb(hsv);
+function setupAlerts() {
+    document.getElementById('btn-alert-close').addEventListener('click', hideAlert);
+    engine.addEventListener('error', (e) => {
+        showAlert(t('alert.loadFailed', { message: errorMessage(e.detail.error) }));
+    });
+    engine.addEventListener('load', (e) => {
+        const { width, height, scale } = e.detail;
+        if (scale < 1) {
+            const size = `${Math.round(width * scale)}×${Math.round(height * scale)}`;
+            showAlert(t('alert.downscaled', { size }), 'info');
         }
+    });
+    engine.addEventListener('contextlost', () => {
+        showAlert(t('alert.contextLost'));
+    });
+    engine.addEventListener('contextrestored', () => {
+        showAlert(t('alert.contextRestored'), 'info');
+    });
+}
 
-        float brightness = uCore + (lockPhase * 0.5);
-        vec3 bodyColor = texColor.rgb * brightness;
-
-        vec3 finalAura = auraColor * auraAlpha;
-        vec3 finalColor = finalAura;
-        
-        // Halo Blending (Body on top)
-        finalColor = mix(finalColor, bodyColor, alpha);
+// `level`: 'error' stays until closed, 'info' hides after a few seconds
+function showAlert(text, level = 'error') {
+    const alert = document.getElementById('app-alert');
+    document.getElementById('app-alert-text').innerText = text;
+    alert.className = `app-alert ${level}`;
+    alert.hidden = false;
+    clearTimeout(alertTimer);
+    if (level === 'info') alertTimer = setTimeout(hideAlert, 5000);
+}
 
-        float finalAlpha = max(auraAlpha, alpha);
+function hideAlert() {
+    clearTimeout(alertTimer);
+    document.getElementById('app-alert').hidden = true;
+}
 
-        gl_FragColor = vec4(finalColor, finalAlpha);
-    }
-`;
+// --- Language ---
+// The panel's text comes from the string tables (see src/i18n/); switching
+// the language relabels the static text and rebuilds the generated controls.
+function setupLanguageUI() {
+    const select = document.getElementById('language-select');
+    Object.entries(LANGUAGES).forEach(([code, { name }]) => select.add(new Option(name, code)));
+    select.value = getLanguage();
+    select.addEventListener('change', () => setLanguage(select.value));
+    onLanguageChanged(onLanguageChange);
+    translatePage();
+}
 
-// --- Initialization ---
-function init() {
-    const container = document.getElementById('canvas-container');
+function onLanguageChange(code) {
+    document.getElementById('language-select').value = code;
+    translatePage();
+    refreshOptionLabels();
+    createTypeButtons();
+    setType(activeLayer().type); // Sliders, palette, tracks, keyframes and layers
+    createPostControls();
+    createParticleControls();
+    refreshMappingList();
+    refreshPlaylist();
+    refreshMaskStatus();
+    refreshQualityStatus();
+    refreshRemoteStatus();
+}
 
-    scene = new THREE.Scene();
+// Options of the panel's fixed selects, in the current language
+function refreshOptionLabels() {
+    const labelled = (group, labels) => Object.entries(labels).map(([key, label]) => [key, labelFor(group, key, label)]);
+    setOptions('mask-mode', labelled('maskMode', MASK_MODES));
+    setOptions('layer-blend', labelled('blend', BLEND_MODES));
+    setOptions('conv-target-select', [
+        ...Object.entries(TARA_COLORS).map(([key, form]) => [key, labelFor('tara', key, form.label)]),
+        ['custom', t('palette.custom')]
+    ]);
+    setOptions('frame-background', labelled('background', BACKGROUND_MODES));
+    setOptions('quality-mode', [
+        ['auto', t('quality.auto')],
+        ...QUALITY_TIERS.map((tier) => [tier.key, qualityTierLabel(tier)])
+    ]);
+    setOptions('particles-sprite', labelled('sprite', PARTICLE_SPRITES));
+}
 
-    const aspect = window.innerWidth / window.innerHeight;
-    const frustumSize = 1;
-    camera = new THREE.OrthographicCamera(
-        frustumSize * aspect / -2, frustumSize * aspect / 2,
-        frustumSize / 2, frustumSize / -2,
-        0.1, 1000
-    );
-    camera.position.z = 1;
+// Replace a select's options ([value, text] pairs), keeping its value
+function setOptions(id, options) {
+    const select = document.getElementById(id);
+    const { value } = select;
+    select.innerHTML = '';
+    options.forEach(([key, text]) => select.add(new Option(text, key)));
+    if (value) select.value = value;
+}
 
-    renderer = new THREE.WebGLRenderer({ antialias: true, alpha: false });
-    renderer.setSize(window.innerWidth, window.innerHeight);
-    renderer.setPixelRatio(window.devicePixelRatio);
-    container.appendChild(renderer.domElement);
+// --- Keyboard Access ---
+// Every control is reachable with Tab. Sliders step by a share of their
+// range rather than by their (fine) step, file pickers open with Enter or
+// Space, and the number keys pick aura types. Lists rebuilt after an edit
+// keep the focus where it was (see rememberFocus).
+const TYPE_SHORTCUTS = 9; // Keys 1-9: the first nine aura types
+
+// Arrows: 1% of the range; with Shift, and Page Up / Down: 10%; with Alt:
+// one step. Home / End work as usual.
+const SLIDER_KEYS = { ArrowRight: 1, ArrowUp: 1, PageUp: 1, ArrowLeft: -1, ArrowDown: -1, PageDown: -1 };
+
+function setupKeyboardUI() {
+    document.getElementById('ui-panel').addEventListener('keydown', onSliderKey);
+
+    // Labels around hidden file inputs
+    document.querySelectorAll('.file-upload').forEach((label) => {
+        label.tabIndex = 0;
+        label.setAttribute('role', 'button');
+        label.addEventListener('keydown', (e) => {
+            if (e.key !== 'Enter' && e.key !== ' ') return;
+            e.preventDefault();
+            label.querySelector('input[type="file"]').click();
+        });
+    });
 
-    clock = new THREE.Clock();
-    textureLoader = new THREE.TextureLoader();
+    window.addEventListener('keydown', onTypeShortcut);
+}
 
-    loadTexture('tara.png');
+function onSliderKey(e) {
+    const input = e.target;
+    const direction = SLIDER_KEYS[e.key];
+    if (!direction || !input.matches('input[type="range"]') || e.ctrlKey || e.metaKey) return;
+    e.preventDefault();
+    const min = parseFloat(input.min);
+    const max = parseFloat(input.max);
+    const step = parseFloat(input.step) || 1;
+    const share = e.shiftKey || e.key.startsWith('Page') ? 0.1 : 0.01;
+    const amount = e.altKey ? step : Math.max(step, Math.round((max - min) * share / step) * step);
+    const before = parseFloat(input.value);
+    input.value = Math.min(max, Math.max(min, before + direction * amount));
+    if (parseFloat(input.value) === before) return;
+    // As a pointer drag would: live updates, then the committed value
+    input.dispatchEvent(new Event('input', { bubbles: true }));
+    input.dispatchEvent(new Event('change', { bubbles: true }));
+}
 
-    window.addEventListener('resize', onWindowResize);
-    setupUI();
-    
-    animate();
-}
-
-function loadTexture(url) {
-    textureLoader.load(url, (texture) => {
-        texture.minFilter = THREE.LinearFilter;
-        texture.magFilter = THREE.LinearFilter;
-
-        if (mesh) scene.remove(mesh);
-
-        const imgAspect = texture.image.width / texture.image.height;
-        const geometry = new THREE.PlaneGeometry(1 * imgAspect, 1);
-
-        material = new THREE.ShaderMaterial({
-            uniforms: {
-                tDiffuse: { value: texture },
-                uTime: { value: 0.0 },
-                uResolution: { value: new THREE.Vector2(window.innerWidth, window.innerHeight) },
-                uType: { value: currentType },
-                
-                uAuraSize: { value: params.auraSize },
-                uStrength: { value: params.auraStrength },
-                uSwim: { value: params.swimSpeed },
-                uBreath: { value: params.breathSpeed },
-                uConv: { value: params.convergence },
-                uCore: { value: params.coreBrightness },
-                
-                uFlameHeight: { value: params.flameHeight },
-                uFlameTemp: { value: params.flameTemp },
-                uDropSpeed: { value: params.dropSpeed },
-                uDropSize: { value: params.dropSize },
-                uDropDir: { value: new THREE.Vector2(params.dropDirX, params.dropDirY) }
-            },
-            vertexShader: vertexShader,
-            fragmentShader: fragmentShader,
-            transparent: true
-        });
-
-        mesh = new THREE.Mesh(geometry, material);
-        scene.add(mesh);
-        
-        const aspect = window.innerWidth / window.innerHeight;
-        if (aspect > imgAspect) {
-             camera.zoom = 1.0; 
-        } else {
-             camera.zoom = aspect / imgAspect;
-        }
-        camera.updateProjectionMatrix();
+function onTypeShortcut(e) {
+    if (presentation.active || e.ctrlKey || e.metaKey || e.altKey) return;
+    // Not while typing or choosing in a field
+    if (e.target.matches('input:not([type="range"]):not([type="checkbox"]), select, textarea')) return;
+    const index = '123456789'.indexOf(e.key);
+    const type = getAuraTypes()[index];
+    if (index < 0 || index >= TYPE_SHORTCUTS || !type) return;
+    e.preventDefault();
+    setType(type.key);
+}
 
-    }, undefined, (err) => {
-        console.warn('tara.png를 찾을 수 없습니다. 이미지를 업로드해주세요.', err);
-    });
+// Call before rebuilding the rows of `list`; the returned function puts the
+// focus back on the control at the same place, if it had it
+function rememberFocus(list) {
+    const focused = document.activeElement;
+    const row = [...list.children].findIndex((child) => child.contains(focused));
+    if (row < 0) return () => {};
+    const control = [...list.children[row].querySelectorAll('*')].indexOf(focused);
+    return () => {
+        const target = list.children[Math.min(row, list.children.length - 1)];
+        const el = target && target.querySelectorAll('*')[control];
+        if (el) el.focus();
+    };
 }
 
 // --- UI Setup ---
 function setupUI() {
+    setupLanguageUI();
+    refreshOptionLabels();
     const fileInput = document.getElementById('file-input');
     fileInput.addEventListener('change', handleFileSelect);
+    document.getElementById('sequence-input').addEventListener('change', (e) => {
+        loadSequence([...e.target.files].filter(isImageFile));
+        e.target.value = '';
+    });
 
     const dropZone = document.body;
     dropZone.addEventListener('dragover', (e) => e.preventDefault());
     dropZone.addEventListener('drop', (e) => {
         e.preventDefault();
-        if (e.dataTransfer.files.length) {
-            handleFile(e.dataTransfer.files[0]);
-        }
+        droppedFiles(e.dataTransfer).then(handleFiles).catch((err) => {
+            console.warn('Could not read the dropped files.', err);
+            setSourceStatus(t('source.dropError', { message: errorMessage(err) }));
+        });
     });
 
     document.getElementById('btn-restart').addEventListener('click', () => {
-        currentTime = 0;
-        isPaused = false;
+        engine.currentTime = 0;
+        engine.play();
+        remote.send({ cmd: 'restart' });
     });
     document.getElementById('btn-pause').addEventListener('click', () => {
-        isPaused = !isPaused;
+        if (engine.paused) engine.play(); else engine.pause();
     });
     document.getElementById('btn-reset').addEventListener('click', (e) => {
-        if (e.shiftKey) currentTime = 0;
+        if (e.shiftKey) engine.currentTime = 0;
         resetParams();
     });
 
-    const typeBtns = document.querySelectorAll('.type-btn');
-    typeBtns.forEach(btn => {
-        btn.addEventListener('click', (e) => {
-            typeBtns.forEach(b => b.classList.remove('active'));
-            e.target.classList.add('active');
-            currentType = parseInt(e.target.dataset.type);
-            updateSliders(); 
-            if(material) material.uniforms.uType.value = currentType;
-        });
+    createTypeButtons();
+    setupLayerUI();
+    onAuraTypesChanged(onAuraTypesRegistered);
+
+    setupMaskUI();
+    setupBrushUI();
+    setupGizmoUI();
+    setupPaletteUI();
+    createPostControls();
+    setupFramingUI();
+    setupQualityUI();
+    setupParticleUI();
+    setupAudioUI();
+    setupTimelineUI();
+    setupPresetUI();
+    setupExportUI();
+    setupRemoteUI();
+    setupCompareUI();
+    setupPresentationUI();
+    setupKeyboardUI();
+}
+
+// One button per registered aura type; the first nine have number keys
+// (see setupKeyboardUI)
+function createTypeButtons() {
+    const container = document.getElementById('type-buttons');
+    container.innerHTML = '';
+    getAuraTypes().forEach((type, index) => {
+        const btn = document.createElement('button');
+        btn.className = 'type-btn';
+        btn.dataset.type = type.key;
+        btn.textContent = labelFor('type', type.key, type.name);
+        if (index < TYPE_SHORTCUTS) {
+            btn.title = t('types.shortcut', { key: index + 1 });
+            btn.setAttribute('aria-keyshortcuts', String(index + 1));
+        }
+        btn.addEventListener('click', () => setType(type.key));
+        container.appendChild(btn);
     });
+}
 
+// Set the selected layer's type and rebuild the panels that depend on it
+function setType(type) {
+    const key = engine.setType(type, selectedLayer);
+    document.querySelectorAll('.type-btn').forEach(b => {
+        b.classList.toggle('active', b.dataset.type === key);
+        b.setAttribute('aria-pressed', String(b.dataset.type === key));
+    });
     updateSliders();
+    refreshPaletteEditor();
+    refreshTrackSelect();
+    refreshLayerList();
+}
+
+// A type module registered after startup. The engine has already added its
+// defaults and rebuilt the shader; rebuild the panels.
+function onAuraTypesRegistered() {
+    createTypeButtons();
+    setType(activeLayer().type);
 }
 
 function handleFileSelect(e) {
-    if (e.target.files.length) handleFile(e.target.files[0]);
+    handleFiles([...e.target.files]);
+    e.target.value = '';
+}
+
+// A video, several images (a sequence) or one image
+function handleFiles(files) {
+    const video = files.find((file) => file.type.startsWith('video/'));
+    const images = files.filter(isImageFile);
+    if (video) loadVideo(video);
+    else if (images.length > 1) loadSequence(images);
+    else if (images.length) handleFile(images[0]);
+    else if (files.length) setSourceStatus(t('source.unsupported'));
+}
+
+function isImageFile(file) {
+    return file.type === 'image/png' || file.type === 'image/jpeg';
 }
 
-function handleFile(file) {
+async function handleFile(file) {
+    setSourceStatus('');
+    // PNGs saved with "Save image + mask" carry their emission mask
+    let emission = null;
+    if (file.type === 'image/png') {
+        emission = await decodeEmbeddedMask(file).catch((err) => {
+            console.warn('Could not read the embedded emission mask.', err);
+            setSourceStatus(t('source.emissionUnreadable'));
+            return null;
+        });
+    }
+
     const reader = new FileReader();
     reader.onload = (e) => {
-        loadTexture(e.target.result);
-        currentTime = 0; 
+        // Failures also raise the engine's error event (see setupAlerts)
+        engine.loadImage(e.target.result, emission).catch((err) => {
+            console.warn('Could not load the image.', err);
+            setSourceStatus(t('source.imageError', { message: errorMessage(err) }));
+        });
+        engine.currentTime = 0;
     };
+    reader.onerror = () => setSourceStatus(t('source.fileUnreadable', { name: file.name }));
     reader.readAsDataURL(file);
 }
 
+// --- Video / Image Sequences ---
+// Animated sources loop over their clip while the timeline plays; each
+// frame is masked with the alpha mask settings (see src/media-source.js)
+async function loadVideo(file) {
+    setSourceStatus(t('source.loadingVideo'));
+    try {
+        const video = await VideoSource.load(URL.createObjectURL(file));
+        engine.currentTime = 0;
+        engine.setMedia(video);
+        setSourceStatus(t('source.video', { clip: describeClip(video) }));
+    } catch (err) {
+        console.warn('Could not load the video.', err);
+        setSourceStatus(t('source.videoError', { message: errorMessage(err) }));
+    }
+}
+
+async function loadSequence(files) {
+    if (!files.length) {
+        setSourceStatus(t('source.noImages'));
+        return;
+    }
+    const fps = parseInt(document.getElementById('sequence-fps').value, 10);
+    setSourceStatus(t('source.loadingSequence'));
+    try {
+        const sequence = await ImageSequence.load(files, fps);
+        engine.currentTime = 0;
+        engine.setMedia(sequence);
+        setSourceStatus(t('source.sequence', { count: files.length, clip: describeClip(sequence) }));
+    } catch (err) {
+        console.warn('Could not load the sequence.', err);
+        setSourceStatus(t('source.sequenceError', { message: errorMessage(err) }));
+    }
+}
+
+function describeClip({ width, height, duration }) {
+    return t('source.clip', { width, height, duration: duration.toFixed(1) });
+}
+
+// Files of a drop; dropped folders are read (one level deep) for a sequence
+async function droppedFiles(dataTransfer) {
+    // Entries must be taken before the first await, while the drop is live
+    const entries = [...dataTransfer.items]
+        .map((item) => (item.webkitGetAsEntry ? item.webkitGetAsEntry() : null))
+        .filter(Boolean);
+    if (!entries.some((entry) => entry.isDirectory)) return [...dataTransfer.files];
+
+    const files = [];
+    for (const entry of entries) {
+        const children = entry.isDirectory ? await readDirectory(entry) : [entry];
+        for (const child of children) {
+            if (child.isFile) files.push(await new Promise((resolve, reject) => child.file(resolve, reject)));
+        }
+    }
+    return files;
+}
+
+// readEntries() returns a batch at a time, empty when done
+async function readDirectory(entry) {
+    const reader = entry.createReader();
+    const all = [];
+    for (;;) {
+        const batch = await new Promise((resolve, reject) => reader.readEntries(resolve, reject));
+        if (!batch.length) return all;
+        all.push(...batch);
+    }
+}
+
+function setSourceStatus(text) {
+    const status = document.getElementById('source-status');
+    if (status) status.innerText = text;
+}
+
 function updateSliders() {
     const container = document.getElementById('slider-container');
     container.innerHTML = '';
 
-    createSlider(container, '아우라 크기 (Size)', 'auraSize', 0, 0.5);
-    createSlider(container, '강도 (Strength)', 'auraStrength', 0, 2.0);
-    createSlider(container, '유영 (Swim)', 'swimSpeed', 0, 2.0);
-    createSlider(container, '호흡 (Breath)', 'breathSpeed', 0, 2.0);
-    createSlider(container, '색상 수렴 (Conv)', 'convergence', 0, 1.0);
-    createSlider(container, '코어 밝기 (Core)', 'coreBrightness', 0.5, 2.0);
-
-    if (currentType === 1) { // Flame
-        createSlider(container, '불꽃 높이 (Height)', 'flameHeight', 0.1, 1.0);
-        createSlider(container, '온도 (Temp)', 'flameTemp', 0, 1.0);
-    } else if (currentType === 2 || currentType === 4) { // Ripple or Droplet
-        createSlider(container, '속도 (Speed)', 'dropSpeed', 0.1, 5.0);
-        createSlider(container, '크기 (Size)', 'dropSize', 0.1, 2.0);
-    }
+    const defs = getParamDefs();
+    const type = getAuraType(activeLayer().type);
+    // Core sliders, then the active type's; params without a label have no slider
+    [...Object.keys(defs).filter((key) => !isTypeParam(key)), ...Object.keys(type.params)]
+        .filter((key) => defs[key].label)
+        .forEach((key) => createSlider(container, key));
+}
+
+function isTypeParam(key) {
+    return getAuraTypes().some((t) => key in t.params);
+}
+
+function createSlider(parent, paramKey) {
+    const { label, min, max } = getParamDefs()[paramKey];
+    const { wrapper, input, display } = createRangeRow(`slider-${paramKey}`, labelFor('param', paramKey, label),
+        { min, max, step: 0.01 });
+    wrapper.classList.toggle('animated', Boolean(activeLayer().tracks[paramKey]));
+    input.value = params[paramKey];
+    display.innerText = params[paramKey].toFixed(2);
+
+    input.addEventListener('input', (e) => {
+        const val = parseFloat(e.target.value);
+        params[paramKey] = val;
+        display.innerText = val.toFixed(2);
+
+        // Animated parameters are edited by keying the current time
+        if (activeLayer().tracks[paramKey]) {
+            setKeyframe(activeLayer(), paramKey, engine.currentTime, val);
+            refreshKeyframeList();
+        }
+    });
+    parent.appendChild(wrapper);
 }
 
-function createSlider(parent, label, paramKey, min, max) {
+// A labelled range input in a .slider-wrapper, its value shown in `display`
+// (#val-<id>) beside the label
+function createRangeRow(id, label, { min, max, step }) {
     const wrapper = document.createElement('div');
     wrapper.className = 'slider-wrapper';
-    
-    const labelDiv = document.createElement('div');
-    labelDiv.className = 'slider-label';
-    labelDiv.innerHTML = `<span>${label}</span><span id="val-${paramKey}">${params[paramKey].toFixed(2)}</span>`;
-    
+
+    const labelRow = document.createElement('div');
+    labelRow.className = 'slider-label';
+    const name = document.createElement('label');
+    name.htmlFor = id;
+    name.textContent = label;
+    const display = document.createElement('span');
+    display.id = `val-${id}`;
+    labelRow.append(name, display);
+
     const input = document.createElement('input');
     input.type = 'range';
+    input.id = id;
     input.min = min;
     input.max = max;
-    input.step = 0.01;
-    input.value = params[paramKey];
-    
-    input.addEventListener('input', (e) => {
-        const val = parseFloat(e.target.value);
-        params[paramKey] = val;
-        document.getElementById(`val-${paramKey}`).innerText = val.toFixed(2);
-        
-        if (material) {
-            switch(paramKey) {
-                case 'auraSize': material.uniforms.uAuraSize.value = val; break;
-                case 'auraStrength': material.uniforms.uStrength.value = val; break;
-                case 'swimSpeed': material.uniforms.uSwim.value = val; break;
-                case 'breathSpeed': material.uniforms.uBreath.value = val; break;
-                case 'convergence': material.uniforms.uConv.value = val; break;
-                case 'coreBrightness': material.uniforms.uCore.value = val; break;
-                case 'flameHeight': material.uniforms.uFlameHeight.value = val; break;
-                case 'flameTemp': material.uniforms.uFlameTemp.value = val; break;
-                case 'dropSpeed': material.uniforms.uDropSpeed.value = val; break;
-                case 'dropSize': material.uniforms.uDropSize.value = val; break;
+    input.step = step;
+
+    wrapper.append(labelRow, input);
+    return { wrapper, input, display };
+}
+
+// Reflect externally changed values (timeline playback) in the visible sliders
+function refreshSliderValues(keys) {
+    keys.forEach((key) => {
+        const input = document.getElementById(`slider-${key}`);
+        if (!input || document.activeElement === input) return;
+        input.value = params[key];
+        document.getElementById(`val-slider-${key}`).innerText = params[key].toFixed(2);
+    });
+}
+
+// Default params for every layer; the layer stack itself is kept
+function resetParams() {
+    layers.forEach((layer) => Object.assign(layer.params, defaultParams()));
+    Object.assign(palettes, defaultPalettes());
+    engine.convergenceTarget = createDefaultPreset().convergenceTarget;
+    applyPostSettings(createDefaultPreset().post);
+    applyParticleSettings(createDefaultPreset().particles);
+    applyFrameSettings(createDefaultPreset().frame);
+    updateSliders();
+    refreshPaletteEditor();
+}
+
+// --- Layers ---
+function activeLayer() {
+    return layers[selectedLayer];
+}
+
+function selectLayer(index) {
+    selectedLayer = Math.max(0, Math.min(index, layers.length - 1));
+    params = activeLayer().params;
+    setType(activeLayer().type);
+}
+
+function setupLayerUI() {
+    document.getElementById('btn-layer-add').addEventListener('click', () => {
+        layers.push(createLayer(getAuraTypes()[0].key));
+        selectLayer(layers.length - 1);
+    });
+    document.getElementById('btn-layer-duplicate').addEventListener('click', () => {
+        const copy = structuredClone(activeLayer());
+        copy.solo = false;
+        layers.splice(selectedLayer + 1, 0, copy);
+        selectLayer(selectedLayer + 1);
+    });
+
+    const blendSelect = document.getElementById('layer-blend');
+    blendSelect.addEventListener('change', () => {
+        activeLayer().blend = blendSelect.value;
+    });
+
+    const opacity = document.getElementById('layer-opacity');
+    opacity.addEventListener('input', () => {
+        activeLayer().opacity = parseFloat(opacity.value);
+        document.getElementById('val-layer-opacity').innerText = activeLayer().opacity.toFixed(2);
+    });
+
+    selectLayer(selectedLayer);
+}
+
+// Top layer first, like the stacking order on screen
+function refreshLayerList() {
+    const list = document.getElementById('layer-list');
+    if (!list) return;
+    const restoreFocus = rememberFocus(list);
+    list.innerHTML = '';
+
+    const iconButton = (text, title, onClick) => {
+        const btn = document.createElement('button');
+        btn.textContent = text;
+        btn.title = title;
+        btn.setAttribute('aria-label', title);
+        btn.addEventListener('click', onClick);
+        return btn;
+    };
+
+    for (let index = layers.length - 1; index >= 0; index--) {
+        const layer = layers[index];
+        const row = document.createElement('div');
+        row.className = 'layer-row';
+        row.classList.toggle('selected', index === selectedLayer);
+        row.classList.toggle('muted', layer.muted);
+
+        const type = getAuraType(layer.type);
+        const typeName = type ? labelFor('type', type.key, type.name) : layer.type;
+        // Not an icon: its text names it, the title only tells what it does
+        const nameBtn = document.createElement('button');
+        nameBtn.className = 'layer-name';
+        nameBtn.textContent = `${index + 1}. ${typeName}`;
+        nameBtn.title = t('layer.select');
+        nameBtn.addEventListener('click', () => selectLayer(index));
+        nameBtn.setAttribute('aria-current', String(index === selectedLayer));
+
+        const muteBtn = iconButton(layer.muted ? '◌' : '●', t('layer.mute'), () => {
+            layer.muted = !layer.muted;
+            refreshLayerList();
+        });
+        muteBtn.classList.toggle('active', !layer.muted);
+        muteBtn.setAttribute('aria-pressed', String(layer.muted));
+
+        const soloBtn = iconButton('S', t('layer.solo'), () => {
+            layer.solo = !layer.solo;
+            refreshLayerList();
+        });
+        soloBtn.classList.toggle('active', layer.solo);
+        soloBtn.setAttribute('aria-pressed', String(layer.solo));
+
+        const upBtn = iconButton('▲', t('common.moveUp'), () => {
+            const to = moveLayer(layers, index, 1);
+            if (index === selectedLayer) selectedLayer = to;
+            else if (to === selectedLayer) selectedLayer = index;
+            refreshLayerList();
+        });
+        upBtn.disabled = index === layers.length - 1;
+
+        const downBtn = iconButton('▼', t('common.moveDown'), () => {
+            const to = moveLayer(layers, index, -1);
+            if (index === selectedLayer) selectedLayer = to;
+            else if (to === selectedLayer) selectedLayer = index;
+            refreshLayerList();
+        });
+        downBtn.disabled = index === 0;
+
+        const removeBtn = iconButton('✕', t('layer.remove'), () => {
+            layers.splice(index, 1);
+            selectLayer(selectedLayer > index ? selectedLayer - 1 : selectedLayer);
+        });
+        removeBtn.disabled = layers.length <= 1;
+
+        row.append(nameBtn, muteBtn, soloBtn, upBtn, downBtn, removeBtn);
+        list.appendChild(row);
+    }
+    restoreFocus();
+
+    const layer = activeLayer();
+    document.getElementById('layer-blend').value = layer.blend;
+    document.getElementById('layer-opacity').value = layer.opacity;
+    document.getElementById('val-layer-opacity').innerText = layer.opacity.toFixed(2);
+}
+
+// --- Alpha Mask ---
+// Opaque images (JPEG scans, photos) get their alpha generated from the
+// background (see src/alpha-mask.js); the distance field follows the mask.
+function applyMask() {
+    engine.applyMask();
+    refreshMaskStatus();
+}
+
+// Key color and mode of the mask the engine generated last (also after a load)
+function refreshMaskStatus() {
+    const result = engine.mask;
+    if (!result) return;
+    document.getElementById('mask-key-color').value = rgbToHex(result.keyColor);
+    const mode = labelFor('maskMode', result.mode, MASK_MODES[result.mode]);
+    setMaskStatus(t(maskSettings.mode === 'auto' ? 'mask.appliedAuto' : 'mask.applied', { mode }));
+}
+
+function setupMaskUI() {
+    const modeSelect = document.getElementById('mask-mode');
+    modeSelect.addEventListener('change', () => {
+        maskSettings.mode = modeSelect.value;
+        applyMask();
+    });
+
+    document.getElementById('mask-key-color').addEventListener('change', (e) => {
+        maskSettings.keyColor = hexToRgb(e.target.value).map((v) => Math.round(v * 255));
+        applyMask();
+    });
+    document.getElementById('btn-mask-key-auto').addEventListener('click', () => {
+        maskSettings.keyColor = null;
+        applyMask();
+    });
+
+    // Masking a large image takes a moment: apply on release, not while dragging
+    ['tolerance', 'feather'].forEach((key) => {
+        const input = document.getElementById(`mask-${key}`);
+        const display = document.getElementById(`val-mask-${key}`);
+        input.addEventListener('input', () => { display.innerText = input.value; });
+        input.addEventListener('change', () => {
+            maskSettings[key] = parseFloat(input.value);
+            applyMask();
+        });
+    });
+
+    document.getElementById('mask-preview').addEventListener('change', (e) => {
+        engine.setMaskPreview(e.target.checked);
+    });
+    refreshMaskControls();
+}
+
+function refreshMaskControls() {
+    document.getElementById('mask-mode').value = maskSettings.mode;
+    ['tolerance', 'feather'].forEach((key) => {
+        document.getElementById(`mask-${key}`).value = maskSettings[key];
+        document.getElementById(`val-mask-${key}`).innerText = maskSettings[key];
+    });
+}
+
+function setMaskStatus(text) {
+    const status = document.getElementById('mask-status');
+    if (status) status.innerText = text;
+}
+
+// --- Emission Brush ---
+// Paints the emission mask directly on the canvas while brush mode is on
+function setupBrushUI() {
+    const toggle = document.getElementById('btn-brush');
+    toggle.addEventListener('click', () => setBrushActive(!brush.active));
+
+    const addBtn = document.getElementById('btn-brush-add');
+    const eraseBtn = document.getElementById('btn-brush-erase');
+    const setErase = (erase) => {
+        brush.erase = erase;
+        addBtn.classList.toggle('active', !erase);
+        eraseBtn.classList.toggle('active', erase);
+    };
+    addBtn.addEventListener('click', () => setErase(false));
+    eraseBtn.addEventListener('click', () => setErase(true));
+    setErase(brush.erase);
+
+    ['size', 'softness'].forEach((key) => {
+        const input = document.getElementById(`brush-${key}`);
+        const display = document.getElementById(`val-brush-${key}`);
+        input.value = brush[key];
+        display.innerText = brush[key].toFixed(2);
+        input.addEventListener('input', () => {
+            brush[key] = parseFloat(input.value);
+            display.innerText = brush[key].toFixed(2);
+        });
+    });
+
+    // Strokes are steps in the undo history like any other edit
+    document.getElementById('btn-brush-undo').addEventListener('click', undo);
+    document.getElementById('btn-brush-clear').addEventListener('click', () => {
+        engine.emissionMask.clear();
+        engine.emissionDirty = true;
+    });
+    document.getElementById('btn-image-save').addEventListener('click', saveImageWithMask);
+
+    const canvas = engine.canvas;
+    const cursor = document.getElementById('brush-cursor');
+    canvas.addEventListener('pointerdown', (e) => {
+        if (!brush.active || e.button !== 0) return;
+        canvas.setPointerCapture(e.pointerId);
+        brush.painting = true;
+        engine.emissionMask.beginStroke();
+        paintAt(e);
+    });
+    canvas.addEventListener('pointermove', (e) => {
+        if (!brush.active) return;
+        // Preview circle: brush radius is relative to the image height
+        const diameter = 2 * brush.size * canvas.clientHeight * engine.camera.zoom;
+        cursor.style.width = cursor.style.height = `${diameter}px`;
+        cursor.style.left = `${e.clientX - diameter / 2}px`;
+        cursor.style.top = `${e.clientY - diameter / 2}px`;
+        if (brush.painting) paintAt(e);
+    });
+    const endStroke = () => {
+        if (!brush.painting) return;
+        brush.painting = false;
+        engine.emissionMask.endStroke();
+    };
+    canvas.addEventListener('pointerup', endStroke);
+    canvas.addEventListener('pointercancel', endStroke);
+    canvas.addEventListener('pointerleave', () => { cursor.hidden = true; });
+    canvas.addEventListener('pointerenter', () => { cursor.hidden = !brush.active; });
+}
+
+// --- Canvas Handles ---
+function setupGizmoUI() {
+    gizmos = new Gizmos(engine, document.getElementById('gizmo-layer'), {
+        getLayer: activeLayer,
+        onChange: applyParamChange
+    });
+    // Every frame and seek, so the handles follow keyframes, remote edits and resizes
+    engine.addEventListener('timeupdate', () => gizmos.update());
+
+    const toggle = document.getElementById('btn-gizmos');
+    toggle.addEventListener('click', () => {
+        gizmos.setVisible(!gizmos.visible);
+        toggle.classList.toggle('active', gizmos.visible);
+    });
+    document.getElementById('btn-center-reset').addEventListener('click', () => {
+        const defs = getParamDefs();
+        applyParamChange({ centerX: defs.centerX.default, centerY: defs.centerY.default });
+        gizmos.update();
+    });
+}
+
+// Params edited outside their sliders; animated ones are keyed at the current time
+function applyParamChange(values) {
+    const layer = activeLayer();
+    let keyed = false;
+    Object.entries(values).forEach(([key, val]) => {
+        params[key] = val;
+        if (layer.tracks[key]) {
+            setKeyframe(layer, key, engine.currentTime, val);
+            keyed = true;
+        }
+    });
+    if (keyed) refreshKeyframeList();
+    refreshSliderValues(Object.keys(values));
+}
+
+function setBrushActive(active) {
+    brush.active = active;
+    document.getElementById('btn-brush').classList.toggle('active', active);
+    document.getElementById('brush-cursor').hidden = !active;
+    engine.canvas.style.cursor = active ? 'none' : '';
+    engine.setEmissionOverlay(active);
+}
+
+function paintAt(e) {
+    const { u, v } = engine.pointerToUV(e.clientX, e.clientY);
+    engine.emissionMask.paint(u, v, brush);
+    engine.emissionDirty = true;
+}
+
+async function saveImageWithMask() {
+    if (!engine.imageTexture) return;
+    try {
+        const blob = await encodeImageWithMask(engine.imageTexture.image, engine.emissionMask);
+        downloadBlob(blob, 'tara-aura-image.png');
+    } catch (err) {
+        console.warn('Saving the image failed.', err);
+        setMaskStatus(t('mask.saveFailed'));
+    }
+}
+
+// [r, g, b] in 0..255 -> '#rrggbb'
+function rgbToHex(rgb) {
+    return '#' + rgb.map((v) => v.toString(16).padStart(2, '0')).join('');
+}
+
+// --- Palettes ---
+// Gradient stops of the selected layer's type; the engine uploads them per
+// layer right before it renders
+function setupPaletteUI() {
+    const targetSelect = document.getElementById('conv-target-select');
+    const targetColor = document.getElementById('conv-target-color');
+    targetSelect.addEventListener('change', () => {
+        if (targetSelect.value === 'custom') return;
+        engine.convergenceTarget = TARA_COLORS[targetSelect.value].color;
+        refreshPaletteEditor();
+    });
+    targetColor.addEventListener('input', () => {
+        engine.convergenceTarget = targetColor.value;
+        refreshPaletteEditor();
+    });
+
+    document.getElementById('btn-stop-add').addEventListener('click', () => {
+        const stops = palettes[activeLayer().type];
+        if (stops.length >= MAX_STOPS) return;
+        // Split the widest gap
+        let gapIndex = 0;
+        let gap = stops.length === 1 ? 1 - stops[0].pos : 0;
+        for (let i = 1; i < stops.length; i++) {
+            if (stops[i].pos - stops[i - 1].pos > gap) {
+                gap = stops[i].pos - stops[i - 1].pos;
+                gapIndex = i - 1;
             }
         }
+        const from = stops[gapIndex];
+        stops.push({ pos: Math.min(1, from.pos + gap / 2), color: from.color });
+        updatePalette(stops);
+    });
+    document.getElementById('btn-palette-reset').addEventListener('click', () => {
+        updatePalette(defaultPalette(activeLayer().type));
     });
 
-    wrapper.appendChild(labelDiv);
-    wrapper.appendChild(input);
-    parent.appendChild(wrapper);
+    refreshPaletteEditor();
 }
 
-function resetParams() {
-    params.auraSize = 0.20;
-    params.auraStrength = 1.5;
-    params.swimSpeed = 0.5;
-    params.breathSpeed = 0.3;
-    params.convergence = 0.5;
-    params.coreBrightness = 1.0;
-    params.flameHeight = 0.5;
-    params.flameTemp = 0.5;
-    params.dropSpeed = 1.0;
-    params.dropSize = 0.5;
-    updateSliders();
-    
-    if (material) {
-        material.uniforms.uAuraSize.value = params.auraSize;
-        material.uniforms.uStrength.value = params.auraStrength;
-        material.uniforms.uSwim.value = params.swimSpeed;
-        material.uniforms.uBreath.value = params.breathSpeed;
-        material.uniforms.uConv.value = params.convergence;
-        material.uniforms.uCore.value = params.coreBrightness;
-        material.uniforms.uFlameHeight.value = params.flameHeight;
-        material.uniforms.uFlameTemp.value = params.flameTemp;
-        material.uniforms.uDropSpeed.value = params.dropSpeed;
-        material.uniforms.uDropSize.value = params.dropSize;
+function updatePalette(stops, rebuild = true) {
+    const { type } = activeLayer();
+    palettes[type] = sanitizePalette(stops, defaultPalette(type));
+    if (rebuild) {
+        refreshPaletteEditor();
+    } else {
+        document.getElementById('palette-preview').style.background = paletteToCSS(palettes[type]);
     }
 }
 
-function onWindowResize() {
-    const aspect = window.innerWidth / window.innerHeight;
-    const frustumSize = 1;
+function refreshPaletteEditor() {
+    const list = document.getElementById('palette-stops');
+    if (!list) return;
+    const stops = palettes[activeLayer().type];
+    document.getElementById('palette-preview').style.background = paletteToCSS(stops);
+    document.getElementById('btn-stop-add').disabled = stops.length >= MAX_STOPS;
+
+    const restoreFocus = rememberFocus(list);
+    list.innerHTML = '';
+    stops.forEach((stop, index) => {
+        const row = document.createElement('div');
+        row.className = 'palette-row';
+
+        const color = document.createElement('input');
+        color.type = 'color';
+        color.value = stop.color;
+        color.setAttribute('aria-label', t('palette.stopColor'));
+        color.addEventListener('input', () => {
+            stop.color = color.value;
+            updatePalette(stops, false);
+        });
+
+        const pos = document.createElement('input');
+        pos.type = 'range';
+        pos.min = 0;
+        pos.max = 1;
+        pos.step = 0.01;
+        pos.value = stop.pos;
+        pos.setAttribute('aria-label', t('palette.stopPosition'));
+        pos.addEventListener('input', () => {
+            stop.pos = parseFloat(pos.value);
+            updatePalette(stops, false);
+        });
+        // Re-sort only once the drag ends so the row does not jump under the
+        // pointer; a focused slider follows its stop (arrow keys end every step)
+        pos.addEventListener('change', () => {
+            const focused = document.activeElement === pos;
+            refreshPaletteEditor();
+            if (focused) focusPaletteStop(stop.pos);
+        });
+
+        const removeBtn = document.createElement('button');
+        removeBtn.textContent = '✕';
+        removeBtn.title = t('palette.removeStop');
+        removeBtn.setAttribute('aria-label', removeBtn.title);
+        removeBtn.disabled = stops.length <= 1;
+        removeBtn.addEventListener('click', () => {
+            stops.splice(index, 1);
+            updatePalette(stops);
+        });
+
+        row.append(color, pos, removeBtn);
+        list.appendChild(row);
+    });
+    restoreFocus();
+
+    const { convergenceTarget } = engine;
+    const formKey = Object.keys(TARA_COLORS).find((key) => TARA_COLORS[key].color === convergenceTarget);
+    document.getElementById('conv-target-select').value = formKey || 'custom';
+    document.getElementById('conv-target-color').value = convergenceTarget;
+}
+
+// The position slider of the stop nearest `position`
+function focusPaletteStop(position) {
+    const stops = palettes[activeLayer().type];
+    let nearest = 0;
+    stops.forEach((s, i) => {
+        if (Math.abs(s.pos - position) < Math.abs(stops[nearest].pos - position)) nearest = i;
+    });
+    document.getElementById('palette-stops').children[nearest].querySelector('input[type="range"]').focus();
+}
+
+// --- Post-Processing ---
+// One block per pass: an on/off toggle and its sliders. Built again when
+// the language changes.
+function createPostControls() {
+    const container = document.getElementById('post-controls');
+    container.innerHTML = '';
+    Object.entries(POST_CONTROLS).forEach(([passKey, pass]) => {
+        const block = document.createElement('div');
+        block.className = 'post-pass';
+
+        const toggle = document.createElement('label');
+        toggle.className = 'checkbox-label';
+        const checkbox = document.createElement('input');
+        checkbox.type = 'checkbox';
+        checkbox.id = `post-${passKey}-enabled`;
+        checkbox.addEventListener('change', (e) => {
+            post[passKey].enabled = e.target.checked;
+            block.classList.toggle('disabled', !e.target.checked);
+        });
+        toggle.append(checkbox, ` ${labelFor('pass', passKey, pass.label)}`);
+        block.appendChild(toggle);
+
+        Object.entries(pass.params).forEach(([key, { label, min, max, step }]) => {
+            const id = `post-${passKey}-${key}`;
+            const { wrapper, input, display } = createRangeRow(id, labelFor('pass', `${passKey}.${key}`, label),
+                { min, max, step });
+            input.addEventListener('input', () => {
+                post[passKey][key] = parseFloat(input.value);
+                display.innerText = post[passKey][key].toFixed(2);
+            });
+            block.appendChild(wrapper);
+        });
+        container.appendChild(block);
+    });
+    refreshPostUI();
+}
+
+function applyPostSettings(settings) {
+    Object.keys(post).forEach((passKey) => Object.assign(post[passKey], structuredClone(settings[passKey])));
+    refreshPostUI();
+}
+
+function refreshPostUI() {
+    Object.entries(POST_CONTROLS).forEach(([passKey, pass]) => {
+        const toggle = document.getElementById(`post-${passKey}-enabled`);
+        if (!toggle) return;
+        toggle.checked = post[passKey].enabled;
+        toggle.closest('.post-pass').classList.toggle('disabled', !post[passKey].enabled);
+        Object.keys(pass.params).forEach((key) => {
+            const id = `post-${passKey}-${key}`;
+            document.getElementById(id).value = post[passKey][key];
+            document.getElementById(`val-${id}`).innerText = post[passKey][key].toFixed(2);
+        });
+    });
+}
+
+// --- Framing ---
+// Padding around the image, the background (see src/framing.js) and the
+// view's pan / zoom (wheel or pinch, drag; see src/view-controls.js)
+function setupFramingUI() {
+    viewControls = new ViewControls(engine, { isBusy: () => brush.active });
+
+    const padding = document.getElementById('frame-padding');
+    padding.max = MAX_PADDING;
+    padding.addEventListener('input', () => {
+        frame.padding = parseFloat(padding.value);
+        document.getElementById('val-frame-padding').innerText = frame.padding.toFixed(2);
+    });
 
-    camera.left = -frustumSize * aspect / 2;
-    camera.right = frustumSize * aspect / 2;
-    camera.top = frustumSize / 2;
-    camera.bottom = -frustumSize / 2;
+    const mode = document.getElementById('frame-background');
+    mode.addEventListener('change', () => {
+        frame.background = mode.value;
+        refreshFramingUI();
+    });
+    ['color', 'color2'].forEach((key) => {
+        document.getElementById(`frame-${key}`).addEventListener('input', (e) => { frame[key] = e.target.value; });
+    });
 
-    camera.updateProjectionMatrix();
-    renderer.setSize(window.innerWidth, window.innerHeight);
-    
-    if(material) material.uniforms.uResolution.value.set(window.innerWidth, window.innerHeight);
+    document.getElementById('frame-backdrop').addEventListener('change', async (e) => {
+        const file = e.target.files[0];
+        e.target.value = '';
+        if (!file) return;
+        const url = URL.createObjectURL(file);
+        try {
+            engine.setBackdrop(await engine.fetchImage(url));
+            frame.background = 'image';
+            refreshFramingUI();
+            setFramingStatus(t('frame.backdropLoaded', { name: file.name }));
+        } catch (err) {
+            setFramingStatus(t('frame.backdropError', { message: errorMessage(err) }));
+        } finally {
+            URL.revokeObjectURL(url);
+        }
+    });
+    document.getElementById('btn-view-reset').addEventListener('click', () => viewControls.reset());
+    refreshFramingUI();
 }
 
-function animate() {
-    requestAnimationFrame(animate);
+function applyFrameSettings(settings) {
+    Object.assign(frame, structuredClone(settings));
+    refreshFramingUI();
+}
 
-    const delta = clock.getDelta();
-    if (!isPaused) {
-        currentTime += delta;
+function refreshFramingUI() {
+    const padding = document.getElementById('frame-padding');
+    if (!padding) return;
+    padding.value = frame.padding;
+    document.getElementById('val-frame-padding').innerText = frame.padding.toFixed(2);
+    document.getElementById('frame-background').value = frame.background;
+    document.getElementById('frame-color').value = frame.color;
+    document.getElementById('frame-color2').value = frame.color2;
+    // Only the controls the mode uses
+    const group = document.querySelector('.framing-group');
+    group.dataset.background = frame.background;
+    document.getElementById('canvas-container').classList.toggle('transparent', frame.background === 'transparent');
+    if (frame.background === 'image' && !engine.backdrop) {
+        setFramingStatus(t('frame.chooseBackdrop'));
     }
+}
+
+function setFramingStatus(text) {
+    const status = document.getElementById('framing-status');
+    if (status) status.innerText = text;
+}
 
-    if (material) {
-        material.uniforms.uTime.value = currentTime;
+// --- Performance ---
+// Quality tiers (see src/quality.js): a fixed tier, or "auto" stepping the
+// tiers to hold the target frame rate. The overlay shows the frame rate and
+// frame time measured between frames. Not part of presets: it depends on
+// the machine, not the look.
+const QUALITY_STORAGE_KEY = 'taraAura.quality';
+const frameStats = new FrameStats();
+const adaptiveQuality = new AdaptiveQuality();
+let overlayUpdatedAt = 0;
+
+function setupQualityUI() {
+    try {
+        const stored = JSON.parse(localStorage.getItem(QUALITY_STORAGE_KEY)) || {};
+        if (stored.mode === 'auto' || QUALITY_TIERS.some((tier) => tier.key === stored.mode)) quality.mode = stored.mode;
+        if ([30, 45, 60].includes(stored.targetFps)) quality.targetFps = stored.targetFps;
+        quality.overlay = stored.overlay === true;
+    } catch (err) {
+        console.warn('Could not read the saved quality settings.', err);
     }
 
-    document.getElementById('time-display').innerText = currentTime.toFixed(1);
+    const mode = document.getElementById('quality-mode');
+    mode.value = quality.mode;
+    mode.addEventListener('change', () => {
+        quality.mode = mode.value;
+        applyQualityMode();
+        saveQualitySettings();
+    });
+
+    const target = document.getElementById('quality-target');
+    target.value = quality.targetFps;
+    target.addEventListener('change', () => {
+        quality.targetFps = parseInt(target.value, 10);
+        applyQualityMode();
+        saveQualitySettings();
+    });
+
+    const overlay = document.getElementById('perf-overlay-toggle');
+    overlay.checked = quality.overlay;
+    overlay.addEventListener('change', () => {
+        quality.overlay = overlay.checked;
+        document.getElementById('perf-overlay').hidden = !quality.overlay;
+        saveQualitySettings();
+    });
+    document.getElementById('perf-overlay').hidden = !quality.overlay;
+
+    engine.addEventListener('tick', (e) => updateQuality(e.detail.delta));
+    applyQualityMode();
+}
+
+function applyQualityMode() {
+    adaptiveQuality.targetFps = quality.targetFps;
+    if (quality.mode === 'auto') {
+        // Carry on from the tier in use
+        adaptiveQuality.tier = QUALITY_TIERS.indexOf(engine.quality);
+        adaptiveQuality.reset();
+    } else {
+        engine.setQuality(quality.mode);
+    }
+    document.getElementById('quality-target').disabled = quality.mode !== 'auto';
+    refreshQualityStatus();
+}
+
+function saveQualitySettings() {
+    try {
+        localStorage.setItem(QUALITY_STORAGE_KEY, JSON.stringify(quality));
+    } catch (err) {
+        console.warn('Could not save the quality settings.', err);
+    }
+}
+
+function updateQuality(delta) {
+    frameStats.add(delta);
+    if (quality.mode === 'auto') {
+        const tier = adaptiveQuality.update(delta);
+        if (tier !== null) {
+            engine.setQuality(QUALITY_TIERS[tier].key);
+            refreshQualityStatus();
+        }
+    }
+
+    const now = performance.now();
+    if (!quality.overlay || now - overlayUpdatedAt < 250) return;
+    overlayUpdatedAt = now;
+    document.getElementById('perf-overlay').textContent = [
+        `${frameStats.fps.toFixed(0)} FPS`,
+        t('quality.frameTime', {
+            average: (frameStats.average * 1000).toFixed(1),
+            worst: (frameStats.worst * 1000).toFixed(1)
+        }),
+        t('quality.auraScale', { tier: qualityTierLabel(engine.quality), percent: Math.round(engine.quality.auraScale * 100) })
+    ].join('\n');
+}
+
+function refreshQualityStatus() {
+    const status = document.getElementById('quality-status');
+    if (!status) return;
+    status.innerText = quality.mode === 'auto'
+        ? t('quality.now', { tier: qualityTierLabel(engine.quality) })
+        : '';
+}
+
+function qualityTierLabel(tier) {
+    return labelFor('qualityTier', tier.key, tier.label);
+}
+
+// --- Particles ---
+function setupParticleUI() {
+    const enabled = document.getElementById('particles-enabled');
+    enabled.addEventListener('change', () => {
+        particles.enabled = enabled.checked;
+        refreshParticleUI();
+    });
+    const sprite = document.getElementById('particles-sprite');
+    sprite.addEventListener('change', () => { particles.sprite = sprite.value; });
+    const color = document.getElementById('particles-color');
+    color.addEventListener('input', () => { particles.color = color.value; });
+    const front = document.getElementById('particles-front');
+    front.addEventListener('change', () => { particles.front = front.checked; });
+
+    createParticleControls();
+}
+
+// Built again when the language changes
+function createParticleControls() {
+    const container = document.getElementById('particle-controls');
+    container.innerHTML = '';
+    Object.entries(PARTICLE_CONTROLS).forEach(([key, { label, min, max, step }]) => {
+        const { wrapper, input, display } = createRangeRow(`particles-${key}`, labelFor('particle', key, label),
+            { min, max, step });
+        input.addEventListener('input', () => {
+            particles[key] = parseFloat(input.value);
+            display.innerText = formatParticleValue(key);
+        });
+        container.appendChild(wrapper);
+    });
+    refreshParticleUI();
+}
+
+function applyParticleSettings(settings) {
+    Object.assign(particles, structuredClone(settings));
+    refreshParticleUI();
+}
+
+function refreshParticleUI() {
+    const enabled = document.getElementById('particles-enabled');
+    if (!enabled) return;
+    enabled.checked = particles.enabled;
+    enabled.closest('.particle-group').classList.toggle('disabled', !particles.enabled);
+    document.getElementById('particles-sprite').value = particles.sprite;
+    document.getElementById('particles-color').value = particles.color;
+    document.getElementById('particles-front').checked = particles.front;
+    Object.keys(PARTICLE_CONTROLS).forEach((key) => {
+        document.getElementById(`particles-${key}`).value = particles[key];
+        document.getElementById(`val-particles-${key}`).innerText = formatParticleValue(key);
+    });
+}
+
+function formatParticleValue(key) {
+    const { step } = PARTICLE_CONTROLS[key];
+    return particles[key].toFixed(step >= 1 ? 0 : String(step).split('.')[1].length);
+}
+
+// --- Audio-Reactive Mode ---
+function setupAudioUI() {
+    document.getElementById('audio-file').addEventListener('change', async (e) => {
+        const file = e.target.files[0];
+        e.target.value = '';
+        if (!file) return;
+        try {
+            await audio.playFile(file);
+            setAudioStatus(t('audio.playing', { name: file.name }));
+        } catch (err) {
+            console.warn('Could not play the audio file.', err);
+            setAudioStatus(t('audio.error', { message: errorMessage(err) }));
+        }
+    });
+
+    const micBtn = document.getElementById('btn-audio-mic');
+    micBtn.disabled = !AudioReactor.microphoneAvailable();
+    micBtn.addEventListener('click', async () => {
+        try {
+            await audio.useMicrophone();
+            setAudioStatus(t('audio.micActive'));
+        } catch (err) {
+            console.warn('Could not use the microphone.', err);
+            setAudioStatus(t('audio.micError', { message: errorMessage(err) }));
+        }
+    });
+    document.getElementById('btn-audio-stop').addEventListener('click', () => {
+        audio.stop();
+        setAudioStatus(t('audio.stopped'));
+    });
+
+    document.getElementById('btn-mapping-add').addEventListener('click', () => {
+        audioMappings.push(createMapping());
+        refreshMappingList();
+    });
+    refreshMappingList();
+}
+
+function updateAudio(delta) {
+    audio.update(delta);
+    audioValues = audioMappings.map((mapping) => audio.mappingValue(mapping, delta));
+    drawAudioMeters();
+}
+
+function setAudioStatus(text) {
+    const status = document.getElementById('audio-status');
+    if (status) status.innerText = text;
+}
+
+// One row per mapping: on/off, feature, target param, gain and smoothing
+function refreshMappingList() {
+    const list = document.getElementById('mapping-list');
+    const restoreFocus = rememberFocus(list);
+    list.innerHTML = '';
+    const defs = getParamDefs();
+
+    audioMappings.forEach((mapping, index) => {
+        const row = document.createElement('div');
+        row.className = 'mapping-row';
+
+        const enabled = document.createElement('input');
+        enabled.type = 'checkbox';
+        enabled.checked = mapping.enabled;
+        enabled.title = t('audio.enabled');
+        enabled.addEventListener('change', () => { mapping.enabled = enabled.checked; });
+
+        const source = document.createElement('select');
+        source.setAttribute('aria-label', t('audio.source'));
+        Object.entries(AUDIO_FEATURES).forEach(([key, label]) => {
+            source.add(new Option(labelFor('audioFeature', key, label), key));
+        });
+        source.value = mapping.source;
+        source.addEventListener('change', () => { mapping.source = source.value; });
+
+        const param = document.createElement('select');
+        param.setAttribute('aria-label', t('audio.param'));
+        Object.entries(defs)
+            .filter(([, def]) => def.label)
+            .forEach(([key, def]) => param.add(new Option(labelFor('param', key, def.label), key)));
+        param.value = mapping.param;
+        param.addEventListener('change', () => { mapping.param = param.value; });
+
+        const removeBtn = document.createElement('button');
+        removeBtn.textContent = '✕';
+        removeBtn.title = t('audio.removeMapping');
+        removeBtn.setAttribute('aria-label', removeBtn.title);
+        removeBtn.addEventListener('click', () => {
+            audioMappings.splice(index, 1);
+            refreshMappingList();
+        });
+
+        const range = (key, label, min, max) => {
+            const wrapper = document.createElement('label');
+            wrapper.textContent = label;
+            const input = document.createElement('input');
+            input.type = 'range';
+            input.min = min;
+            input.max = max;
+            input.step = 0.01;
+            input.value = mapping[key];
+            input.title = `${label}: ${mapping[key].toFixed(2)}`;
+            input.addEventListener('input', () => {
+                mapping[key] = parseFloat(input.value);
+                input.title = `${label}: ${mapping[key].toFixed(2)}`;
+            });
+            wrapper.appendChild(input);
+            return wrapper;
+        };
+
+        row.append(enabled, source, param, removeBtn,
+            range('gain', t('audio.gain'), -1, 1), range('smoothing', t('audio.smoothing'), 0, 0.99));
+        list.appendChild(row);
+    });
+    restoreFocus();
+}
+
+// Live bars of the analysed features
+function drawAudioMeters() {
+    const canvas = document.getElementById('audio-meters');
+    if (!canvas) return;
+    const ctx = canvas.getContext('2d');
+    const keys = Object.keys(AUDIO_FEATURES);
+    const barWidth = canvas.width / keys.length;
+
+    ctx.clearRect(0, 0, canvas.width, canvas.height);
+    ctx.font = '9px sans-serif';
+    ctx.textAlign = 'center';
+    keys.forEach((key, i) => {
+        const value = audio.features[key];
+        const h = value * (canvas.height - 12);
+        ctx.fillStyle = key === 'onset' ? '#facc15' : '#4ade80';
+        ctx.fillRect(i * barWidth + 4, canvas.height - 12 - h, barWidth - 8, h);
+        ctx.fillStyle = '#aaa';
+        ctx.fillText(key, (i + 0.5) * barWidth, canvas.height - 2);
+    });
+}
+
+// --- Timeline ---
+let selectedTrack = 'auraSize';
+
+function setupTimelineUI() {
+    const scrubber = document.getElementById('timeline-scrubber');
+    scrubber.addEventListener('input', () => seek(parseFloat(scrubber.value)));
+
+    const canvas = document.getElementById('timeline-canvas');
+    canvas.addEventListener('pointerdown', (e) => {
+        const rect = canvas.getBoundingClientRect();
+        seek((e.clientX - rect.left) / rect.width * timeline.duration);
+    });
+
+    document.getElementById('timeline-duration').addEventListener('change', (e) => {
+        timeline.duration = Math.max(1, parseFloat(e.target.value) || timeline.duration);
+        refreshTimelineUI();
+    });
+    document.getElementById('timeline-loop').addEventListener('change', (e) => {
+        timeline.loop = e.target.checked;
+    });
+
+    ['growthStart', 'growthEnd', 'lockStart', 'lockEnd'].forEach((key) => {
+        document.getElementById(`phase-${key}`).addEventListener('change', (e) => {
+            const val = parseFloat(e.target.value);
+            if (Number.isFinite(val)) timeline.phases[key] = val;
+            timeline.phases = sanitizePhases(timeline.phases);
+            engine.applyPhases();
+            refreshTimelineUI();
+        });
+    });
+
+    const trackSelect = document.getElementById('track-select');
+    refreshTrackSelect();
+    trackSelect.addEventListener('change', () => {
+        selectedTrack = trackSelect.value;
+        refreshKeyframeList();
+    });
+
+    document.getElementById('btn-key-add').addEventListener('click', () => {
+        setKeyframe(activeLayer(), selectedTrack, engine.currentTime, params[selectedTrack]);
+        updateSliders();
+        refreshKeyframeList();
+    });
+    document.getElementById('btn-track-clear').addEventListener('click', () => {
+        delete activeLayer().tracks[selectedTrack];
+        updateSliders();
+        refreshKeyframeList();
+    });
+
+    refreshTimelineUI();
+}
+
+// Animatable params of the selected layer: core, then its type's
+function refreshTrackSelect() {
+    const trackSelect = document.getElementById('track-select');
+    const defs = getParamDefs();
+    const listed = new Set();
+    trackSelect.innerHTML = '';
+
+    const addGroup = (label, keys) => {
+        keys = keys.filter((key) => defs[key].label && !listed.has(key));
+        if (!keys.length) return;
+        const group = document.createElement('optgroup');
+        group.label = label;
+        keys.forEach((key) => {
+            const option = document.createElement('option');
+            option.value = key;
+            option.textContent = labelFor('param', key, defs[key].label);
+            group.appendChild(option);
+            listed.add(key);
+        });
+        trackSelect.appendChild(group);
+    };
+    addGroup(t('timeline.common'), Object.keys(defs).filter((key) => !isTypeParam(key)));
+    const type = getAuraType(activeLayer().type);
+    addGroup(labelFor('type', type.key, type.name), Object.keys(type.params));
+
+    if (!listed.has(selectedTrack)) selectedTrack = 'auraSize';
+    trackSelect.value = selectedTrack;
+    refreshKeyframeList();
+}
+
+function seek(t) {
+    engine.seek(t);
+    remote.send({ cmd: 'seek', time: engine.currentTime });
+}
+
+// Sync every timeline control with the `timeline` state
+function refreshTimelineUI() {
+    const scrubber = document.getElementById('timeline-scrubber');
+    if (!scrubber) return;
+    scrubber.max = timeline.duration;
+    document.getElementById('timeline-duration').value = timeline.duration;
+    document.getElementById('timeline-loop').checked = timeline.loop;
+    Object.entries(timeline.phases).forEach(([key, val]) => {
+        document.getElementById(`phase-${key}`).value = val;
+    });
+    refreshKeyframeList();
+}
+
+function refreshKeyframeList() {
+    const list = document.getElementById('keyframe-list');
+    const restoreFocus = rememberFocus(list);
+    list.innerHTML = '';
+    const keys = activeLayer().tracks[selectedTrack] || [];
+
+    keys.forEach((key, index) => {
+        const row = document.createElement('div');
+        row.className = 'keyframe-row';
+
+        const timeInput = document.createElement('input');
+        timeInput.type = 'number';
+        timeInput.step = 0.1;
+        timeInput.min = 0;
+        timeInput.value = key.t.toFixed(2);
+        timeInput.title = t('timeline.keyTime');
+        timeInput.addEventListener('change', () => {
+            const t = parseFloat(timeInput.value);
+            if (!Number.isFinite(t)) return;
+            key.t = Math.max(0, t);
+            keys.sort((a, b) => a.t - b.t);
+            refreshKeyframeList();
+        });
+
+        const valueInput = document.createElement('input');
+        valueInput.type = 'number';
+        valueInput.step = 0.01;
+        valueInput.value = key.value.toFixed(2);
+        valueInput.title = t('timeline.keyValue');
+        valueInput.addEventListener('change', () => {
+            const val = parseFloat(valueInput.value);
+            if (Number.isFinite(val)) key.value = val;
+            drawTimeline();
+        });
+
+        const easeSelect = document.createElement('select');
+        easeSelect.setAttribute('aria-label', t('timeline.keyEase'));
+        Object.entries(EASING_LABELS).forEach(([ease, label]) => {
+            easeSelect.add(new Option(labelFor('easing', ease, label), ease));
+        });
+        easeSelect.value = key.ease;
+        easeSelect.addEventListener('change', () => {
+            key.ease = easeSelect.value;
+            drawTimeline();
+        });
+
+        const removeBtn = document.createElement('button');
+        removeBtn.textContent = '✕';
+        removeBtn.title = t('timeline.removeKey');
+        removeBtn.setAttribute('aria-label', removeBtn.title);
+        removeBtn.addEventListener('click', () => {
+            removeKeyframe(activeLayer(), selectedTrack, index);
+            updateSliders();
+            refreshKeyframeList();
+        });
+
+        row.append(timeInput, valueInput, easeSelect, removeBtn);
+        list.appendChild(row);
+    });
+    restoreFocus();
+
+    drawTimeline();
+}
+
+function updateTimelinePlayhead(t) {
+    const scrubber = document.getElementById('timeline-scrubber');
+    if (document.activeElement !== scrubber) scrubber.value = t;
+    drawTimeline();
+}
+
+// Curve of the selected track, phase bands and the playhead
+function drawTimeline() {
+    const canvas = document.getElementById('timeline-canvas');
+    const ctx = canvas.getContext('2d');
+    const w = canvas.width;
+    const h = canvas.height;
+    const toX = (t) => t / timeline.duration * w;
+
+    ctx.clearRect(0, 0, w, h);
+
+    const { growthStart, growthEnd, lockStart, lockEnd } = timeline.phases;
+    ctx.fillStyle = 'rgba(74, 222, 128, 0.15)';
+    ctx.fillRect(toX(growthStart), 0, toX(growthEnd) - toX(growthStart), h);
+    ctx.fillStyle = 'rgba(250, 204, 21, 0.2)';
+    ctx.fillRect(toX(lockStart), 0, toX(lockEnd) - toX(lockStart), h);
+
+    const keys = activeLayer().tracks[selectedTrack];
+    if (keys) {
+        const { min, max } = getParamDefs()[selectedTrack];
+        const toY = (v) => h - 6 - (v - min) / (max - min) * (h - 12);
+
+        ctx.strokeStyle = '#4ade80';
+        ctx.lineWidth = 1.5;
+        ctx.beginPath();
+        for (let x = 0; x <= w; x += 2) {
+            const y = toY(evaluateTrack(keys, x / w * timeline.duration));
+            if (x === 0) ctx.moveTo(x, y); else ctx.lineTo(x, y);
+        }
+        ctx.stroke();
+
+        ctx.fillStyle = '#fff';
+        keys.forEach((key) => {
+            const x = toX(key.t);
+            const y = toY(key.value);
+            ctx.beginPath();
+            ctx.moveTo(x, y - 4); ctx.lineTo(x + 4, y); ctx.lineTo(x, y + 4); ctx.lineTo(x - 4, y);
+            ctx.fill();
+        });
+    }
+
+    ctx.strokeStyle = '#f87171';
+    ctx.beginPath();
+    ctx.moveTo(toX(engine.currentTime) + 0.5, 0);
+    ctx.lineTo(toX(engine.currentTime) + 0.5, h);
+    ctx.stroke();
+}
+
+// --- Presets ---
+let storedPresets = {};
+
+function capturePreset(name) {
+    return engine.capturePreset(name);
+}
+
+function applyPreset(preset) {
+    engine.applyPreset(preset);
+    markHistoryDirty(); // Also from links, files read later and the playlist
+    refreshPostUI();
+    refreshFramingUI();
+    refreshParticleUI();
+    refreshTimelineUI();
+    // selectLayer also rebuilds the panels; before setupUI there is nothing to rebuild
+    if (document.querySelector('.slider-wrapper')) {
+        selectLayer(0);
+    } else {
+        selectedLayer = 0;
+        params = layers[0].params;
+    }
+}
+
+function applyPresetFromHash() {
+    try {
+        const preset = decodePresetHash(window.location.hash);
+        if (preset) applyPreset(preset);
+    } catch (err) {
+        console.warn('Could not read the preset in the link.', err);
+        setPresetStatus(t('preset.linkError', { message: errorMessage(err) }));
+    }
+}
+
+function setupPresetUI() {
+    storedPresets = loadStoredPresets();
+    refreshPresetList();
+
+    const nameInput = document.getElementById('preset-name');
+    const select = document.getElementById('preset-select');
+
+    document.getElementById('btn-preset-save').addEventListener('click', () => {
+        const name = nameInput.value.trim() || select.value || 'Preset';
+        storedPresets[name] = capturePreset(name);
+        saveStoredPresets(storedPresets);
+        refreshPresetList(name);
+        setPresetStatus(t('preset.saved', { name }));
+    });
+    document.getElementById('btn-preset-load').addEventListener('click', () => {
+        const preset = storedPresets[select.value];
+        if (!preset) return;
+        applyPreset(preset);
+        nameInput.value = preset.name;
+        setPresetStatus(t('preset.loaded', { name: preset.name }));
+    });
+    document.getElementById('btn-preset-delete').addEventListener('click', () => {
+        if (!storedPresets[select.value]) return;
+        delete storedPresets[select.value];
+        saveStoredPresets(storedPresets);
+        refreshPresetList();
+    });
+    document.getElementById('btn-preset-export').addEventListener('click', () => {
+        const preset = capturePreset(nameInput.value.trim() || 'Preset');
+        const blob = new Blob([presetToJSON(preset)], { type: 'application/json' });
+        downloadBlob(blob, `${preset.name.replace(/[^\w-]+/g, '_')}.json`);
+    });
+    document.getElementById('preset-file').addEventListener('change', async (e) => {
+        const file = e.target.files[0];
+        e.target.value = '';
+        if (!file) return;
+        try {
+            const preset = presetFromJSON(await file.text());
+            storedPresets[preset.name] = preset;
+            saveStoredPresets(storedPresets);
+            refreshPresetList(preset.name);
+            applyPreset(preset);
+            setPresetStatus(t('preset.imported', { name: preset.name }));
+        } catch (err) {
+            console.warn('Could not read the preset file.', err);
+            setPresetStatus(t('preset.importFailed', { message: errorMessage(err) }));
+        }
+    });
+    document.getElementById('btn-preset-link').addEventListener('click', async () => {
+        const preset = capturePreset(nameInput.value.trim() || 'Shared');
+        const url = `${window.location.origin}${window.location.pathname}#${encodePresetHash(preset)}`;
+        history.replaceState(null, '', url);
+        try {
+            await navigator.clipboard.writeText(url);
+            setPresetStatus(t('preset.linkCopied'));
+        } catch (err) {
+            setPresetStatus(t('preset.copyAddress'));
+        }
+    });
+}
+
+function refreshPresetList(selected) {
+    const select = document.getElementById('preset-select');
+    select.innerHTML = '';
+    Object.keys(storedPresets).sort().forEach((name) => {
+        const option = document.createElement('option');
+        option.value = name;
+        option.textContent = name;
+        select.appendChild(option);
+    });
+    if (selected) select.value = selected;
+}
+
+function setPresetStatus(text) {
+    const status = document.getElementById('preset-status');
+    if (status) status.innerText = text;
+}
+
+// Reflect the engine's time (playback, seeking, exports) in the panel
+function onTimeUpdate(e) {
+    const { time, animated } = e.detail;
+    const keys = animated[selectedLayer];
+    if (keys && keys.length) refreshSliderValues(keys);
+
+    document.getElementById('time-display').innerText = time.toFixed(1);
+    updateTimelinePlayhead(time);
+}
+
+// Apply a look without jumping in time (undo, A/B slots, remote state)
+function applyLook(preset) {
+    const { currentTime, paused } = engine;
+    applyPreset(preset);
+    engine.currentTime = currentTime;
+    engine.paused = paused;
+}
+
+// --- Undo History ---
+// Every edit is a step (see src/history.js): params, types, layers,
+// keyframes, palettes, post and particle settings, the image, its mask and
+// brush strokes. Emission mask snapshots take about 1 MB each, so steps
+// holding one are limited to 30, the depth of the former brush undo.
+// The state is only compared after something that can edit it: input on
+// the page (panel, canvas, keys, drops), a loaded image, an applied preset
+// or a remote command.
+const HISTORY_EVENTS = ['input', 'change', 'click', 'pointerup', 'keydown', 'drop'];
+const imageIds = new WeakMap();
+let nextImageId = 1;
+
+function setupHistory() {
+    editHistory = new UndoHistory({
+        signature: historySignature,
+        capture: captureHistoryState,
+        restore: restoreHistoryState,
+        weight: (state, previous) => (previous && state.emission === previous.emission ? 0 : 1),
+        maxWeight: 30,
+        onChange: refreshHistoryButtons
+    });
+    // Not mid-stroke: a brush stroke is one step. A presentation is not an
+    // edit; where it ended becomes one step afterwards.
+    engine.addEventListener('tick', () => {
+        if (!brush.painting && !presentation.active) editHistory.update();
+    });
+    HISTORY_EVENTS.forEach((type) => document.addEventListener(type, markHistoryDirty, true));
+    engine.addEventListener('load', markHistoryDirty);
+
+    document.getElementById('btn-undo').addEventListener('click', undo);
+    document.getElementById('btn-redo').addEventListener('click', redo);
+    window.addEventListener('keydown', (e) => {
+        if (!(e.ctrlKey || e.metaKey) || e.altKey) return;
+        // Fields keep their own undo (as with the type shortcuts)
+        if (e.target.matches('input:not([type="range"]):not([type="checkbox"]), select, textarea')) return;
+        const key = e.key.toLowerCase();
+        if (key !== 'z' && key !== 'y') return;
+        e.preventDefault();
+        if (key === 'y' || e.shiftKey) redo();
+        else undo();
+    });
+}
+
+// Something may have been edited (see HISTORY_EVENTS)
+function markHistoryDirty() {
+    if (editHistory) editHistory.markDirty();
+}
+
+function undo() {
+    if (editHistory) editHistory.undo();
+}
+
+function redo() {
+    if (editHistory) editHistory.redo();
+}
+
+function refreshHistoryButtons(history) {
+    document.getElementById('btn-undo').disabled = !history.canUndo;
+    document.getElementById('btn-redo').disabled = !history.canRedo;
+}
+
+function imageId(image) {
+    if (!image) return 0;
+    if (!imageIds.has(image)) imageIds.set(image, nextImageId++);
+    return imageIds.get(image);
+}
+
+function historySignature() {
+    return JSON.stringify([
+        presetSignature(capturePreset('')),
+        imageId(engine.media || engine.sourceImage),
+        maskSettings,
+        engine.emissionMask.version
+    ]);
+}
+
+// The image (or video / sequence) is kept by reference; the emission mask is shared with the
+// previous step unless it changed
+function captureHistoryState(previous) {
+    const mask = engine.emissionMask;
+    return {
+        preset: capturePreset(''),
+        image: engine.media || engine.sourceImage,
+        maskSettings: structuredClone(maskSettings),
+        emission: previous && previous.emission.version === mask.version ? previous.emission : mask.snapshot()
+    };
+}
+
+function restoreHistoryState(state) {
+    const layerIndex = selectedLayer;
+    if (state.image && state.image !== (engine.media || engine.sourceImage)) {
+        // Videos and sequences are media sources, everything else a still
+        if (typeof state.image.sync === 'function') engine.setMedia(state.image);
+        else engine.setImage(state.image);
+    }
+    const remask = JSON.stringify(state.maskSettings) !== JSON.stringify(maskSettings);
+    Object.assign(maskSettings, structuredClone(state.maskSettings));
+    if (state.emission.version !== engine.emissionMask.version && engine.emissionMask.restore(state.emission)) {
+        engine.emissionDirty = true;
+    }
+    if (remask) applyMask();
+    refreshMaskControls();
+
+    applyLook(state.preset);
+    selectLayer(Math.min(layerIndex, layers.length - 1));
+}
+
+// --- A/B Comparison ---
+// Two snapshot slots: "A ⇄ B" loads the other slot into the panel (an edit
+// like any other, so it can be undone), the wipe shows A on the left and B
+// on the right of a draggable divider while the panel keeps editing the
+// live state.
+function setupCompareUI() {
+    ['a', 'b'].forEach((slot) => {
+        document.getElementById(`btn-snapshot-${slot}`).addEventListener('click', () => {
+            snapshots[slot] = capturePreset(`Snapshot ${slot.toUpperCase()}`);
+            if (engine.comparison) engine.comparison[slot === 'a' ? 'left' : 'right'] = structuredClone(snapshots[slot]);
+            setCompareStatus(t('compare.stored', { slot: slot.toUpperCase() }));
+        });
+    });
+
+    let shown = null;
+    document.getElementById('btn-compare-swap').addEventListener('click', () => {
+        const slot = shown === 'a' ? 'b' : 'a';
+        if (!snapshots[slot]) {
+            setCompareStatus(t('compare.empty', { slot: slot.toUpperCase() }));
+            return;
+        }
+        applyLook(snapshots[slot]);
+        shown = slot;
+        setCompareStatus(t('compare.showing', { slot: slot.toUpperCase() }));
+    });
+
+    document.getElementById('btn-compare-wipe').addEventListener('click', () => setWipe(!engine.comparison));
+
+    const handle = document.getElementById('wipe-handle');
+    handle.addEventListener('pointerdown', (e) => {
+        if (e.button !== 0) return;
+        handle.setPointerCapture(e.pointerId);
+        handle.classList.add('dragging');
+    });
+    handle.addEventListener('pointermove', (e) => {
+        if (!handle.classList.contains('dragging') || !engine.comparison) return;
+        const rect = engine.canvas.getBoundingClientRect();
+        engine.comparison.position = Math.min(1, Math.max(0, (e.clientX - rect.left) / rect.width));
+        positionWipeHandle();
+    });
+    const release = () => handle.classList.remove('dragging');
+    handle.addEventListener('pointerup', release);
+    handle.addEventListener('pointercancel', release);
+    // Focused, the arrow keys move the divider (further with Shift)
+    handle.addEventListener('keydown', (e) => {
+        const direction = { ArrowLeft: -1, ArrowDown: -1, ArrowRight: 1, ArrowUp: 1 }[e.key];
+        if (!direction || !engine.comparison) return;
+        e.preventDefault();
+        const position = engine.comparison.position + direction * (e.shiftKey ? 0.1 : 0.02);
+        engine.comparison.position = Math.min(1, Math.max(0, position));
+        positionWipeHandle();
+    });
+    window.addEventListener('resize', positionWipeHandle);
+}
+
+function setWipe(on) {
+    if (on && !(snapshots.a && snapshots.b)) {
+        setCompareStatus(t('compare.storeFirst'));
+        return;
+    }
+    engine.comparison = on
+        ? { left: structuredClone(snapshots.a), right: structuredClone(snapshots.b), position: 0.5 }
+        : null;
+    document.getElementById('btn-compare-wipe').classList.toggle('active', on);
+    document.getElementById('wipe-handle').hidden = !on;
+    positionWipeHandle();
+    setCompareStatus(on ? t('compare.wipeOn') : '');
+}
+
+function positionWipeHandle() {
+    if (!engine.comparison) return;
+    const rect = engine.canvas.getBoundingClientRect();
+    const handle = document.getElementById('wipe-handle');
+    handle.style.left = `${rect.left + engine.comparison.position * rect.width}px`;
+    handle.setAttribute('aria-valuenow', Math.round(engine.comparison.position * 100));
+}
+
+function setCompareStatus(text) {
+    const status = document.getElementById('compare-status');
+    if (status) status.innerText = text;
+}
+
+// --- Presentation ---
+// Plays the playlist full screen without the panel: each item crossfades in
+// from the previous one (see AuraEngine.beginTransition) and stays for its
+// duration, then the next follows, looping. → / ← skip, space pauses,
+// Esc ends.
+let presentationHintTimer = null;
+
+function setupPresentationUI() {
+    refreshPlaylist();
+
+    document.getElementById('btn-playlist-add').addEventListener('click', addToPlaylist);
+    const fadeInput = document.getElementById('playlist-fade');
+    fadeInput.addEventListener('change', () => {
+        const fade = parseFloat(fadeInput.value);
+        if (Number.isFinite(fade) && fade >= 0) playlist.fade = fade;
+        fadeInput.value = playlist.fade;
+    });
+    document.getElementById('btn-playlist-save').addEventListener('click', () => {
+        const blob = new Blob([playlistToJSON(playlist)], { type: 'application/json' });
+        downloadBlob(blob, 'playlist.json');
+    });
+    document.getElementById('playlist-file').addEventListener('change', async (e) => {
+        const file = e.target.files[0];
+        e.target.value = '';
+        if (!file) return;
+        try {
+            playlist = playlistFromJSON(await file.text());
+            refreshPlaylist();
+            setPlaylistStatus(t('playlist.loaded', { count: playlist.items.length }));
+        } catch (err) {
+            console.warn('Could not read the playlist file.', err);
+            setPlaylistStatus(t('playlist.loadFailed', { message: errorMessage(err) }));
+        }
+    });
+    document.getElementById('btn-present').addEventListener('click', startPresentation);
+
+    engine.addEventListener('tick', (e) => updatePresentation(e.detail.delta));
+    window.addEventListener('keydown', onPresentationKey);
+    // Esc in full screen is taken by the browser: leaving full screen ends it
+    document.addEventListener('fullscreenchange', () => {
+        if (!document.fullscreenElement && presentation.active) stopPresentation();
+    });
+}
+
+// The current still with its look, mask settings and emission mask
+function addToPlaylist() {
+    if (engine.media || !engine.sourceImage) {
+        setPlaylistStatus(t('playlist.stillsOnly'));
+        return;
+    }
+    const name = `${playlist.items.length + 1}`;
+    playlist.items.push(createPlaylistItem({
+        name,
+        // As loaded: a data URL for uploads, tara.png for the startup image
+        image: engine.sourceImage.getAttribute('src'),
+        emission: engine.emissionMask.canvas.toDataURL('image/png'),
+        mask: maskSettings,
+        preset: capturePreset(name)
+    }));
+    refreshPlaylist();
+    setPlaylistStatus(t('playlist.added', { name }));
+}
+
+function refreshPlaylist() {
+    const list = document.getElementById('playlist-list');
+    const restoreFocus = rememberFocus(list);
+    list.innerHTML = '';
+    document.getElementById('playlist-fade').value = playlist.fade;
+
+    const iconButton = (text, title, onClick) => {
+        const btn = document.createElement('button');
+        btn.textContent = text;
+        btn.title = title;
+        btn.setAttribute('aria-label', title);
+        btn.addEventListener('click', onClick);
+        return btn;
+    };
+    const move = (from, to) => {
+        playlist.items.splice(to, 0, ...playlist.items.splice(from, 1));
+        refreshPlaylist();
+    };
+
+    playlist.items.forEach((item, index) => {
+        const row = document.createElement('div');
+        row.className = 'playlist-row';
+
+        const name = document.createElement('input');
+        name.type = 'text';
+        name.value = item.name;
+        name.title = t('playlist.name');
+        name.addEventListener('change', () => { item.name = name.value.trim() || `${index + 1}`; });
+
+        const duration = document.createElement('input');
+        duration.type = 'number';
+        duration.min = '1';
+        duration.step = '1';
+        duration.value = item.duration;
+        duration.title = t('playlist.duration');
+        duration.addEventListener('change', () => {
+            const seconds = parseFloat(duration.value);
+            if (Number.isFinite(seconds) && seconds > 0) item.duration = seconds;
+            duration.value = item.duration;
+        });
+
+        const upBtn = iconButton('▲', t('common.moveUp'), () => move(index, index - 1));
+        upBtn.disabled = index === 0;
+        const downBtn = iconButton('▼', t('common.moveDown'), () => move(index, index + 1));
+        downBtn.disabled = index === playlist.items.length - 1;
+        const removeBtn = iconButton('✕', t('playlist.remove'), () => {
+            playlist.items.splice(index, 1);
+            refreshPlaylist();
+        });
+
+        row.append(name, duration, upBtn, downBtn, removeBtn);
+        list.appendChild(row);
+    });
+    restoreFocus();
+    document.getElementById('btn-present').disabled = !playlist.items.length;
+}
+
+function startPresentation() {
+    if (!playlist.items.length || presentation.active || exportJob) return;
+    setWipe(false);
+    setBrushActive(false);
+    document.activeElement.blur(); // Space would press the focused button again
+    Object.assign(presentation, { active: true, index: 0, elapsed: 0, paused: false });
+    document.body.classList.add('presenting');
+    // Needs this click; without it the page still presents, in the window
+    if (document.documentElement.requestFullscreen) {
+        document.documentElement.requestFullscreen().catch((err) => console.warn('Full screen is not available.', err));
+    }
+    showPresentationHint(t('presentation.hint'));
+    showPlaylistItem(0);
+}
+
+function stopPresentation() {
+    presentation.active = false;
+    document.body.classList.remove('presenting');
+    hidePresentationHint();
+    if (presentation.paused) engine.play();
+    presentation.paused = false;
+    if (document.fullscreenElement) document.exitFullscreen().catch(() => {});
+}
+
+// Crossfade to item `index` (wrapping around) once its images are loaded
+async function showPlaylistItem(index) {
+    const count = playlist.items.length;
+    const next = ((index % count) + count) % count;
+    const item = playlist.items[next];
+    presentation.loading = true;
+    try {
+        const [image, emission] = await Promise.all([
+            engine.fetchImage(item.image),
+            item.emission ? engine.fetchImage(item.emission) : null
+        ]);
+        if (!presentation.active) return;
+        engine.beginTransition(playlist.fade);
+        Object.assign(maskSettings, item.mask);
+        applyPreset(item.preset);
+        engine.setImage(image, emission);
+        refreshMaskControls();
+        if (presentation.paused) engine.pause();
+    } catch (err) {
+        // Reported by the engine's error event; the previous item stays for this one's time
+        console.warn(`Could not load the playlist item ${item.name}.`, err);
+    } finally {
+        presentation.index = next;
+        presentation.elapsed = 0;
+        presentation.loading = false;
+    }
+}
+
+function updatePresentation(delta) {
+    if (!presentation.active || presentation.paused || presentation.loading) return;
+    presentation.elapsed += delta;
+    if (presentation.elapsed >= playlist.items[presentation.index].duration) {
+        showPlaylistItem(presentation.index + 1);
+    }
+}
+
+function onPresentationKey(e) {
+    if (!presentation.active) return;
+    const skip = (step) => {
+        if (!presentation.loading) showPlaylistItem(presentation.index + step);
+    };
+    const actions = {
+        ArrowRight: () => skip(1),
+        PageDown: () => skip(1),
+        ArrowLeft: () => skip(-1),
+        PageUp: () => skip(-1),
+        ' ': togglePresentationPause,
+        Escape: stopPresentation
+    };
+    const action = actions[e.key];
+    if (!action) return;
+    e.preventDefault();
+    action();
+}
+
+function togglePresentationPause() {
+    presentation.paused = !presentation.paused;
+    if (presentation.paused) {
+        engine.pause();
+        showPresentationHint(t('presentation.paused'), true);
+    } else {
+        engine.play();
+        hidePresentationHint();
+    }
+}
+
+// `sticky`: stays until hidden, else fades after a few seconds
+function showPresentationHint(text, sticky = false) {
+    const hint = document.getElementById('presentation-hint');
+    hint.innerText = text;
+    hint.hidden = false;
+    clearTimeout(presentationHintTimer);
+    if (!sticky) presentationHintTimer = setTimeout(hidePresentationHint, 4000);
+}
+
+function hidePresentationHint() {
+    clearTimeout(presentationHintTimer);
+    document.getElementById('presentation-hint').hidden = true;
+}
+
+function setPlaylistStatus(text) {
+    const status = document.getElementById('playlist-status');
+    if (status) status.innerText = text;
+}
+
+// --- Remote Control ---
+// `?remote=ws://host:8765` connects to the relay on startup;
+// `?remote-origin=https://a.example,https://b.example` also accepts
+// postMessage commands from those origins ('*' = any)
+function setupRemote() {
+    const query = new URLSearchParams(window.location.search);
+    const origins = (query.get('remote-origin') || '').split(',').map((o) => o.trim()).filter(Boolean);
+    remote = new RemoteControl(engine, {
+        onApply: onRemoteApply,
+        allowedOrigins: [window.location.origin, ...origins]
+    });
+    remote.addEventListener('status', onRemoteStatus);
+    if (query.get('remote')) remote.connect(query.get('remote'));
+}
+
+function setupRemoteUI() {
+    const urlInput = document.getElementById('remote-url');
+    urlInput.value = remote.url || `ws://${window.location.hostname || 'localhost'}:8765`;
+
+    document.getElementById('btn-remote-connect').addEventListener('click', () => {
+        if (remote.url) remote.disconnect();
+        else remote.connect(urlInput.value.trim());
+    });
+    // The companion window mirrors this one over postMessage, no relay needed
+    document.getElementById('btn-remote-window').addEventListener('click', () => {
+        const win = window.open(window.location.href, 'tara-remote', 'width=420,height=900');
+        if (win) remote.addWindow(win, window.location.origin);
+        else setRemoteStatus(t('remote.popupBlocked'));
+    });
+}
+
+// Refresh what a received command changed
+function onRemoteApply(message) {
+    markHistoryDirty();
+    if ((message.cmd === 'setParam' || message.cmd === 'setParams') && (message.layer || 0) === selectedLayer) {
+        refreshSliderValues(message.cmd === 'setParam' ? [message.key] : Object.keys(message.values || {}));
+        return;
+    }
+    if (['play', 'pause', 'restart', 'seek'].includes(message.cmd)) return;
+
+    refreshPostUI();
+    refreshParticleUI();
+    refreshTimelineUI();
+    selectLayer(Math.min(selectedLayer, layers.length - 1));
+}
+
+function onRemoteStatus(e) {
+    remoteStatus = e.detail;
+    refreshRemoteStatus();
+}
+
+// Also after a language change
+function refreshRemoteStatus() {
+    const { state, detail, url } = remoteStatus;
+    setRemoteStatus(t(`remote.${state}`, { detail, url }));
+    const button = document.getElementById('btn-remote-connect');
+    if (button) button.textContent = t(remote.url ? 'remote.disconnect' : 'remote.connect');
+}
+
+function setRemoteStatus(text) {
+    const status = document.getElementById('remote-status');
+    if (status) status.innerText = text;
+}
+
+// --- Export ---
+// Renders the animation offscreen on a fixed timestep so every frame is
+// captured regardless of the display refresh rate or the UI panel.
+function setupExportUI() {
+    document.getElementById('btn-export').addEventListener('click', () => {
+        const opts = {
+            width: parseInt(document.getElementById('export-width').value),
+            height: parseInt(document.getElementById('export-height').value),
+            fps: parseInt(document.getElementById('export-fps').value),
+            start: parseFloat(document.getElementById('export-start').value),
+            end: parseFloat(document.getElementById('export-end').value),
+            format: document.getElementById('export-format').value
+        };
+        runExport(opts).catch((err) => {
+            console.warn('Export failed.', err);
+            setExportStatus(t('export.failed', { message: errorMessage(err) }));
+        });
+    });
+    document.getElementById('btn-export-cancel').addEventListener('click', () => {
+        if (exportJob) exportJob.cancelled = true;
+    });
+}
+
+function setExportStatus(text, progress = null) {
+    document.getElementById('export-status').innerText = text;
+    const bar = document.getElementById('export-progress');
+    bar.hidden = progress === null;
+    if (progress !== null) bar.value = progress;
+}
+
+function setExportRunning(running) {
+    document.getElementById('btn-export').disabled = running;
+    document.getElementById('btn-export-cancel').disabled = !running;
+}
+
+async function runExport({ width, height, fps, start, end, format }) {
+    if (exportJob || !engine.sourceImage) return;
+    if (!(width > 0 && height > 0 && fps > 0 && end > start)) {
+        throw new Error(t('export.invalid'));
+    }
+    if (engine.contextLost) throw new Error(t('export.contextLost'));
+
+    const frameCount = Math.round((end - start) * fps);
+    if (format === 'png' && frameCount > MAX_ZIP_ENTRIES) {
+        throw new Error(t('error.zipTooManyFiles', { max: MAX_ZIP_ENTRIES }));
+    }
+
+    // What can fail up front (allocation, the recorder) comes before the live
+    // view is frozen, so a failure leaves it as it was.
+    // 2D canvas that receives the read-back pixels (encoder / PNG source):
+    const canvas = document.createElement('canvas');
+    canvas.width = width;
+    canvas.height = height;
+    const ctx = canvas.getContext('2d');
+    const pixels = new Uint8Array(width * height * 4);
+    const image = ctx.createImageData(width, height);
+    const sink = format === 'png' ? new ZipWriter() : createVideoSink(canvas, fps);
+
+    const job = { cancelled: false };
+    exportJob = job;
+    engine.frozen = true; // The export drives time and rendering on a fixed timestep
+    const savedQuality = engine.quality.key;
+    const savedTime = engine.currentTime;
+    let target = null;
+
+    try {
+        engine.setQuality('high'); // Exports always render every detail
+        setExportRunning(true);
+
+        // Offscreen target and a camera framed for the export aspect
+        target = new THREE.WebGLRenderTarget(width, height);
+        const aspect = width / height;
+        const exportCamera = engine.createCamera(aspect);
+        engine.fitCamera(exportCamera, aspect);
+        engine.auraMaterial.uniforms.uResolution.value.set(width, height);
+
+        const startedAt = performance.now();
+        for (let i = 0; i < frameCount; i++) {
+            if (job.cancelled) break;
+
+            engine.currentTime = start + i / fps;
+            await engine.seekMedia(engine.currentTime);
+            engine.update(engine.currentTime);
+            engine.render(exportCamera, width, height, target);
+            engine.renderer.readRenderTargetPixels(target, 0, 0, width, height, pixels);
+
+            // WebGL rows are bottom-up
+            const rowBytes = width * 4;
+            for (let y = 0; y < height; y++) {
+                const src = (height - 1 - y) * rowBytes;
+                image.data.set(pixels.subarray(src, src + rowBytes), y * rowBytes);
+            }
+            unpremultiply(image.data); // Transparent backgrounds
+            ctx.putImageData(image, 0, 0);
+
+            if (format === 'png') {
+                const blob = await new Promise((resolve) => canvas.toBlob(resolve, 'image/png'));
+                await sink.add(`frame_${String(i).padStart(5, '0')}.png`, blob);
+            } else {
+                sink.track.requestFrame();
+                // MediaRecorder timestamps frames by wall clock, so pace them in real time
+                const due = startedAt + (i + 1) * 1000 / fps;
+                await new Promise((resolve) => setTimeout(resolve, Math.max(0, due - performance.now())));
+            }
+
+            setExportStatus(t('export.progress', { frame: i + 1, count: frameCount }), (i + 1) / frameCount);
+        }
+
+        if (job.cancelled) {
+            if (format !== 'png') await sink.stop();
+            setExportStatus(t('export.cancelled'));
+            return;
+        }
+
+        const stamp = new Date().toISOString().replace(/[:.]/g, '-');
+        if (format === 'png') {
+            downloadBlob(sink.finish(), `tara-aura-${stamp}.zip`);
+        } else {
+            downloadBlob(await sink.stop(), `tara-aura-${stamp}.webm`);
+        }
+        setExportStatus(t('export.done'));
+    } finally {
+        if (target) target.dispose();
+        if (format !== 'png') sink.abort(); // After an error mid-recording
+        engine.currentTime = savedTime;
+        engine.resize(); // Restores uResolution
+        engine.setQuality(savedQuality);
+        adaptiveQuality.reset(); // The export's frames say nothing about the live view
+        engine.frozen = false;
+        exportJob = null;
+        setExportRunning(false);
+    }
+}
+
+// Wraps a MediaRecorder fed by manually requested canvas frames
+function createVideoSink(canvas, fps) {
+    if (typeof MediaRecorder === 'undefined') {
+        throw new Error(t('export.noRecorder'));
+    }
+    const stream = canvas.captureStream(0);
+    const track = stream.getVideoTracks()[0];
+    const mimeType = ['video/webm;codecs=vp9', 'video/webm;codecs=vp8', 'video/webm']
+        .find((type) => MediaRecorder.isTypeSupported(type));
+    if (!mimeType) throw new Error(t('export.noRecorder'));
+    let recorder;
+    try {
+        recorder = new MediaRecorder(stream, {
+            mimeType,
+            videoBitsPerSecond: Math.round(canvas.width * canvas.height * fps * 0.2)
+        });
+    } catch (err) {
+        track.stop();
+        throw err;
+    }
+    const chunks = [];
+    recorder.ondataavailable = (e) => { if (e.data.size) chunks.push(e.data); };
+    recorder.start();
+
+    return {
+        track,
+        stop() {
+            return new Promise((resolve) => {
+                recorder.onstop = () => {
+                    track.stop();
+                    resolve(new Blob(chunks, { type: 'video/webm' }));
+                };
+                recorder.stop();
+            });
+        },
+        // Drop the recording, if it is still running
+        abort() {
+            if (recorder.state !== 'inactive') recorder.stop();
+            track.stop();
+        }
+    };
+}
 
-    renderer.render(scene, camera);
+function downloadBlob(blob, filename) {
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    link.click();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
 }
 
 // Start
@@ -0,0 +1,223 @@
+// --- Alpha Mask Generation ---
+// Every aura grows out of the image's alpha channel, so an opaque JPEG (alpha
+// = 1 everywhere) has no silhouette to work with. These helpers derive alpha
+// from the pixels instead:
+//
+//   colorKey   Pixels close to the key color become transparent
+//   luminance  Pixels with the background's brightness and little saturation
+//              become transparent (paper, plain backdrops)
+//   floodFill  Like colorKey, but only regions connected to the image border,
+//              so matching colors inside the figure survive
+//   auto       floodFill for opaque images, the original alpha otherwise
+//   none       The original alpha
+//
+// Runs on the CPU once per image / settings change, and per frame for
+// videos and image sequences (see media-source.js).
+
+export const MASK_MODES = {
+    auto: '자동 (Auto)',
+    none: '없음 (None)',
+    colorKey: '색상 키 (Color Key)',
+    luminance: '밝기/채도 (Luminance)',
+    floodFill: '가장자리 채우기 (Edge Fill)'
+};
+
+export const MAX_MASK_SIZE = 4096;
+
+export function defaultMaskSettings() {
+    return { mode: 'auto', keyColor: null, tolerance: 0.15, feather: 2 };
+}
+
+// Draws `image` into a canvas with a generated alpha channel. keyColor null =
+// estimated from the border. Returns { canvas, mode, keyColor } with the mode
+// that was actually applied. Video frames pass a smaller `maxSize` and the
+// previous frame's `canvas` to draw into.
+export function generateAlphaMask(image, settings, { maxSize = MAX_MASK_SIZE, canvas = null } = {}) {
+    const scale = Math.min(1, maxSize / Math.max(image.width, image.height));
+    const width = Math.max(1, Math.round(image.width * scale));
+    const height = Math.max(1, Math.round(image.height * scale));
+    if (!canvas) canvas = document.createElement('canvas');
+    if (canvas.width !== width || canvas.height !== height) {
+        canvas.width = width;
+        canvas.height = height;
+    }
+    const ctx = canvas.getContext('2d', { willReadFrequently: true });
+    ctx.clearRect(0, 0, width, height);
+    ctx.drawImage(image, 0, 0, width, height);
+
+    const imageData = ctx.getImageData(0, 0, canvas.width, canvas.height);
+    const { mode, keyColor } = maskImageData(imageData, settings, scale);
+    if (mode !== 'none') ctx.putImageData(imageData, 0, 0);
+    return { canvas, mode, keyColor };
+}
+
+// The masking itself, in place on RGBA pixels ({ data, width, height }, as
+// ImageData), so it also runs without a DOM (tools/render-batch.mjs).
+// `scale`: pixels per source pixel, to keep the feather in source pixels.
+// Returns { mode, keyColor }.
+export function maskImageData(imageData, settings, scale = 1) {
+    const { data, width, height } = imageData;
+
+    let mode = settings.mode;
+    if (mode === 'auto') mode = isOpaque(data) ? 'floodFill' : 'none';
+    const keyColor = settings.keyColor || estimateBackground(data, width, height);
+    if (mode === 'none') return { mode, keyColor };
+
+    const tolerance = Math.max(0.001, settings.tolerance);
+    let alpha;
+    if (mode === 'colorKey') alpha = colorKeyMask(data, keyColor, tolerance);
+    else if (mode === 'luminance') alpha = luminanceMask(data, keyColor, tolerance);
+    else alpha = floodFillMask(data, width, height, keyColor, tolerance);
+
+    if (settings.feather > 0) {
+        const radius = Math.round(settings.feather * scale);
+        // Two box passes approximate a gaussian
+        boxBlur(alpha, width, height, radius);
+        boxBlur(alpha, width, height, radius);
+    }
+
+    // Keep any transparency the source already had
+    for (let i = 0; i < alpha.length; i++) {
+        data[i * 4 + 3] = Math.round(alpha[i] * data[i * 4 + 3]);
+    }
+    return { mode, keyColor };
+}
+
+// RGBA pixels ({ data, width, height }) scaled down to at most `maxSize`
+// on the longer side, averaging the source pixels under each new one.
+// Smaller images are returned as they are.
+export function downscalePixels(pixels, maxSize) {
+    const { data, width, height } = pixels;
+    const scale = maxSize / Math.max(width, height);
+    if (scale >= 1) return pixels;
+    const w = Math.max(1, Math.round(width * scale));
+    const h = Math.max(1, Math.round(height * scale));
+    const out = new Uint8ClampedArray(w * h * 4);
+    for (let y = 0; y < h; y++) {
+        const y0 = Math.floor((y * height) / h);
+        const y1 = Math.max(y0 + 1, Math.floor(((y + 1) * height) / h));
+        for (let x = 0; x < w; x++) {
+            const x0 = Math.floor((x * width) / w);
+            const x1 = Math.max(x0 + 1, Math.floor(((x + 1) * width) / w));
+            const sum = [0, 0, 0, 0];
+            for (let sy = y0; sy < y1; sy++) {
+                for (let sx = x0; sx < x1; sx++) {
+                    const i = (sy * width + sx) * 4;
+                    for (let c = 0; c < 4; c++) sum[c] += data[i + c];
+                }
+            }
+            const count = (y1 - y0) * (x1 - x0);
+            const o = (y * w + x) * 4;
+            for (let c = 0; c < 4; c++) out[o + c] = sum[c] / count;
+        }
+    }
+    return { data: out, width: w, height: h };
+}
+
+function isOpaque(data) {
+    for (let i = 3; i < data.length; i += 4) {
+        if (data[i] < 250) return false;
+    }
+    return true;
+}
+
+// Per-channel median of the border pixels, as [r, g, b] in 0..255
+export function estimateBackground(data, width, height) {
+    const hist = [new Uint32Array(256), new Uint32Array(256), new Uint32Array(256)];
+    let count = 0;
+    forEachBorderPixel(width, height, (i) => {
+        for (let c = 0; c < 3; c++) hist[c][data[i * 4 + c]]++;
+        count++;
+    });
+    return hist.map((h) => {
+        let sum = 0;
+        for (let v = 0; v < 256; v++) {
+            sum += h[v];
+            if (sum * 2 >= count) return v;
+        }
+        return 255;
+    });
+}
+
+function forEachBorderPixel(width, height, fn) {
+    for (let x = 0; x < width; x++) {
+        fn(x);
+        if (height > 1) fn((height - 1) * width + x);
+    }
+    for (let y = 1; y < height - 1; y++) {
+        fn(y * width);
+        if (width > 1) fn(y * width + width - 1);
+    }
+}
+
+// 0 = key color .. 1 = the opposite corner of the RGB cube
+function colorDistance(data, i, key) {
+    const dr = data[i * 4] - key[0];
+    const dg = data[i * 4 + 1] - key[1];
+    const db = data[i * 4 + 2] - key[2];
+    return Math.sqrt(dr * dr + dg * dg + db * db) / 441.673;
+}
+
+// Hard edge at the tolerance; feathering softens it afterwards
+function colorKeyMask(data, key, tolerance) {
+    const alpha = new Float32Array(data.length / 4);
+    for (let i = 0; i < alpha.length; i++) {
+        alpha[i] = colorDistance(data, i, key) > tolerance ? 1 : 0;
+    }
+    return alpha;
+}
+
+function luminanceMask(data, key, tolerance) {
+    const keyLum = (0.299 * key[0] + 0.587 * key[1] + 0.114 * key[2]) / 255;
+    const alpha = new Float32Array(data.length / 4);
+    for (let i = 0; i < alpha.length; i++) {
+        const r = data[i * 4], g = data[i * 4 + 1], b = data[i * 4 + 2];
+        const lum = (0.299 * r + 0.587 * g + 0.114 * b) / 255;
+        const max = Math.max(r, g, b);
+        const sat = max ? (max - Math.min(r, g, b)) / max : 0;
+        alpha[i] = Math.abs(lum - keyLum) > tolerance || sat > tolerance ? 1 : 0;
+    }
+    return alpha;
+}
+
+// Breadth-first fill from every border pixel within tolerance of the key
+function floodFillMask(data, width, height, key, tolerance) {
+    const total = width * height;
+    const alpha = new Float32Array(total).fill(1);
+    const queue = new Int32Array(total);
+    let head = 0, tail = 0;
+
+    const visit = (i) => {
+        if (alpha[i] === 0 || colorDistance(data, i, key) > tolerance) return;
+        alpha[i] = 0;
+        queue[tail++] = i;
+    };
+    forEachBorderPixel(width, height, visit);
+
+    while (head < tail) {
+        const i = queue[head++];
+        const x = i % width;
+        if (x > 0) visit(i - 1);
+        if (x < width - 1) visit(i + 1);
+        if (i >= width) visit(i - width);
+        if (i < total - width) visit(i + width);
+    }
+    return alpha;
+}
+
+// In-place separable box blur with a running sum
+function boxBlur(values, width, height, radius) {
+    if (radius < 1) return;
+    const line = new Float32Array(Math.max(width, height));
+    const blurLine = (start, stride, length) => {
+        for (let k = 0; k < length; k++) line[k] = values[start + k * stride];
+        let sum = 0;
+        for (let k = -radius; k <= radius; k++) sum += line[Math.min(length - 1, Math.max(0, k))];
+        for (let k = 0; k < length; k++) {
+            values[start + k * stride] = sum / (2 * radius + 1);
+            sum += line[Math.min(length - 1, k + radius + 1)] - line[Math.max(0, k - radius)];
+        }
+    };
+    for (let y = 0; y < height; y++) blurLine(y * width, 1, width);
+    for (let x = 0; x < width; x++) blurLine(x, width, height);
+}
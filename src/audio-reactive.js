@@ -0,0 +1,182 @@
+// --- Audio-Reactive Input ---
+// Analyses an audio file or the microphone with the Web Audio API and turns
+// it into a handful of features in 0..1:
+//
+//   level   Overall loudness (RMS of the waveform)
+//   bass    Spectrum energy, 20 - 250 Hz
+//   mid     250 - 2000 Hz
+//   treble  2000 - 8000 Hz
+//   onset   Jumps to 1 on a detected onset / beat and decays
+//
+// Mappings route a feature to a parameter with their own gain and smoothing.
+// The modulation is added on top of the parameter's slider / keyframe value,
+// scaled to the parameter's range, and never written back into `params`.
+
+export const AUDIO_FEATURES = {
+    level: '음량 (Level)',
+    bass: '저음 (Bass)',
+    mid: '중음 (Mid)',
+    treble: '고음 (Treble)',
+    onset: '비트 (Onset)'
+};
+
+const BANDS = {
+    bass: [20, 250],
+    mid: [250, 2000],
+    treble: [2000, 8000]
+};
+
+const ONSET_DECAY = 0.25;     // Seconds for an onset to fade to ~37 %
+const ONSET_REFRACTORY = 0.15; // Minimum seconds between onsets
+const FLUX_HISTORY = 43;      // Frames of spectral flux for the adaptive threshold (~0.7 s)
+
+export function createMapping(source = 'level', param = 'auraStrength') {
+    return { enabled: true, source, param, gain: 0.5, smoothing: 0.6 };
+}
+
+// A starting point for chanting: loudness swells the aura, beats quicken the breath
+export function defaultAudioMappings() {
+    return [
+        { ...createMapping('level', 'auraStrength'), gain: 0.4 },
+        { ...createMapping('bass', 'auraSize'), gain: 0.15, smoothing: 0.8 },
+        { ...createMapping('onset', 'breathSpeed'), gain: 0.3, smoothing: 0.3 },
+        { ...createMapping('treble', 'dropCount'), gain: 0.5 }
+    ];
+}
+
+export class AudioReactor {
+    constructor() {
+        this.context = null;
+        this.analyser = null;
+        this.source = null;
+        this.element = null;  // <audio> playing a file
+        this.stream = null;   // Microphone stream
+        this.features = Object.fromEntries(Object.keys(AUDIO_FEATURES).map((key) => [key, 0]));
+        this.smoothed = new WeakMap(); // mapping -> smoothed value
+        this.resetOnsets();
+    }
+
+    get active() {
+        return Boolean(this.source);
+    }
+
+    static microphoneAvailable() {
+        return Boolean(navigator.mediaDevices && navigator.mediaDevices.getUserMedia);
+    }
+
+    ensureContext() {
+        if (!this.context) {
+            this.context = new AudioContext();
+            this.analyser = this.context.createAnalyser();
+            this.analyser.fftSize = 2048;
+            this.analyser.smoothingTimeConstant = 0.5;
+            this.spectrum = new Uint8Array(this.analyser.frequencyBinCount);
+            this.previous = new Float32Array(this.analyser.frequencyBinCount);
+            this.waveform = new Float32Array(this.analyser.fftSize);
+        }
+        return this.context.resume();
+    }
+
+    // Loops a local audio file through the speakers and the analyser
+    async playFile(file) {
+        await this.ensureContext();
+        this.stop();
+        this.element = new Audio(URL.createObjectURL(file));
+        this.element.loop = true;
+        this.source = this.context.createMediaElementSource(this.element);
+        this.source.connect(this.analyser);
+        this.analyser.connect(this.context.destination);
+        await this.element.play();
+    }
+
+    // Analysed only, not played back (that would feed back into the mic)
+    async useMicrophone() {
+        await this.ensureContext();
+        this.stop();
+        this.stream = await navigator.mediaDevices.getUserMedia({ audio: true });
+        this.source = this.context.createMediaStreamSource(this.stream);
+        this.source.connect(this.analyser);
+    }
+
+    stop() {
+        if (this.source) this.source.disconnect();
+        if (this.analyser) this.analyser.disconnect();
+        if (this.element) {
+            this.element.pause();
+            URL.revokeObjectURL(this.element.src);
+        }
+        if (this.stream) this.stream.getTracks().forEach((track) => track.stop());
+        this.source = this.element = this.stream = null;
+        Object.keys(this.features).forEach((key) => { this.features[key] = 0; });
+        this.resetOnsets();
+    }
+
+    resetOnsets() {
+        this.fluxHistory = [];
+        this.sinceOnset = Infinity;
+    }
+
+    // Refresh the features; dt is the frame time in seconds
+    update(dt) {
+        if (!this.active) return this.features;
+        const { analyser, spectrum, waveform, previous, features } = this;
+
+        analyser.getFloatTimeDomainData(waveform);
+        let sum = 0;
+        for (let i = 0; i < waveform.length; i++) sum += waveform[i] * waveform[i];
+        features.level = Math.min(1, Math.sqrt(sum / waveform.length) * 3);
+
+        analyser.getByteFrequencyData(spectrum);
+        const binHz = this.context.sampleRate / analyser.fftSize;
+        for (const [band, [lo, hi]] of Object.entries(BANDS)) {
+            const from = Math.max(1, Math.floor(lo / binHz));
+            const to = Math.min(spectrum.length - 1, Math.ceil(hi / binHz));
+            let energy = 0;
+            for (let i = from; i <= to; i++) energy += spectrum[i];
+            features[band] = energy / ((to - from + 1) * 255);
+        }
+
+        // Spectral flux against an adaptive threshold
+        let flux = 0;
+        for (let i = 0; i < spectrum.length; i++) {
+            const value = spectrum[i] / 255;
+            flux += Math.max(0, value - previous[i]);
+            previous[i] = value;
+        }
+        flux /= spectrum.length;
+        const mean = this.fluxHistory.reduce((a, b) => a + b, 0) / (this.fluxHistory.length || 1);
+        this.fluxHistory.push(flux);
+        if (this.fluxHistory.length > FLUX_HISTORY) this.fluxHistory.shift();
+
+        this.sinceOnset += dt;
+        if (flux > mean * 1.5 + 0.002 && this.sinceOnset > ONSET_REFRACTORY) {
+            this.sinceOnset = 0;
+        }
+        features.onset = Math.exp(-this.sinceOnset / ONSET_DECAY);
+        return features;
+    }
+
+    // Smoothed feature value of a mapping for this frame (0 when inactive)
+    mappingValue(mapping, dt) {
+        const target = this.active ? this.features[mapping.source] || 0 : 0;
+        const prev = this.smoothed.has(mapping) ? this.smoothed.get(mapping) : target;
+        // Frame-rate independent exponential smoothing (smoothing 0 = none)
+        const keep = Math.pow(Math.min(mapping.smoothing, 0.99), dt * 60);
+        const value = prev * keep + target * (1 - keep);
+        this.smoothed.set(mapping, value);
+        return value;
+    }
+}
+
+// Copy of `params` with the mapped modulation added. `values` holds one
+// mappingValue() per mapping, `defs` the param ranges (getParamDefs()).
+export function modulateParams(params, mappings, values, defs) {
+    const result = { ...params };
+    mappings.forEach((mapping, i) => {
+        const def = defs[mapping.param];
+        if (!mapping.enabled || !def || !(mapping.param in result)) return;
+        const value = result[mapping.param] + values[i] * mapping.gain * (def.max - def.min);
+        result[mapping.param] = Math.min(def.max, Math.max(def.min, value));
+    });
+    return result;
+}
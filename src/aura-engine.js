@@ -0,0 +1,806 @@
+import * as THREE from 'three';
+import { DistanceFieldGenerator } from './distance-field.js';
+import {
+    MAX_MASK_SIZE, defaultMaskSettings, downscalePixels, generateAlphaMask, maskImageData
+} from './alpha-mask.js';
+import { EmissionMask } from './emission-mask.js';
+import { LayerCompositor } from './compositor.js';
+import { PostProcessor } from './post-processing.js';
+import { ParticleSystem, createAlphaGrid } from './particles.js';
+import { CrossfadeView, WipeView } from './comparison.js';
+import { MEDIA_MASK_SIZE } from './media-source.js';
+import { getQualityTier } from './quality.js';
+import { auraReach } from './framing.js';
+import { visibleLayers } from './layers.js';
+import { createDefaultPreset, defaultParams } from './presets.js';
+import { applyTimeline } from './timeline.js';
+import { MAX_STOPS, defaultPalettes, hexToRgb } from './palettes.js';
+import { getAuraType, getAuraTypes, getTypeIndex, onAuraTypesChanged } from './auras/index.js';
+import {
+    vertexShader, buildFragmentShader, createAuraUniforms, applyParamUniforms,
+    bodyFragmentShader, createBodyUniforms
+} from './auras/shader.js';
+import { LocalizedError } from './i18n/index.js';
+
+// Limits of the view's zoom, relative to the fit
+const MIN_VIEW_ZOOM = 0.25;
+const MAX_VIEW_ZOOM = 8;
+
+// --- Aura Engine ---
+// One visualizer: renderer, scene, image, layer stack, timeline and the
+// render loop, drawing into a container element that it fills. Holds no
+// references to the control panel, so several can share a page (see
+// tara-aura.js); the panel in script.js drives one through this API.
+//
+// Events (EventTarget):
+//   load        An image finished loading        detail: { width, height }
+//   error       An image failed to load          detail: { error, url }
+//   tick        Every frame, before rendering    detail: { delta }
+//   timeupdate  After the timeline was applied   detail: { time, animated }
+//               (`animated`: per layer, the param keys keyframes changed)
+//   contextlost / contextrestored  The WebGL context was lost / is back and
+//               everything was rebuilt (see onContextRestored)
+//
+// The preset state (layers, timeline, palettes, post, particles, frame) is
+// mutated in place, never replaced, so callers may keep references to it.
+//
+// The live view can be panned and zoomed (setView, see view-controls.js)
+// on top of fitting the image and its padding; pointerToUV / uvToClient
+// follow it, and so do exports.
+//
+// Headless (tools/render-batch.mjs): pass `container` null, a renderer on a
+// headless GL context and the output size, hand setImage() RGBA pixels and
+// call update() / render() yourself. No canvas, loop, emission brush or
+// video sources. On a WebGL 1 context pass `targetType`, the float type it
+// can render to: the distance fields and the HDR targets are half float
+// otherwise, which WebGL 1 may not have.
+
+export class AuraEngine extends EventTarget {
+    constructor(container, {
+        image = null, renderer = null, width = 1, height = 1, targetType = THREE.HalfFloatType
+    } = {}) {
+        super();
+        this.container = container;
+        this.headless = !container;
+
+        // Preset state (see presets.js)
+        const preset = createDefaultPreset();
+        this.layers = preset.layers;
+        this.timeline = preset.timeline;
+        this.palettes = preset.palettes;
+        this.convergenceTarget = preset.convergenceTarget;
+        this.post = preset.post;
+        this.particles = preset.particles;
+        this.frame = preset.frame;
+        this.currentTime = 0;
+        this.paused = false;
+
+        this.maskSettings = defaultMaskSettings();
+        this.emissionMask = this.headless ? null : new EmissionMask(); // Painted emission regions
+        this.emissionDirty = false; // Rebuild the distance field on the next frame
+        this.sourceImage = null; // Loaded image before masking (the current frame of `media`)
+        this.media = null; // Video or image sequence (see media-source.js), null for a still
+        this.imageTexture = null; // Masked image shown on the plane (tDiffuse)
+        this.mask = null; // Last generateAlphaMask() result
+        this.imageAspect = 1;
+        this.distanceField = null;
+        this.backdrop = null; // Texture of the background image (see setBackdrop)
+        this.view = { x: 0, y: 0, zoom: 1 }; // Pan (image heights) and zoom over the fit
+
+        // (params, layer) -> params actually rendered, e.g. audio modulation.
+        // Skipped while `frozen` so offline renders stay repeatable.
+        this.paramModifier = null;
+        this.frozen = false; // Something else (an export) drives time and rendering
+        // { left, right, position }: show two presets side by side (A/B
+        // wipe) instead of the live state, see renderComparison()
+        this.comparison = null;
+        // Outgoing image and look while crossfading to the next one, see beginTransition()
+        this.transition = null;
+        this.quality = null; // Render quality tier (see quality.js), set below
+
+        this.scene = new THREE.Scene();
+        this.camera = this.createCamera(1);
+        // With alpha, for the transparent background (see framing.js)
+        this.renderer = renderer || new THREE.WebGLRenderer({ antialias: true, alpha: true });
+        // The scene's alpha tells where the background shows
+        this.renderer.setClearColor(0x000000, 0);
+        this.canvas = this.renderer.domElement;
+        this.contextLost = false;
+        if (!this.headless) {
+            this.renderer.setPixelRatio(window.devicePixelRatio);
+            this.canvas.style.display = 'block';
+            container.appendChild(this.canvas);
+            this.onContextLost = this.onContextLost.bind(this);
+            this.onContextRestored = this.onContextRestored.bind(this);
+            this.canvas.addEventListener('webglcontextlost', this.onContextLost);
+            this.canvas.addEventListener('webglcontextrestored', this.onContextRestored);
+        }
+
+        this.compositor = new LayerCompositor(this.renderer, targetType);
+        this.scene.add(this.compositor.quad);
+        this.particleSystem = new ParticleSystem(this.renderer);
+        this.scene.add(this.particleSystem.points);
+        this.particleSourcesDirty = false; // Resample spawn points before the next render
+        this.postProcessor = new PostProcessor(this.renderer, targetType);
+        this.wipeView = new WipeView(this.renderer);
+        this.crossfadeView = new CrossfadeView(this.renderer);
+        this.distanceFields = new DistanceFieldGenerator(this.renderer, targetType);
+        this.textureLoader = new THREE.TextureLoader();
+        this.clock = new THREE.Clock();
+        this.drawingBufferSize = new THREE.Vector2();
+
+        // Layers render with auraMaterial, the image with bodyMaterial
+        this.auraMaterial = new THREE.ShaderMaterial({
+            uniforms: createAuraUniforms(this.layers[0].params),
+            vertexShader,
+            fragmentShader: buildFragmentShader(),
+            transparent: true
+        });
+        this.bodyMaterial = new THREE.ShaderMaterial({
+            uniforms: createBodyUniforms(),
+            vertexShader,
+            fragmentShader: bodyFragmentShader,
+            transparent: true
+        });
+        if (this.emissionMask) this.bodyMaterial.uniforms.tEmission.value = this.emissionMask.texture;
+        this.geometry = new THREE.PlaneGeometry(1, 1);
+        this.mesh = new THREE.Mesh(this.geometry, this.bodyMaterial);
+        this.auraMesh = new THREE.Mesh(this.geometry, this.auraMaterial);
+        this.mesh.visible = false; // Until an image is loaded
+        this.scene.add(this.mesh);
+        this.applyPhases();
+        this.setQuality('high');
+
+        this.removeTypesListener = onAuraTypesChanged(() => this.onAuraTypesRegistered());
+        if (this.headless) {
+            this.setSize(width, height);
+        } else {
+            this.resizeObserver = new ResizeObserver(() => this.resize());
+            this.resizeObserver.observe(container);
+            this.resize();
+        }
+
+        this.frameId = null;
+        this.animate = this.animate.bind(this);
+        if (image) this.loadImage(image).catch(() => {});
+    }
+
+    // Orthographic camera showing a unit-high view of the given aspect
+    createCamera(aspect) {
+        const camera = new THREE.OrthographicCamera(-aspect / 2, aspect / 2, 0.5, -0.5, 0.1, 1000);
+        camera.position.z = 1;
+        return camera;
+    }
+
+    // Zoom an orthographic camera so the image plane and its padding fit a
+    // view of the given aspect, then apply the view's pan and zoom
+    fitCamera(cam, aspect, imageAspect = this.imageAspect) {
+        const padding = 2 * this.frame.padding;
+        cam.zoom = Math.min(1 / (1 + padding), aspect / (imageAspect + padding)) * this.view.zoom;
+        cam.position.x = this.view.x;
+        cam.position.y = this.view.y;
+        cam.updateProjectionMatrix();
+        cam.updateMatrixWorld();
+    }
+
+    // Pan / zoom the view: `x`, `y` its center in image heights from the
+    // image's center, `zoom` relative to the fit. Omitted values are kept.
+    setView({ x = this.view.x, y = this.view.y, zoom = this.view.zoom } = {}) {
+        this.view.zoom = Math.min(MAX_VIEW_ZOOM, Math.max(MIN_VIEW_ZOOM, zoom));
+        this.view.x = x;
+        this.view.y = y;
+        this.fitCamera(this.camera, this.width / this.height);
+    }
+
+    resetView() {
+        this.setView({ x: 0, y: 0, zoom: 1 });
+    }
+
+    // Follow the container's size (called by the ResizeObserver)
+    resize() {
+        if (this.headless) {
+            this.setSize(this.width, this.height);
+            return;
+        }
+        this.setSize(Math.max(1, this.container.clientWidth), Math.max(1, this.container.clientHeight));
+    }
+
+    // View size in CSS pixels
+    setSize(width, height) {
+        const aspect = width / height;
+
+        this.camera.left = -aspect / 2;
+        this.camera.right = aspect / 2;
+        this.camera.top = 0.5;
+        this.camera.bottom = -0.5;
+        this.fitCamera(this.camera, aspect);
+        if (!this.headless) this.renderer.setSize(width, height);
+        this.auraMaterial.uniforms.uResolution.value.set(width, height);
+        this.width = width;
+        this.height = height;
+    }
+
+    // --- Image ---
+    // `emission`: saved emission mask to restore (see decodeEmbeddedMask)
+    async loadImage(url, emission = null) {
+        const image = await this.fetchImage(url);
+        return this.disposed ? null : this.setImage(image, emission);
+    }
+
+    // Load an image without showing it. Rejects with an AbortError when the
+    // engine is disposed before the image arrives.
+    fetchImage(url) {
+        return new Promise((resolve, reject) => {
+            this.textureLoader.load(url, (texture) => {
+                texture.dispose();
+                if (this.disposed) reject(new DOMException('The engine was disposed while loading', 'AbortError'));
+                else resolve(texture.image);
+            }, undefined, (err) => {
+                const error = err instanceof Error ? err : new LocalizedError('error.imageLoad', `Could not load ${url}`, { url });
+                this.dispatchEvent(new CustomEvent('error', { detail: { error, url } }));
+                reject(error);
+            });
+        });
+    }
+
+    // Show a loaded image (image, canvas or ImageBitmap; or RGBA pixels as
+    // { data, width, height } with the top row first, e.g. headless)
+    setImage(image, emission = null) {
+        if (this.media) this.media.deactivate();
+        this.media = null;
+        return this.showImage(image, emission);
+    }
+
+    // Show a video or image sequence (see media-source.js). The source it
+    // replaces is only stopped, so it can be shown again (undo).
+    setMedia(media, emission = null) {
+        if (this.media && this.media !== media) this.media.deactivate();
+        this.media = media;
+        media.sync(this.currentTime, false);
+        return this.showImage(media.frame, emission);
+    }
+
+    // setImage() / setMedia() after the source was switched
+    showImage(image, emission) {
+        this.sourceImage = image;
+        this.maskSettings.keyColor = null; // Re-estimate for the new image
+        if (this.emissionMask) {
+            this.emissionMask.reset(image.width, image.height);
+            if (emission) this.emissionMask.load(emission);
+            this.bodyMaterial.uniforms.tEmission.value = this.emissionMask.texture;
+        }
+
+        this.imageAspect = image.width / image.height;
+        this.mesh.scale.x = this.imageAspect;
+        this.mesh.visible = true;
+        this.applyMask();
+        this.resize();
+
+        const detail = {
+            width: image.width,
+            height: image.height,
+            duration: this.media ? this.media.duration : 0,
+            // Below 1 when the image was shrunk to fit the GPU
+            scale: Math.min(1, this.textureSizeLimit() / Math.max(image.width, image.height))
+        };
+        this.dispatchEvent(new CustomEvent('load', { detail }));
+        return detail;
+    }
+
+    // Image behind the scene for the 'image' background (see framing.js),
+    // cropped to cover the canvas; null removes it
+    setBackdrop(image) {
+        if (this.backdrop) this.backdrop.dispose();
+        this.backdrop = null;
+        if (!image) return;
+        this.backdrop = new THREE.Texture(image);
+        this.backdrop.minFilter = THREE.LinearFilter;
+        this.backdrop.needsUpdate = true;
+    }
+
+    // Longest side an image texture may have: the masking cap, or less
+    // where the GPU cannot take that
+    textureSizeLimit() {
+        return Math.min(MAX_MASK_SIZE, this.renderer.capabilities.maxTextureSize);
+    }
+
+    // Regenerate the alpha mask (see alpha-mask.js) and the distance field.
+    // Returns the mask result, or null before an image is loaded.
+    applyMask() {
+        if (!this.sourceImage) return null;
+
+        if (this.imageTexture) this.imageTexture.dispose();
+        const limit = this.textureSizeLimit();
+        let result;
+        if (this.sourceImage.data) {
+            const source = downscalePixels(this.sourceImage, limit);
+            const pixels = { ...source, data: Uint8ClampedArray.from(source.data) };
+            const scale = pixels.width / this.sourceImage.width;
+            result = { ...maskImageData(pixels, this.maskSettings, scale), canvas: null };
+            this.imageTexture = createPixelTexture(pixels);
+        } else if (this.media) {
+            // A video's own alpha is used straight from the video (no copy
+            // per frame), unless it is too large for the GPU
+            const { texture, width, height } = this.media;
+            result = generateAlphaMask(this.sourceImage, this.maskSettings, {
+                maxSize: Math.min(MEDIA_MASK_SIZE, limit)
+            });
+            this.imageTexture = result.mode === 'none' && texture && Math.max(width, height) <= limit
+                ? texture
+                : new THREE.CanvasTexture(result.canvas);
+        } else {
+            result = generateAlphaMask(this.sourceImage, this.maskSettings, { maxSize: limit });
+            this.imageTexture = new THREE.CanvasTexture(result.canvas);
+        }
+        this.maskSettings.keyColor = result.keyColor;
+        this.mask = result;
+
+        this.imageTexture.minFilter = THREE.LinearFilter;
+        this.imageTexture.magFilter = THREE.LinearFilter;
+        this.bodyMaterial.uniforms.tDiffuse.value = this.imageTexture;
+
+        this.refreshDistanceField();
+        return result;
+    }
+
+    // Next frame of the video / sequence: mask it into the same canvas
+    // (unless the video texture is shown as is) and rebuild the distance field
+    refreshMediaFrame() {
+        this.sourceImage = this.media.frame;
+        if (this.imageTexture !== this.media.texture) {
+            const { canvas } = this.mask;
+            const [width, height] = [canvas.width, canvas.height];
+            this.mask = generateAlphaMask(this.sourceImage, this.maskSettings, {
+                maxSize: Math.min(MEDIA_MASK_SIZE, this.textureSizeLimit()),
+                canvas
+            });
+            // Textures keep their allocated size: a frame of another size needs a new one
+            if (canvas.width !== width || canvas.height !== height) this.imageTexture.dispose();
+            this.imageTexture.needsUpdate = true;
+        }
+        this.refreshDistanceField();
+    }
+
+    // Show the frame for time t exactly (exports drive time themselves)
+    async seekMedia(t) {
+        if (!this.media) return;
+        await this.media.seek(t);
+        this.refreshMediaFrame();
+    }
+
+    // Silhouette distance of the masked image, limited to the painted emission regions
+    refreshDistanceField() {
+        if (!this.imageTexture) return;
+        this.distanceField = this.distanceFields.generate(this.imageTexture, {
+            mask: this.emissionMask ? this.emissionMask.texture : null,
+            target: this.distanceField
+        });
+        this.auraMaterial.uniforms.tDistance.value = this.distanceField.texture;
+        this.emissionDirty = false;
+        this.particleSourcesDirty = true;
+    }
+
+    // Particle spawn points along the same masked, emission-limited edge
+    refreshParticleSources() {
+        this.particleSourcesDirty = false;
+        if (!this.imageTexture) return;
+        const grid = createAlphaGrid(this.imageTexture.image, this.emissionMask && this.emissionMask.canvas);
+        this.particleSystem.setSources(grid, this.imageAspect);
+    }
+
+    setMaskPreview(on) {
+        this.bodyMaterial.uniforms.uMaskPreview.value = on ? 1 : 0;
+    }
+
+    setEmissionOverlay(on) {
+        this.bodyMaterial.uniforms.uEmissionOverlay.value = on ? 1 : 0;
+    }
+
+    // Pointer position -> UV on the image plane
+    pointerToUV(clientX, clientY) {
+        const rect = this.canvas.getBoundingClientRect();
+        const p = new THREE.Vector3(
+            ((clientX - rect.left) / rect.width) * 2 - 1,
+            -((clientY - rect.top) / rect.height) * 2 + 1,
+            0
+        ).unproject(this.camera);
+        return { u: p.x / this.imageAspect + 0.5, v: p.y + 0.5 };
+    }
+
+    // Inverse of pointerToUV: where a UV point is on screen
+    uvToClient(u, v) {
+        const rect = this.canvas.getBoundingClientRect();
+        const p = new THREE.Vector3((u - 0.5) * this.imageAspect, v - 0.5, 0).project(this.camera);
+        return {
+            x: rect.left + ((p.x + 1) / 2) * rect.width,
+            y: rect.top + ((1 - p.y) / 2) * rect.height
+        };
+    }
+
+    // --- Parameters ---
+    // Presets may name a type whose module is not loaded
+    setType(type, layerIndex = 0) {
+        const layer = this.layers[layerIndex];
+        if (!layer) throw new RangeError(`No layer ${layerIndex}`);
+        layer.type = getAuraType(type) ? type : getAuraTypes()[0].key;
+        return layer.type;
+    }
+
+    // Known keys only; values are not clamped so keyframes can overshoot
+    setParams(values, layerIndex = 0) {
+        const layer = this.layers[layerIndex];
+        if (!layer) throw new RangeError(`No layer ${layerIndex}`);
+        Object.entries(values).forEach(([key, val]) => {
+            if (key in layer.params && Number.isFinite(val)) layer.params[key] = val;
+        });
+    }
+
+    // Phase timings shared by every layer and the body. Per-layer params are
+    // uploaded right before each layer renders (see prepareLayer).
+    applyPhases() {
+        const { growthStart, growthEnd, lockStart, lockEnd } = this.timeline.phases;
+        this.auraMaterial.uniforms.uGrowth.value.set(growthStart, growthEnd);
+        this.auraMaterial.uniforms.uLock.value.set(lockStart, lockEnd);
+        this.bodyMaterial.uniforms.uLock.value.set(lockStart, lockEnd);
+    }
+
+    // A type module registered after startup: add its defaults and rebuild
+    onAuraTypesRegistered() {
+        const defaults = defaultParams();
+        this.layers.forEach((layer) => {
+            Object.keys(defaults).forEach((key) => {
+                if (!(key in layer.params)) layer.params[key] = defaults[key];
+            });
+        });
+        const defaultStops = defaultPalettes();
+        Object.keys(defaultStops).forEach((key) => {
+            if (!this.palettes[key]) this.palettes[key] = defaultStops[key];
+        });
+
+        const u = this.auraMaterial.uniforms;
+        Object.entries(createAuraUniforms(this.layers[0].params)).forEach(([name, uniform]) => {
+            if (!u[name]) u[name] = uniform;
+        });
+        this.auraMaterial.fragmentShader = buildFragmentShader();
+        this.auraMaterial.needsUpdate = true;
+    }
+
+    // --- Quality ---
+    // Lower tiers render the aura layers smaller and with less detail; the
+    // body keeps the canvas resolution. Changing the shader detail recompiles
+    // the aura material, so callers switch tiers rarely (see AdaptiveQuality).
+    setQuality(key) {
+        const tier = getQualityTier(key);
+        if (tier === this.quality) return;
+        const detailChanged = !this.quality
+            || tier.octaves !== this.quality.octaves || tier.samples !== this.quality.samples;
+        this.quality = tier;
+        if (detailChanged) {
+            this.auraMaterial.defines = {
+                FBM_OCTAVES: tier.octaves,
+                QUALITY_SAMPLES: tier.samples.toFixed(2)
+            };
+            this.auraMaterial.needsUpdate = true;
+        }
+        // WebGL 1 has no multisampled targets
+        this.postProcessor.setSamples(this.renderer.capabilities.isWebGL2 ? tier.msaa : 0);
+    }
+
+    // --- Presets ---
+    capturePreset(name) {
+        return {
+            ...createDefaultPreset(),
+            name,
+            layers: structuredClone(this.layers),
+            time: { start: this.currentTime, paused: this.paused },
+            timeline: structuredClone(this.timeline),
+            palettes: structuredClone(this.palettes),
+            convergenceTarget: this.convergenceTarget,
+            post: structuredClone(this.post),
+            particles: structuredClone(this.particles),
+            frame: structuredClone(this.frame)
+        };
+    }
+
+    // `preset` must be migrated and sanitized (see presetFromJSON)
+    applyPreset(preset) {
+        this.restoreState(structuredClone(preset));
+        this.currentTime = preset.time.start;
+        this.paused = preset.time.paused;
+    }
+
+    // Make `state` (a preset, or what swapState returned) the rendered
+    // state. Its objects are taken over, not copied; the live objects keep
+    // their identity.
+    restoreState(state) {
+        this.layers.splice(0, this.layers.length, ...state.layers);
+        Object.assign(this.timeline, state.timeline);
+        Object.assign(this.palettes, state.palettes);
+        this.convergenceTarget = state.convergenceTarget;
+        Object.keys(this.post).forEach((passKey) => Object.assign(this.post[passKey], state.post[passKey]));
+        Object.assign(this.particles, state.particles);
+        Object.assign(this.frame, state.frame);
+        this.applyPhases();
+    }
+
+    // restoreState(preset), returning the previous state for a later
+    // restoreState(): render another look without losing the live one
+    swapState(preset) {
+        const live = {
+            layers: [...this.layers],
+            timeline: { ...this.timeline },
+            palettes: { ...this.palettes },
+            convergenceTarget: this.convergenceTarget,
+            post: Object.fromEntries(Object.entries(this.post).map(([key, pass]) => [key, { ...pass }])),
+            particles: { ...this.particles },
+            frame: { ...this.frame }
+        };
+        this.restoreState(preset);
+        return live;
+    }
+
+    // --- Playback ---
+    play() {
+        this.paused = false;
+    }
+
+    pause() {
+        this.paused = true;
+    }
+
+    seek(t) {
+        this.currentTime = Math.max(0, t);
+        this.update(this.currentTime);
+    }
+
+    start() {
+        if (this.frameId !== null) return;
+        this.clock.getDelta(); // Do not count the time spent stopped
+        this.frameId = requestAnimationFrame(this.animate);
+    }
+
+    stop() {
+        if (this.frameId !== null) cancelAnimationFrame(this.frameId);
+        this.frameId = null;
+    }
+
+    animate() {
+        this.frameId = requestAnimationFrame(this.animate);
+
+        const delta = this.clock.getDelta();
+        if (this.frozen) return;
+
+        if (!this.paused) {
+            this.currentTime += delta;
+            if (this.timeline.loop && this.currentTime > this.timeline.duration) {
+                this.currentTime %= this.timeline.duration;
+            }
+        }
+
+        if (this.transition) this.transition.elapsed += delta;
+
+        if (this.media && this.media.sync(this.currentTime, !this.paused)) this.refreshMediaFrame();
+        else if (this.emissionDirty) this.refreshDistanceField();
+
+        this.dispatchEvent(new CustomEvent('tick', { detail: { delta } }));
+        this.update(this.currentTime);
+        this.fitCamera(this.camera, this.width / this.height); // The padding may have changed
+        this.renderer.getDrawingBufferSize(this.drawingBufferSize);
+        const { x: width, y: height } = this.drawingBufferSize;
+        if (this.transition) this.renderTransition(this.camera, width, height);
+        else if (this.comparison) this.renderComparison(this.camera, width, height);
+        else this.render(this.camera, width, height);
+    }
+
+    // Push the time-dependent state for time t into the params and uniforms
+    update(t) {
+        const animated = this.applyTime(t);
+        this.dispatchEvent(new CustomEvent('timeupdate', { detail: { time: t, animated } }));
+    }
+
+    // update() without the event; returns the animated keys per layer
+    applyTime(t) {
+        this.auraMaterial.uniforms.uTime.value = t;
+        this.bodyMaterial.uniforms.uTime.value = t;
+        this.particleSystem.material.uniforms.uTime.value = t;
+        return this.layers.map((layer) => applyTimeline(layer, t, layer.params));
+    }
+
+    // --- Rendering ---
+    // Composite the aura layers, draw the scene (particles, body on top) in HDR, then
+    // run the post-processing chain into `target` (null = the canvas)
+    render(cam, width, height, target = null) {
+        const { auraScale, samples } = this.quality;
+        if (this.sourceImage) {
+            // The body takes its brightness from the bottom layer
+            this.bodyMaterial.uniforms.uCore.value = this.layers[0].params.coreBrightness;
+            const layers = visibleLayers(this.layers);
+            this.fitAuraPlane(auraReach(layers));
+            this.compositor.render(this.auraMesh, this.auraMaterial, cam, layers,
+                (layer) => this.prepareLayer(layer),
+                Math.max(1, Math.round(width * auraScale)), Math.max(1, Math.round(height * auraScale)));
+        }
+        if (this.particles.enabled && this.particleSourcesDirty) this.refreshParticleSources();
+        // The view is 1 / zoom image heights tall
+        this.particleSystem.update(this.particles, height * cam.zoom, samples);
+        this.renderer.setRenderTarget(this.postProcessor.begin(width, height));
+        this.renderer.render(this.scene, cam);
+        this.postProcessor.render(this.post, this.currentTime, target, {
+            frame: this.frame,
+            backdrop: this.backdrop
+        });
+        this.renderer.setRenderTarget(null);
+    }
+
+    // Size the aura plane `reach` image heights beyond the image (the body
+    // mesh, so also a transition's outgoing image) on every side
+    fitAuraPlane(reach) {
+        const imageAspect = this.mesh.scale.x;
+        this.auraMesh.scale.set(imageAspect + 2 * reach, 1 + 2 * reach, 1);
+        const u = this.auraMaterial.uniforms;
+        u.uFrameScale.value.set((imageAspect + 2 * reach) / imageAspect, 1 + 2 * reach);
+        u.uImageAspect.value = imageAspect;
+    }
+
+    // The comparison's left preset, with its right preset wiped over it
+    // from `position` on, both at the current time
+    renderComparison(cam, width, height, target = null) {
+        const { left, right, position } = this.comparison;
+        const live = this.swapState(right);
+        this.applyTime(this.currentTime);
+        this.render(cam, width, height, this.wipeView.begin(width, height));
+        this.restoreState(left);
+        this.applyTime(this.currentTime);
+        this.render(cam, width, height, target);
+        this.restoreState(live);
+        this.applyTime(this.currentTime);
+        this.wipeView.render(position, target);
+    }
+
+    // The outgoing image and look of a transition over the live ones, fading out
+    renderTransition(cam, width, height, target = null) {
+        const { transition } = this;
+        const opacity = 1 - transition.elapsed / transition.fade;
+        if (opacity <= 0) {
+            this.endTransition();
+            this.render(cam, width, height, target);
+            return;
+        }
+        const live = this.swapState(transition.look);
+        this.particles.enabled = false; // Its spawn points went with the image
+        this.bindImage(transition.texture, transition.distanceField, transition.aspect, cam);
+        this.applyTime(transition.time + transition.elapsed);
+        this.render(cam, width, height, this.crossfadeView.begin(width, height));
+        this.restoreState(live);
+        this.bindImage(this.imageTexture, this.distanceField, this.imageAspect, cam);
+        this.applyTime(this.currentTime);
+        this.render(cam, width, height, target);
+        this.crossfadeView.render(opacity, target);
+    }
+
+    // Point the body, the aura and the camera at an image
+    bindImage(texture, distanceField, imageAspect, cam) {
+        this.bodyMaterial.uniforms.tDiffuse.value = texture;
+        this.auraMaterial.uniforms.tDistance.value = distanceField.texture;
+        this.mesh.scale.x = imageAspect;
+        this.fitCamera(cam, (cam.right - cam.left) / (cam.top - cam.bottom), imageAspect);
+    }
+
+    // Upload one layer's params, type and palette before it renders
+    prepareLayer(layer) {
+        const u = this.auraMaterial.uniforms;
+        const params = this.paramModifier && !this.frozen
+            ? this.paramModifier(layer.params, layer)
+            : layer.params;
+        applyParamUniforms(u, params);
+        u.uType.value = getTypeIndex(layer.type);
+        u.uOpacity.value = layer.opacity;
+
+        const stops = this.palettes[layer.type];
+        for (let i = 0; i < MAX_STOPS; i++) {
+            const stop = stops[Math.min(i, stops.length - 1)];
+            u.uPaletteColors.value[i].setRGB(...hexToRgb(stop.color));
+            u.uPalettePos.value[i] = stop.pos;
+        }
+        u.uPaletteCount.value = stops.length;
+        u.uConvTarget.value.setRGB(...hexToRgb(this.convergenceTarget));
+    }
+
+    // --- Transitions ---
+    // Crossfade to the next image and look (presentation mode): call right
+    // before the setImage() and applyPreset() that switch to them. The
+    // outgoing still keeps its texture, distance field and look and goes on
+    // animating while it fades out over `fade` seconds. From a video or
+    // sequence it is a cut: their frames are not kept.
+    beginTransition(fade) {
+        this.endTransition();
+        if (!(fade > 0) || !this.imageTexture || this.media || this.headless || this.contextLost) return;
+        this.transition = {
+            look: this.capturePreset(''),
+            time: this.currentTime,
+            texture: this.imageTexture,
+            distanceField: this.distanceField,
+            aspect: this.imageAspect,
+            elapsed: 0,
+            fade
+        };
+        // Handed over: the next image gets new ones
+        this.imageTexture = null;
+        this.distanceField = null;
+    }
+
+    endTransition() {
+        if (!this.transition) return;
+        this.transition.texture.dispose();
+        this.transition.distanceField.dispose();
+        this.transition = null;
+    }
+
+    // --- Context Loss ---
+    // The browser may take the WebGL context away (GPU reset or driver
+    // update, too many contexts). three.js stops drawing and, once it is
+    // back, re-creates its GL state and uploads textures and buffers again
+    // on their next use. What existed only on the GPU is rebuilt here from
+    // the current state: the masked image, its distance field and the
+    // particle spawn points. Uniforms are uploaded every frame anyway.
+    onContextLost(e) {
+        e.preventDefault(); // Tells the browser we want the context back
+        if (this.disposed) return;
+        this.contextLost = true;
+        this.endTransition(); // Its distance field cannot be rebuilt
+        this.dispatchEvent(new CustomEvent('contextlost'));
+    }
+
+    onContextRestored() {
+        if (this.disposed) return;
+        this.contextLost = false;
+        this.applyMask();
+        this.resize();
+        this.dispatchEvent(new CustomEvent('contextrestored'));
+    }
+
+    // Frees every GPU resource and removes the canvas. The engine is
+    // unusable afterwards.
+    dispose() {
+        this.disposed = true;
+        this.stop();
+        this.removeTypesListener();
+        if (this.resizeObserver) this.resizeObserver.disconnect();
+
+        this.compositor.dispose();
+        this.postProcessor.dispose();
+        this.endTransition();
+        this.wipeView.dispose();
+        this.crossfadeView.dispose();
+        this.particleSystem.dispose();
+        this.distanceFields.dispose();
+        if (this.distanceField) this.distanceField.dispose();
+        if (this.imageTexture) this.imageTexture.dispose();
+        if (this.media) this.media.dispose();
+        if (this.backdrop) this.backdrop.dispose();
+        if (this.emissionMask) this.emissionMask.texture.dispose();
+        this.geometry.dispose();
+        this.auraMaterial.dispose();
+        this.bodyMaterial.dispose();
+
+        if (this.headless) return; // The caller owns a passed-in renderer
+        this.canvas.removeEventListener('webglcontextlost', this.onContextLost);
+        this.canvas.removeEventListener('webglcontextrestored', this.onContextRestored);
+        this.renderer.dispose();
+        // Browsers cap the number of live WebGL contexts; give this one back now
+        this.renderer.forceContextLoss();
+        this.canvas.remove();
+    }
+}
+
+// Texture of RGBA pixels stored top row first, oriented like an image texture
+function createPixelTexture({ data, width, height }) {
+    const flipped = new Uint8Array(data.length);
+    const rowBytes = width * 4;
+    for (let y = 0; y < height; y++) {
+        flipped.set(data.subarray((height - 1 - y) * rowBytes, (height - y) * rowBytes), y * rowBytes);
+    }
+    const texture = new THREE.DataTexture(flipped, width, height, THREE.RGBAFormat);
+    texture.needsUpdate = true;
+    return texture;
+}
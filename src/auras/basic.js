@@ -0,0 +1,15 @@
+// --- Basic: soft breathing glow around the silhouette ---
+export default {
+    key: 'basic',
+    name: '기본 (Basic)',
+    params: {},
+    uniforms: {},
+    palette: [{ pos: 0, color: '#ffcc66' }],
+    glsl: /* glsl */ `
+        AuraResult aura_basic(AuraContext c) {
+            float auraAlpha = breathingGlow(c);
+            // Dense (near the body) maps to the inner end of the gradient
+            return AuraResult(auraAlpha, samplePalette(1.0 - clamp(auraAlpha, 0.0, 1.0)));
+        }
+    `
+};
@@ -0,0 +1,189 @@
+// --- Core Aura Definitions ---
+// Parameters, uniforms and GLSL shared by every aura type. Type modules
+// (see registry.js) add their own on top of these.
+
+// Sliders shown for every type
+export const CORE_PARAMS = {
+    auraSize: { label: '아우라 크기 (Size)', min: 0, max: 0.5, default: 0.20 },
+    auraStrength: { label: '강도 (Strength)', min: 0, max: 2.0, default: 1.5 },
+    swimSpeed: { label: '유영 (Swim)', min: 0, max: 2.0, default: 0.5 },
+    breathSpeed: { label: '호흡 (Breath)', min: 0, max: 2.0, default: 0.3 },
+    convergence: { label: '색상 수렴 (Conv)', min: 0, max: 1.0, default: 0.5 },
+    coreBrightness: { label: '코어 밝기 (Core)', min: 0.5, max: 2.0, default: 1.0 },
+    // Emission center in UV space, dragged on the canvas (see gizmos.js)
+    centerX: { default: 0.5 },
+    centerY: { default: 0.5 }
+};
+
+// Uniforms fed from `params` (`from` names one param per component)
+export const CORE_UNIFORMS = {
+    uAuraSize: { type: 'float', from: 'auraSize' },
+    uStrength: { type: 'float', from: 'auraStrength' },
+    uSwim: { type: 'float', from: 'swimSpeed' },
+    uBreath: { type: 'float', from: 'breathSpeed' },
+    uConv: { type: 'float', from: 'convergence' },
+    uCore: { type: 'float', from: 'coreBrightness' },
+    uCenter: { type: 'vec2', from: ['centerX', 'centerY'] }
+};
+
+// Inputs every aura function receives, and what it returns
+export const CORE_STRUCTS = /* glsl */ `
+    struct AuraContext {
+        vec2 uv;
+        vec2 center;      // Emission center in UV space
+        vec2 toCenter;    // uv - center
+        float radius;     // length(toCenter)
+        float angle;      // atan(toCenter.y, toCenter.x)
+        float normAngle;  // angle remapped to 0..1
+        float growthPhase;
+        float lockPhase;
+        float activeTime; // Time that slows down once locked
+        float dist;       // Signed distance to the silhouette (negative inside)
+    };
+
+    struct AuraResult {
+        float alpha;
+        vec3 color;
+    };
+`;
+
+export const CORE_GLSL = /* glsl */ `
+    // --- Noise Functions ---
+    float hash(vec2 p) {
+        return fract(sin(dot(p, vec2(12.123, 78.233))) * 43758.5453);
+    }
+
+    float noise(vec2 p) {
+        vec2 i = floor(p);
+        vec2 f = fract(p);
+        f = f*f*(3.0-2.0*f);
+        return mix(mix(hash(i + vec2(0.0,0.0)), hash(i + vec2(1.0,0.0)), f.x),
+                   mix(hash(i + vec2(0.0,1.0)), hash(i + vec2(1.0,1.0)), f.x), f.y);
+    }
+
+    float fbm(vec2 p) {
+        float v = 0.0;
+        float a = 0.5;
+        for (int i = 0; i < FBM_OCTAVES; i++) {
+            v += a * noise(p);
+            p *= 2.0;
+            a *= 0.5;
+        }
+        return v;
+    }
+
+    // Periodic Noise (Seamless on X axis)
+    // This fixes the cut/seam line on the left side of the aura
+    float pnoise(vec2 p, float period) {
+        vec2 i = floor(p);
+        vec2 f = fract(p);
+        f = f*f*(3.0-2.0*f);
+
+        // Wrap X index using Modulo
+        // This ensures value at X=period matches value at X=0
+        float x0 = mod(i.x, period);
+        float x1 = mod(i.x + 1.0, period);
+
+        // Standard Y hash
+        float n00 = hash(vec2(x0, i.y));
+        float n10 = hash(vec2(x1, i.y));
+        float n01 = hash(vec2(x0, i.y + 1.0));
+        float n11 = hash(vec2(x1, i.y + 1.0));
+
+        return mix(mix(n00, n10, f.x), mix(n01, n11, f.x), f.y);
+    }
+
+    // Periodic FBM
+    float pfbm(vec2 p) {
+        float v = 0.0;
+        float a = 0.5;
+        float period = 8.0; // Must match the texture scaling factor (normAngle * 8.0)
+        for (int i = 0; i < FBM_OCTAVES; i++) {
+            v += a * pnoise(p, period);
+            p *= 2.0;
+            period *= 2.0; // Period scales with frequency
+            a *= 0.5;
+        }
+        return v;
+    }
+
+    // Seamless Caustics Pattern
+    float seamlessCaustics(vec2 p, float t) {
+        vec2 q = p;
+        // Use periodic noise for warping too, to prevent seams in distortion
+        q.x += pfbm(p + t * 0.1);
+        q.y += pfbm(p - t * 0.1);
+
+        float n = pfbm(q * 3.0);
+        float net = 1.0 - abs(n * 2.0 - 1.0);
+        net = pow(net, 3.0);
+        return net;
+    }
+
+    vec3 rgb2hsv(vec3 c) {
+        vec4 K = vec4(0.0, -1.0 / 3.0, 2.0 / 3.0, -1.0);
+        vec4 p = mix(vec4(c.bg, K.wz), vec4(c.gb, K.xy), step(c.b, c.g));
+        vec4 q = mix(vec4(p.xyw, c.r), vec4(c.r, p.yzx), step(p.x, c.r));
+        float d = q.x - min(q.w, q.y);
+        float e = 1.0e-10;
+        return vec3(abs(q.z + (q.w - q.y) / (6.0 * d + e)), d / (q.x + e), q.x);
+    }
+
+    vec3 hsv2rgb(vec3 c) {
+        vec4 K = vec4(1.0, 2.0 / 3.0, 1.0 / 3.0, 3.0);
+        vec3 p = abs(fract(c.xxx + K.xyz) * 6.0 - K.www);
+        return c.z * mix(K.xxx, clamp(p - K.xxx, 0.0, 1.0), c.y);
+    }
+
+    // Gradient lookup with smooth blending between neighbouring stops
+    vec3 samplePalette(float x) {
+        vec3 col = uPaletteColors[0];
+        for (int i = 1; i < MAX_STOPS; i++) {
+            if (i >= uPaletteCount) break;
+            col = mix(col, uPaletteColors[i], smoothstep(uPalettePos[i - 1], uPalettePos[i], x));
+        }
+        return col;
+    }
+
+    // --- Silhouette Distance ---
+    // tDistance holds the signed distance to the body edge in image-height
+    // units (see distance-field.js): negative inside, positive outside.
+    // Beyond the image it continues from the nearest point on its border.
+    float distanceAt(vec2 uv) {
+        vec2 inside = clamp(uv, 0.0, 1.0);
+        float beyond = length((uv - inside) * vec2(uImageAspect, 1.0));
+        return texture2D(tDistance, inside).r + beyond;
+    }
+
+    // 1 within distance r of the silhouette, fading out over the outer 'soft' fraction of r
+    float withinReach(float d, float r, float soft) {
+        r = max(r, 1e-4);
+        return 1.0 - smoothstep(r * (1.0 - soft), r, d);
+    }
+
+    // 1 for directions within aim.y degrees around aim.x degrees (0 = right,
+    // 90 = up), with a soft edge; a full 360 degree spread covers everything
+    float withinAim(vec2 dir, vec2 aim) {
+        if (aim.y >= 360.0) return 1.0;
+        float halfSpread = radians(aim.y) * 0.5;
+        float delta = abs(mod(atan(dir.y, dir.x) - radians(aim.x) + 3.14159265, 6.28318531) - 3.14159265);
+        float soft = clamp(halfSpread, 1e-3, 0.35);
+        return 1.0 - smoothstep(halfSpread - soft, halfSpread + soft, delta);
+    }
+
+    // Fraction of a circle of radius r (centered at distance d from a straight
+    // edge) that lies inside the silhouette: the smooth limit of averaging
+    // alpha samples on a ring
+    float ringCoverage(float d, float r) {
+        return acos(clamp(d / max(r, 1e-4), -1.0, 1.0)) / 3.14159265;
+    }
+
+    // Breathing, noise-wobbled glow around the silhouette (Basic / Fade)
+    float breathingGlow(AuraContext c) {
+        float maxDist = uAuraSize * c.growthPhase;
+        maxDist *= 1.0 + sin(c.activeTime * 2.0 * uBreath) * 0.15;
+        float noiseVal = fbm(c.uv * 3.0 + c.activeTime * uSwim) * 0.1;
+        float d = distanceAt(c.uv + vec2(noiseVal * 0.1));
+        return ringCoverage(d, maxDist);
+    }
+`;
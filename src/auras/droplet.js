@@ -0,0 +1,95 @@
+// --- Droplet: hollow droplets over a seamless liquid border ---
+// (For many drops leaving the figure's edge, see the particles in src/particles.js)
+export default {
+    key: 'droplet',
+    name: '💧 물방울 (Droplet)',
+    // Water keeps its own colors instead of converging to the target
+    converge: false,
+    params: {
+        dropSpeed: { label: '속도 (Speed)', min: 0.1, max: 5.0, default: 1.0 },
+        dropSize: { label: '크기 (Size)', min: 0.1, max: 2.0, default: 0.5 },
+        dropCount: { label: '물방울 수 (Drops)', min: 0, max: 30, default: 15 },
+        dropletAngle: { label: '방향 (Direction)', min: -180, max: 180, default: 90 },
+        dropletSpread: { label: '퍼짐 (Spread)', min: 0, max: 360, default: 360 }
+    },
+    uniforms: {
+        uDropSpeed: { type: 'float', from: 'dropSpeed' },
+        uDropSize: { type: 'float', from: 'dropSize' },
+        uDropCount: { type: 'float', from: 'dropCount' },
+        uDropletAim: { type: 'vec2', from: ['dropletAngle', 'dropletSpread'] }
+    },
+    direction: { angle: 'dropletAngle', spread: 'dropletSpread' },
+    // Drops fly up to two image heights from the center
+    reach: () => 2,
+    // Water blue -> bright cyan over the droplet rings
+    palette: [
+        { pos: 0, color: '#0099ff' },
+        { pos: 0.5, color: '#33ffff' }
+    ],
+    glsl: /* glsl */ `
+        AuraResult aura_droplet(AuraContext c) {
+            // [LAYER 1] Water Caustics Background (Seamless)
+            vec2 warpUV = c.uv;
+            float wave = fbm(c.uv * 3.0 + c.activeTime * uSwim * 0.5);
+            warpUV += (vec2(wave) - 0.5) * 0.05;
+
+            float bgDist = uAuraSize * 2.5;
+            float bgMask = withinReach(distanceAt(warpUV), bgDist, 0.3);
+
+            // Use seamless logic here
+            vec2 waterUV = vec2(c.normAngle * 8.0, c.radius * 2.0 - c.activeTime * 0.2);
+            float netPattern = seamlessCaustics(waterUV, c.activeTime * 0.5);
+
+            float bgAlpha = bgMask * netPattern * 0.4 * uStrength;
+
+            // [LAYER 2] Hollow, Slow, Wobbling Droplets
+            // uDropCount drops are active (fewer at lower quality); a
+            // fractional count fades the last one in
+            float dropsAlpha = 0.0;
+            const float MAX_DROPS = 30.0;
+            float activeDrops = min(uDropCount, MAX_DROPS * QUALITY_SAMPLES);
+
+            for(float i = 0.0; i < MAX_DROPS; i++) {
+                if (i >= activeDrops) break;
+                float seed = i * 17.54;
+                float speedVar = 0.5 + hash(vec2(seed, 1.0)) * 0.5;
+                float t = c.activeTime * uDropSpeed * 0.08 * speedVar + seed;
+
+                float cycle = fract(t);
+                float cycleIdx = floor(t);
+
+                // Launched within the aimed spread around the aimed direction
+                float rndAngle = radians(uDropletAim.x + (hash(vec2(seed, cycleIdx)) - 0.5) * uDropletAim.y);
+                float travelDist = cycle * 2.0;
+                vec2 dropPos = c.center + vec2(cos(rndAngle), sin(rndAngle)) * travelDist;
+
+                // Dynamic Shape Distortion
+                vec2 p = c.uv - dropPos;
+                float wavePhase = c.activeTime * uSwim * 2.0 + cycleIdx * 1.1;
+                float squashFactor = 1.0 + 0.25 * sin(wavePhase);
+                p.x *= sqrt(squashFactor);
+                p.y /= sqrt(squashFactor);
+                float sizeBreath = 1.0 + 0.15 * cos(wavePhase * 0.7);
+                float d = length(p) / sizeBreath;
+
+                // Thinner Ring Thickness
+                float rndScale = 0.3 + 0.7 * hash(vec2(seed, 9.9));
+                float outerRadius = uDropSize * 0.15 * rndScale * (1.0 - cycle * 0.6);
+                float ringThickness = outerRadius * 0.05;
+                float innerRadius = outerRadius - ringThickness;
+
+                float edge = 0.005;
+                float outerCircle = smoothstep(outerRadius, outerRadius - edge, d);
+                float innerHole = smoothstep(innerRadius - edge, innerRadius, d);
+                float ring = outerCircle * innerHole;
+
+                ring *= smoothstep(1.0, 0.85, cycle);
+                ring *= clamp(activeDrops - i, 0.0, 1.0);
+
+                dropsAlpha = max(dropsAlpha, ring);
+            }
+
+            return AuraResult(max(bgAlpha, dropsAlpha * uStrength), samplePalette(dropsAlpha));
+        }
+    `
+};
@@ -0,0 +1,20 @@
+// --- Fade: the Basic glow dissolving in and out like smoke ---
+export default {
+    key: 'fade',
+    name: '페이드 (Fade)',
+    params: {},
+    uniforms: {},
+    palette: [{ pos: 0, color: '#ffcc66' }],
+    glsl: /* glsl */ `
+        AuraResult aura_fade(AuraContext c) {
+            float auraAlpha = breathingGlow(c);
+
+            float fadeNoise = fbm(c.uv * 10.0 + vec2(0.0, -c.activeTime * 0.5));
+            float cycle = (sin(c.activeTime) + 1.0) * 0.5;
+            float smokeMask = smoothstep(0.2 + cycle * 0.5, 0.8, auraAlpha + fadeNoise * 0.3);
+            auraAlpha *= smokeMask;
+
+            return AuraResult(auraAlpha, samplePalette(1.0 - clamp(auraAlpha, 0.0, 1.0)));
+        }
+    `
+};
@@ -0,0 +1,49 @@
+// --- Flame: Thangka-style flame rim ---
+export default {
+    key: 'flame',
+    name: '불꽃 (Flame)',
+    params: {
+        flameHeight: { label: '불꽃 높이 (Height)', min: 0.1, max: 1.0, default: 0.5 },
+        flameTemp: { label: '온도 (Temp)', min: 0, max: 1.0, default: 0.5 }
+    },
+    uniforms: {
+        uFlameHeight: { type: 'float', from: 'flameHeight' },
+        uFlameTemp: { type: 'float', from: 'flameTemp' }
+    },
+    // The upward flames stretch with the height
+    reach: (params) => params.auraSize * 2.5 * Math.max(1, params.flameHeight * 2),
+    // Dark red -> orange -> yellow over the flame noise
+    palette: [
+        { pos: 0, color: '#800000' },
+        { pos: 0.5, color: '#ff4d00' },
+        { pos: 1, color: '#ffe61a' }
+    ],
+    glsl: /* glsl */ `
+        AuraResult aura_flame(AuraContext c) {
+            float baseDist = uAuraSize * c.growthPhase * 2.5;
+
+            vec2 polarUV = vec2(c.normAngle * 6.0, c.radius);
+            vec2 q = polarUV;
+            q.x += fbm(polarUV * 3.0 + c.activeTime * 0.5) * 0.2;
+            q.y -= c.activeTime * uSwim;
+            float shapeNoise = fbm(q * vec2(5.0, 1.0));
+
+            float reach = baseDist * (0.5 + 1.5 * shapeNoise);
+            // Height stretches the upward-facing flames (0.5 = even all round)
+            float upward = max(c.toCenter.y / max(c.radius, 1e-4), 0.0);
+            reach *= mix(1.0, uFlameHeight * 2.0, upward);
+            float borderMask = withinReach(c.dist, reach * 0.5, 0.3);
+
+            float detailNoise = fbm(q * vec2(10.0, 2.0));
+            float flameVis = borderMask * detailNoise;
+            flameVis = smoothstep(0.1, 0.9, flameVis);
+
+            vec3 fireCol = samplePalette(detailNoise);
+
+            vec3 hsvF = rgb2hsv(fireCol);
+            hsvF.x += (uFlameTemp - 0.5) * 0.4;
+
+            return AuraResult(flameVis * uStrength, hsv2rgb(hsvF));
+        }
+    `
+};
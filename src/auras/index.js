@@ -0,0 +1,16 @@
+// --- Built-in Aura Types ---
+// Registration order sets the type buttons' order (and the legacy numeric ids
+// 0:Basic, 1:Flame, 2:Ripple, 3:Fade, 4:Droplet used by version 1-3 presets).
+import { registerAuraType } from './registry.js';
+import basic from './basic.js';
+import flame from './flame.js';
+import ripple from './ripple.js';
+import fade from './fade.js';
+import droplet from './droplet.js';
+import rainbow from './rainbow.js';
+
+export const LEGACY_TYPE_KEYS = ['basic', 'flame', 'ripple', 'fade', 'droplet'];
+
+[basic, flame, ripple, fade, droplet, rainbow].forEach(registerAuraType);
+
+export * from './registry.js';
@@ -0,0 +1,103 @@
+// --- Rainbow Body: five-colored bands of light with streaming rays ---
+// The ja'lus of Vajrayana painting: concentric spectral bands that follow
+// the silhouette and slowly undulate, with optional light rays streaming
+// from the emission center (a radial blur of the bands' light). The bands
+// grow outward one by one over the growth phase; once locked they settle
+// and the rays shine at full strength.
+export default {
+    key: 'rainbow',
+    name: '🌈 무지개 몸 (Rainbow Body)',
+    // The bands keep their five colors instead of converging to the target
+    converge: false,
+    params: {
+        bandCount: { label: '띠 수 (Bands)', min: 1, max: 12, default: 5 },
+        bandWidth: { label: '띠 폭 (Band Width)', min: 0.005, max: 0.1, default: 0.03 },
+        rayCount: { label: '광선 수 (Rays)', min: 0, max: 48, default: 16 },
+        rayLength: { label: '광선 길이 (Ray Length)', min: 0, max: 1.0, default: 0.35 },
+        rayRotation: { label: '회전 속도 (Rotation)', min: -1.0, max: 1.0, default: 0.1 }
+    },
+    uniforms: {
+        uBandCount: { type: 'float', from: 'bandCount' },
+        uBandWidth: { type: 'float', from: 'bandWidth' },
+        uRayCount: { type: 'float', from: 'rayCount' },
+        uRayLength: { type: 'float', from: 'rayLength' },
+        uRayRotation: { type: 'float', from: 'rayRotation' }
+    },
+    // The bands (with their wave) and the rays beyond them
+    reach: (params) => params.bandCount * params.bandWidth * 1.5 + params.rayLength,
+    // Blue, white, yellow, red, green: the five lights, inner band first
+    palette: [
+        { pos: 0, color: '#2b6cff' },
+        { pos: 0.25, color: '#f4f4ff' },
+        { pos: 0.5, color: '#ffd21f' },
+        { pos: 0.75, color: '#ff2b2b' },
+        { pos: 1, color: '#1fd15a' }
+    ],
+    glsl: /* glsl */ `
+        // Light of the bands at distance d from the silhouette (0..1)
+        float rainbowLight(float d, float extent) {
+            return step(0.0, d) * withinReach(d, extent, 0.5);
+        }
+
+        AuraResult aura_rainbow(AuraContext c) {
+            // [BANDS] Distance from the silhouette in band widths, undulating
+            float width = uBandWidth * (1.0 + sin(c.activeTime * 2.0 * uBreath) * 0.1);
+            // Periodic noise around the figure, so there is no seam where the angle wraps
+            float wave = pfbm(vec2(c.normAngle * 8.0, c.activeTime * uSwim * 0.3)) - 0.5;
+            float band = max(c.dist, 0.0) / width + wave * 0.8;
+            float bandIndex = floor(band);
+
+            // Bands appear one by one while growing; the outermost fades in
+            float grown = uBandCount * c.growthPhase;
+            float present = 1.0 - smoothstep(grown - 1.0, grown, band);
+
+            // Soft seams between bands, sharper once locked
+            float seam = mix(0.25, 0.1, c.lockPhase);
+            float local = fract(band);
+            float shape = smoothstep(0.0, seam, local) * smoothstep(1.0, 1.0 - seam, local);
+            float bandAlpha = present * mix(0.55, 1.0, shape) * smoothstep(0.0, 0.004, c.dist);
+            vec3 bandColor = samplePalette(bandIndex / max(uBandCount - 1.0, 1.0));
+
+            // [RAYS] Radial blur: march from the pixel back toward the center and
+            // gather the light of the bands, so it streams outward past them
+            float rays = 0.0;
+            vec3 rayColor = bandColor;
+            if (uRayCount >= 1.0 && uRayLength > 0.0) {
+                const float RAY_SAMPLES = 24.0;
+                float samples = max(4.0, floor(RAY_SAMPLES * QUALITY_SAMPLES));
+                float extent = uBandCount * width * c.growthPhase;
+                vec2 toward = -c.toCenter / max(c.radius, 1e-4);
+                float reach = uRayLength * c.growthPhase;
+                float total = 0.0;
+                for (float i = 0.0; i < RAY_SAMPLES; i++) {
+                    if (i >= samples) break;
+                    float f = i / samples;
+                    vec2 q = c.uv + toward * reach * f;
+                    float weight = 1.0 - f; // Light fades along the ray
+                    rays += rainbowLight(distanceAt(q), extent) * weight;
+                    total += weight;
+                }
+                rays /= total;
+
+                // Spokes turning around the center, each flickering on its own
+                float count = floor(uRayCount);
+                float turn = fract(c.normAngle - c.activeTime * uRayRotation * 0.05);
+                float spoke = floor(turn * count);
+                float across = fract(turn * count) - 0.5;
+                float flicker = 0.6 + 0.4 * noise(vec2(spoke * 7.31, c.activeTime * 0.7));
+                rays *= smoothstep(0.5, 0.1, abs(across)) * flicker;
+                rays *= mix(0.5, 1.0, c.lockPhase);
+
+                // Each spoke takes the next color of the palette
+                float stops = float(uPaletteCount);
+                rayColor = samplePalette(mod(spoke, stops) / max(stops - 1.0, 1.0));
+            }
+
+            // Rays show between and beyond the bands
+            float rayAlpha = rays * (1.0 - bandAlpha);
+            float alpha = bandAlpha + rayAlpha;
+            vec3 color = (bandColor * bandAlpha + rayColor * rayAlpha) / max(alpha, 1e-4);
+            return AuraResult(alpha * uStrength, color);
+        }
+    `
+};
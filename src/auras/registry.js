@@ -0,0 +1,134 @@
+// --- Aura Type Registry ---
+// Every aura type is a self-contained definition:
+//
+//   {
+//     key: 'flame',                  // Stable id, stored in presets
+//     name: '불꽃 (Flame)',           // Button label
+//     converge: true,                // Optional: apply the convergence hue shift
+//     params: { flameTemp: { label, min, max, default } },  // No label = no slider
+//     uniforms: { uFlameTemp: { type: 'float', from: 'flameTemp' } },
+//     palette: [{ pos: 0, color: '#ff4d00' }],
+//     glsl: 'AuraResult aura_flame(AuraContext c) { ... }',
+//     direction: { angle: 'flameAngle', spread: 'flameSpread' },  // Optional, see below
+//     reach: (params) => params.auraSize * 2.5                   // Optional, see below
+//   }
+//
+// `direction` names the type's angle / spread params (in degrees) so the
+// canvas direction handle (gizmos.js) can aim them.
+//
+// `reach` tells how far past the silhouette the type draws at most, in
+// image heights, for the given params. The layers are drawn that far beyond
+// the image's edges (see framing.js); the default suits a glow of auraSize.
+//
+// The fragment shader, the type buttons and the slider panel are generated
+// from the registered types. Extra effects can live in their own files and
+// call registerAuraType() before the app starts (or later; listeners are
+// notified so the app can rebuild). Import it from auras/index.js so the
+// built-in types are registered first.
+
+import { CORE_PARAMS, CORE_UNIFORMS } from './core.js';
+
+const UNIFORM_TYPES = { float: 1, vec2: 2, vec3: 3, vec4: 4 };
+
+const types = [];
+const listeners = new Set();
+
+export function registerAuraType(def) {
+    validateAuraType(def);
+    if (types.some((t) => t.key === def.key)) {
+        throw new Error(`Aura type "${def.key}" is already registered`);
+    }
+    types.push({ converge: true, params: {}, uniforms: {}, reach: defaultReach, ...def });
+    listeners.forEach((fn) => fn());
+}
+
+function defaultReach(params) {
+    return params.auraSize * 1.2;
+}
+
+function validateAuraType(def) {
+    if (!def || !/^[a-z][a-zA-Z0-9]*$/.test(def.key)) {
+        throw new Error('Aura type needs a camelCase `key`');
+    }
+    if (typeof def.name !== 'string' || typeof def.glsl !== 'string') {
+        throw new Error(`Aura type "${def.key}" needs a \`name\` and a \`glsl\` snippet`);
+    }
+    if (!def.glsl.includes(`aura_${def.key}(`)) {
+        throw new Error(`Aura type "${def.key}" must define AuraResult aura_${def.key}(AuraContext c)`);
+    }
+    if (!Array.isArray(def.palette) || !def.palette.length) {
+        throw new Error(`Aura type "${def.key}" needs a default palette`);
+    }
+
+    if (def.reach !== undefined && typeof def.reach !== 'function') {
+        throw new Error(`Aura type "${def.key}": \`reach\` must be a function of the params`);
+    }
+
+    const params = def.params || {};
+    if (def.direction) {
+        ['angle', 'spread'].forEach((role) => {
+            if (!(def.direction[role] in params)) {
+                throw new Error(`Aura type "${def.key}" has no direction ${role} param "${def.direction[role]}"`);
+            }
+        });
+    }
+    for (const [name, u] of Object.entries(def.uniforms || {})) {
+        const from = [].concat(u.from);
+        if (UNIFORM_TYPES[u.type] !== from.length) {
+            throw new Error(`Uniform ${name} of "${def.key}": ${u.type} needs ${UNIFORM_TYPES[u.type]} params`);
+        }
+        from.forEach((key) => {
+            if (!(key in params) && !(key in CORE_PARAMS)) {
+                throw new Error(`Uniform ${name} of "${def.key}" reads unknown param "${key}"`);
+            }
+        });
+    }
+
+    // Shared params / uniforms must agree with types registered earlier
+    for (const other of types) {
+        for (const [key, p] of Object.entries(params)) {
+            const prev = other.params[key];
+            if (prev && prev.default !== p.default) {
+                throw new Error(`Param "${key}" of "${def.key}" conflicts with "${other.key}"`);
+            }
+        }
+        for (const [name, u] of Object.entries(def.uniforms || {})) {
+            const prev = other.uniforms[name];
+            if (prev && (prev.type !== u.type || String(prev.from) !== String(u.from))) {
+                throw new Error(`Uniform ${name} of "${def.key}" conflicts with "${other.key}"`);
+            }
+        }
+    }
+}
+
+// Registration order defines the uType index used by the shader
+export function getAuraTypes() {
+    return types;
+}
+
+export function getAuraType(key) {
+    return types.find((t) => t.key === key);
+}
+
+export function getTypeIndex(key) {
+    return types.findIndex((t) => t.key === key);
+}
+
+export function onAuraTypesChanged(fn) {
+    listeners.add(fn);
+    return () => listeners.delete(fn);
+}
+
+// Slider / default metadata of every param, core first
+export function getParamDefs() {
+    const defs = { ...CORE_PARAMS };
+    types.forEach((t) => Object.assign(defs, t.params));
+    return defs;
+}
+
+// Uniform bindings of the core and every type, deduplicated by name
+export function getUniformBindings() {
+    const bindings = { ...CORE_UNIFORMS };
+    types.forEach((t) => Object.assign(bindings, t.uniforms));
+    return bindings;
+}
@@ -0,0 +1,37 @@
+// --- Ripple: rings of mist travelling outward ---
+export default {
+    key: 'ripple',
+    name: '파문 (Ripple)',
+    params: {
+        dropSpeed: { label: '속도 (Speed)', min: 0.1, max: 5.0, default: 1.0 },
+        dropSize: { label: '크기 (Size)', min: 0.1, max: 2.0, default: 0.5 },
+        // Aimed with the canvas direction handle too; 360 spreads in every direction
+        rippleAngle: { label: '방향 (Direction)', min: -180, max: 180, default: 90 },
+        rippleSpread: { label: '퍼짐 (Spread)', min: 0, max: 360, default: 150 }
+    },
+    uniforms: {
+        uDropSpeed: { type: 'float', from: 'dropSpeed' },
+        uDropSize: { type: 'float', from: 'dropSize' },
+        uRippleAim: { type: 'vec2', from: ['rippleAngle', 'rippleSpread'] }
+    },
+    direction: { angle: 'rippleAngle', spread: 'rippleSpread' },
+    reach: (params) => params.auraSize * 1.6,
+    palette: [{ pos: 0, color: '#66ccff' }],
+    glsl: /* glsl */ `
+        AuraResult aura_ripple(AuraContext c) {
+            float maxDist = uAuraSize * 2.0;
+            float borderMask = withinReach(c.dist, maxDist * 0.8, 0.3);
+
+            float radialMove = c.radius * (10.0 / uDropSize) - c.activeTime * uDropSpeed * 3.0;
+            vec2 noiseUV = vec2(c.normAngle * 10.0, radialMove * 0.5);
+            float fineDetail = fbm(noiseUV);
+            float cellLocal = fract(radialMove);
+            float dropShape = smoothstep(0.4, 0.5, cellLocal) * smoothstep(0.6, 0.5, cellLocal);
+            float mist = borderMask * dropShape * fineDetail * 2.5;
+
+            float dirMask = withinAim(c.toCenter, uRippleAim);
+
+            return AuraResult(mist * dirMask * uStrength, samplePalette(clamp(c.radius * 2.0, 0.0, 1.0)));
+        }
+    `
+};
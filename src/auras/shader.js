@@ -0,0 +1,200 @@
+// --- Aura Shader Assembly ---
+// Builds the fragment shader and its uniforms from the registered types.
+// The aura shader renders one layer (premultiplied, no body); the body
+// shader draws the image on top once the layers are composited.
+
+import * as THREE from 'three';
+import { CORE_STRUCTS, CORE_GLSL } from './core.js';
+import { getAuraTypes, getUniformBindings } from './registry.js';
+import { MAX_STOPS } from '../palettes.js';
+
+export const vertexShader = /* glsl */ `
+    varying vec2 vUv;
+    void main() {
+        vUv = uv;
+        gl_Position = projectionMatrix * modelViewMatrix * vec4(position, 1.0);
+    }
+`;
+
+export function buildFragmentShader() {
+    const types = getAuraTypes();
+    const bindings = getUniformBindings();
+
+    const uniformDecls = Object.entries(bindings)
+        .map(([name, u]) => `    uniform ${u.type} ${name};`)
+        .join('\n');
+
+    const snippets = types
+        .map((t) => `    // ---- ${t.name} ----\n${t.glsl}`)
+        .join('\n');
+
+    const dispatch = types
+        .map((t, i) => `if (uType == ${i}) {
+            aura = aura_${t.key}(c);
+            converge = ${t.converge ? 'true' : 'false'};
+        }`)
+        .join(' else ');
+
+    return /* glsl */ `
+    precision mediump float;
+    uniform sampler2D tDistance; // Signed distance to the silhouette (distance-field.js)
+    uniform float uOpacity;      // Layer opacity
+    uniform float uTime;
+    uniform vec2 uResolution;
+    uniform int uType;
+    uniform vec2 uGrowth; // Growth phase start / end (s)
+    uniform vec2 uLock;   // Lock phase start / end (s)
+    // The layers draw on a plane larger than the image (see framing.js):
+    // its size relative to the image, and the image's aspect
+    uniform vec2 uFrameScale;
+    uniform float uImageAspect;
+
+    // Params (core and type specific, see registry.js)
+${uniformDecls}
+
+    // Palette (gradient stops of the active type) and convergence target
+    #define MAX_STOPS ${MAX_STOPS}
+    uniform vec3 uPaletteColors[MAX_STOPS];
+    uniform float uPalettePos[MAX_STOPS];
+    uniform int uPaletteCount;
+    uniform vec3 uConvTarget;
+
+    // Detail, lowered by the quality tiers (src/quality.js) through the
+    // material's defines: noise octaves, and the share of its loop
+    // iterations a looping type runs
+    #ifndef FBM_OCTAVES
+    #define FBM_OCTAVES 5
+    #endif
+    #ifndef QUALITY_SAMPLES
+    #define QUALITY_SAMPLES 1.0
+    #endif
+
+    varying vec2 vUv;
+${CORE_STRUCTS}
+${CORE_GLSL}
+${snippets}
+
+    void main() {
+        // Image UV, beyond 0..1 outside the image
+        vec2 uv = (vUv - 0.5) * uFrameScale + 0.5;
+
+        AuraContext c;
+        c.uv = uv;
+        c.growthPhase = smoothstep(uGrowth.x, uGrowth.y, uTime);
+        c.lockPhase = smoothstep(uLock.x, uLock.y, uTime);
+        c.activeTime = uTime * (1.0 - c.lockPhase * 0.95);
+
+        // Center coordinates (movable with the canvas handles)
+        c.center = uCenter;
+        c.toCenter = uv - c.center;
+        c.radius = length(c.toCenter);
+        c.angle = atan(c.toCenter.y, c.toCenter.x);
+        c.normAngle = (c.angle / 6.28318) + 0.5;
+        c.dist = distanceAt(uv);
+
+        AuraResult aura = AuraResult(0.0, uPaletteColors[0]);
+        bool converge = true;
+        ${dispatch}
+
+        float auraAlpha = aura.alpha;
+        vec3 auraColor = aura.color;
+
+        if (converge) {
+            vec3 hsv = rgb2hsv(auraColor);
+            vec3 targetHsv = rgb2hsv(uConvTarget);
+            float convAmount = uConv * c.growthPhase * 0.8;
+            // Shortest way around the hue circle
+            float hueDelta = fract(targetHsv.x - hsv.x + 0.5) - 0.5;
+            hsv.x = fract(hsv.x + hueDelta * convAmount);
+            // Pale targets (White Tara) also pull the saturation down
+            hsv.y = mix(hsv.y, min(hsv.y, targetHsv.y), convAmount);
+            auraColor = hsv2rgb(hsv);
+        }
+
+        // Premultiplied, so every blend mode can be expressed with blend factors
+        float a = clamp(auraAlpha, 0.0, 1.0) * uOpacity;
+        gl_FragColor = vec4(auraColor * a, a);
+    }
+`;
+}
+
+// The image itself, drawn over the composited aura layers
+export const bodyFragmentShader = /* glsl */ `
+    precision mediump float;
+    uniform sampler2D tDiffuse;
+    uniform sampler2D tEmission;    // Painted emission regions (emission-mask.js)
+    uniform float uCore;            // Body brightness (above 1.0 feeds the bloom)
+    uniform float uTime;
+    uniform vec2 uLock;
+    uniform float uMaskPreview;     // 1 = show the alpha mask instead of the image
+    uniform float uEmissionOverlay; // 1 = tint non-emitting body parts (brush mode)
+    varying vec2 vUv;
+
+    void main() {
+        vec4 texColor = texture2D(tDiffuse, vUv);
+        float alpha = texColor.a;
+        float emission = texture2D(tEmission, vUv).r;
+
+        if (uMaskPreview > 0.5) {
+            // Non-emitting parts of the body show up red
+            gl_FragColor = vec4(alpha * mix(vec3(1.0, 0.2, 0.2), vec3(1.0), emission), 1.0);
+            return;
+        }
+
+        float lockPhase = smoothstep(uLock.x, uLock.y, uTime);
+        float brightness = uCore + (lockPhase * 0.5);
+        vec3 bodyColor = texColor.rgb * brightness;
+        bodyColor = mix(bodyColor, vec3(1.0, 0.2, 0.2), (1.0 - emission) * 0.5 * uEmissionOverlay);
+
+        gl_FragColor = vec4(bodyColor, alpha);
+    }
+`;
+
+export function createBodyUniforms() {
+    return {
+        tDiffuse: { value: null },
+        tEmission: { value: null },
+        uCore: { value: 1.0 },
+        uTime: { value: 0.0 },
+        uLock: { value: new THREE.Vector2() },
+        uMaskPreview: { value: 0 },
+        uEmissionOverlay: { value: 0 }
+    };
+}
+
+// Uniform objects for a ShaderMaterial built from buildFragmentShader()
+export function createAuraUniforms(params) {
+    const uniforms = {
+        tDistance: { value: null },
+        uOpacity: { value: 1.0 },
+        uTime: { value: 0.0 },
+        uResolution: { value: new THREE.Vector2() },
+        uType: { value: 0 },
+        uGrowth: { value: new THREE.Vector2() },
+        uLock: { value: new THREE.Vector2() },
+        uFrameScale: { value: new THREE.Vector2(1, 1) },
+        uImageAspect: { value: 1.0 },
+        uPaletteColors: { value: Array.from({ length: MAX_STOPS }, () => new THREE.Color()) },
+        uPalettePos: { value: new Array(MAX_STOPS).fill(0) },
+        uPaletteCount: { value: 1 },
+        uConvTarget: { value: new THREE.Color() }
+    };
+
+    for (const [name, u] of Object.entries(getUniformBindings())) {
+        uniforms[name] = { value: u.type === 'float' ? 0 : new THREE[`Vector${u.type.slice(3)}`]() };
+    }
+    applyParamUniforms(uniforms, params);
+    return uniforms;
+}
+
+// Copy `params` into the bound uniforms
+export function applyParamUniforms(uniforms, params) {
+    for (const [name, u] of Object.entries(getUniformBindings())) {
+        if (!uniforms[name]) continue;
+        if (u.type === 'float') {
+            uniforms[name].value = params[u.from];
+        } else {
+            uniforms[name].value.fromArray(u.from.map((key) => params[key]));
+        }
+    }
+}
@@ -0,0 +1,117 @@
+import * as THREE from 'three';
+
+// Two looks on screen at once: the A/B wipe and the crossfade between
+// presentation items. The engine renders one look into the view's target
+// and the other to the canvas; the view then draws its target over it.
+
+const quadVertex = /* glsl */ `
+    varying vec2 vUv;
+    void main() {
+        vUv = uv;
+        gl_Position = vec4(position.xy, 0.0, 1.0);
+    }
+`;
+
+// Shared by both views: a target for the second look and a fullscreen quad
+// drawing it with `fragmentShader`
+class OverlayView {
+    constructor(renderer, fragmentShader, uniforms, materialOptions = {}) {
+        this.renderer = renderer;
+        this.target = new THREE.WebGLRenderTarget(1, 1, { depthBuffer: false });
+        this.camera = new THREE.OrthographicCamera(-1, 1, 1, -1, 0, 1);
+        this.material = new THREE.ShaderMaterial({
+            uniforms: { tOverlay: { value: this.target.texture }, ...uniforms },
+            vertexShader: quadVertex,
+            fragmentShader,
+            depthTest: false,
+            depthWrite: false,
+            ...materialOptions
+        });
+        this.quad = new THREE.Mesh(new THREE.PlaneGeometry(2, 2), this.material);
+        this.quad.frustumCulled = false;
+        this.scene = new THREE.Scene();
+        this.scene.add(this.quad);
+    }
+
+    // Target for the second look, sized for this frame
+    begin(width, height) {
+        if (this.target.width !== width || this.target.height !== height) this.target.setSize(width, height);
+        return this.target;
+    }
+
+    // Draw the second look over `output` (null = the canvas)
+    draw(output) {
+        const autoClear = this.renderer.autoClear;
+        this.renderer.autoClear = false;
+        this.renderer.setRenderTarget(output);
+        this.renderer.render(this.scene, this.camera);
+        this.renderer.autoClear = autoClear;
+    }
+
+    dispose() {
+        this.target.dispose();
+        this.material.dispose();
+        this.quad.geometry.dispose();
+    }
+}
+
+// --- A/B Wipe ---
+// Split-screen comparison: the right-hand preset is rendered into `target`,
+// and its right part drawn over the left-hand one with a divider line at
+// `position` (0 = left edge, 1 = right edge).
+
+const wipeFragment = /* glsl */ `
+    uniform sampler2D tOverlay; // The right-hand look
+    uniform float uPosition;
+    uniform float uWidth;     // Output width in pixels
+    varying vec2 vUv;
+    void main() {
+        float offset = (vUv.x - uPosition) * uWidth;
+        if (offset < -1.0) discard;
+        gl_FragColor = abs(offset) < 1.0 ? vec4(1.0) : texture2D(tOverlay, vUv);
+    }
+`;
+
+export class WipeView extends OverlayView {
+    constructor(renderer) {
+        super(renderer, wipeFragment, { uPosition: { value: 0.5 }, uWidth: { value: 1 } });
+    }
+
+    render(position, output = null) {
+        this.material.uniforms.uPosition.value = position;
+        this.material.uniforms.uWidth.value = this.target.width;
+        this.draw(output);
+    }
+}
+
+// --- Crossfade ---
+// The outgoing look is rendered into `target` and drawn over the incoming
+// one with `opacity` falling from 1 to 0. Both are premultiplied (see
+// post-processing.js), so the overlay is scaled as a whole and blended with
+// One / OneMinusSrcAlpha: where the outgoing look is transparent the
+// incoming one shows at full strength.
+
+const crossfadeFragment = /* glsl */ `
+    uniform sampler2D tOverlay;
+    uniform float uOpacity;
+    varying vec2 vUv;
+    void main() {
+        gl_FragColor = texture2D(tOverlay, vUv) * uOpacity;
+    }
+`;
+
+export class CrossfadeView extends OverlayView {
+    constructor(renderer) {
+        super(renderer, crossfadeFragment, { uOpacity: { value: 1 } }, {
+            transparent: true,
+            blending: THREE.CustomBlending,
+            blendSrc: THREE.OneFactor,
+            blendDst: THREE.OneMinusSrcAlphaFactor
+        });
+    }
+
+    render(opacity, output = null) {
+        this.material.uniforms.uOpacity.value = opacity;
+        this.draw(output);
+    }
+}
@@ -0,0 +1,109 @@
+import * as THREE from 'three';
+
+// --- Layer Compositing ---
+// Every visible layer is rendered with the shared aura material into one
+// half-float target (`targetType` on WebGL 1, see AuraEngine), blended over the layers below it by its blend mode.
+// A fullscreen quad then draws that target into the main scene, under the
+// body mesh. Values are not clamped: additive layers above 1.0 feed the
+// bloom (see post-processing.js).
+//
+// The aura shader outputs premultiplied color, so each blend mode is a pair
+// of blend factors:
+//   normal    src + dst * (1 - srcA)
+//   add       src + dst
+//   screen    src + dst * (1 - src)      = 1 - (1 - src)(1 - dst)
+//   multiply  src * dst + dst * (1 - srcA)
+
+const BLEND_FACTORS = {
+    normal: [THREE.OneFactor, THREE.OneMinusSrcAlphaFactor],
+    add: [THREE.OneFactor, THREE.OneFactor],
+    screen: [THREE.OneFactor, THREE.OneMinusSrcColorFactor],
+    multiply: [THREE.DstColorFactor, THREE.OneMinusSrcAlphaFactor]
+};
+
+const quadVertex = /* glsl */ `
+    varying vec2 vUv;
+    void main() {
+        vUv = uv;
+        gl_Position = vec4(position.xy, 0.0, 1.0);
+    }
+`;
+
+const quadFragment = /* glsl */ `
+    uniform sampler2D tAura;
+    varying vec2 vUv;
+    void main() {
+        gl_FragColor = texture2D(tAura, vUv);
+    }
+`;
+
+export class LayerCompositor {
+    constructor(renderer, targetType = THREE.HalfFloatType) {
+        this.renderer = renderer;
+        this.target = new THREE.WebGLRenderTarget(1, 1, {
+            type: targetType,
+            depthBuffer: false
+        });
+
+        // Add this to the main scene; it draws behind everything else
+        this.quad = new THREE.Mesh(
+            new THREE.PlaneGeometry(2, 2),
+            new THREE.ShaderMaterial({
+                uniforms: { tAura: { value: this.target.texture } },
+                vertexShader: quadVertex,
+                fragmentShader: quadFragment,
+                blending: THREE.CustomBlending,
+                blendSrc: THREE.OneFactor,
+                blendDst: THREE.OneMinusSrcAlphaFactor,
+                depthTest: false,
+                depthWrite: false
+            })
+        );
+        this.quad.frustumCulled = false;
+        this.quad.renderOrder = -1;
+
+        this.scene = new THREE.Scene();
+        this.clearColor = new THREE.Color();
+    }
+
+    // Renders `layers` (bottom first) into the aura target at width x height.
+    // `mesh` carries `material`; prepare(layer) sets the layer's uniforms.
+    render(mesh, material, camera, layers, prepare, width, height) {
+        const { renderer } = this;
+        if (this.target.width !== width || this.target.height !== height) {
+            this.target.setSize(width, height);
+        }
+
+        const prevTarget = renderer.getRenderTarget();
+        const prevAlpha = renderer.getClearAlpha();
+        const prevAutoClear = renderer.autoClear;
+        renderer.getClearColor(this.clearColor);
+
+        this.scene.add(mesh);
+        renderer.setRenderTarget(this.target);
+        renderer.setClearColor(0x000000, 0);
+        renderer.clear();
+        renderer.autoClear = false;
+
+        material.blending = THREE.CustomBlending;
+        material.blendEquation = THREE.AddEquation;
+        material.blendSrcAlpha = THREE.OneFactor;
+        material.blendDstAlpha = THREE.OneMinusSrcAlphaFactor;
+        for (const layer of layers) {
+            [material.blendSrc, material.blendDst] = BLEND_FACTORS[layer.blend] || BLEND_FACTORS.normal;
+            prepare(layer);
+            renderer.render(this.scene, camera);
+        }
+
+        this.scene.remove(mesh);
+        renderer.autoClear = prevAutoClear;
+        renderer.setClearColor(this.clearColor, prevAlpha);
+        renderer.setRenderTarget(prevTarget);
+    }
+
+    dispose() {
+        this.target.dispose();
+        this.quad.geometry.dispose();
+        this.quad.material.dispose();
+    }
+}
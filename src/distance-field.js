@@ -0,0 +1,231 @@
+import * as THREE from 'three';
+
+// --- Silhouette Distance Field (Jump Flooding) ---
+// Computes, once per loaded texture, the signed distance from every texel to
+// the alpha silhouette: negative inside the body, positive outside. Aura types
+// read it through distanceAt() instead of sampling tDiffuse on a ring, which
+// gives smooth halos at any size and a single texture fetch per lookup.
+//
+// Distances are in image-height units (x is scaled by the aspect), so halos
+// have the same width horizontally and vertically.
+//
+// An optional emission mask (white = emit) is multiplied into the alpha, so
+// painted-out parts of the body do not radiate (see emission-mask.js).
+
+const FAR = 4.0; // Reported when the silhouette is empty
+
+const quadVertex = /* glsl */ `
+    varying vec2 vUv;
+    void main() {
+        vUv = uv;
+        gl_Position = vec4(position.xy, 0.0, 1.0);
+    }
+`;
+
+// RG: nearest inside texel, BA: nearest outside texel (-1 = none found yet)
+const seedFragment = /* glsl */ `
+    uniform sampler2D tSource;
+    uniform sampler2D tMask;
+    uniform float uUseMask;
+    uniform float uThreshold;
+    varying vec2 vUv;
+    void main() {
+        float a = texture2D(tSource, vUv).a * mix(1.0, texture2D(tMask, vUv).r, uUseMask);
+        gl_FragColor = a > uThreshold ? vec4(vUv, -1.0, -1.0) : vec4(-1.0, -1.0, vUv);
+    }
+`;
+
+const floodFragment = /* glsl */ `
+    uniform sampler2D tSeeds;
+    uniform vec2 uStep;   // Jump distance in UV
+    uniform vec2 uScale;  // UV -> image-height units
+    varying vec2 vUv;
+
+    void main() {
+        vec4 best = texture2D(tSeeds, vUv);
+        float bestIn = best.x < 0.0 ? 1e9 : length((best.xy - vUv) * uScale);
+        float bestOut = best.z < 0.0 ? 1e9 : length((best.zw - vUv) * uScale);
+
+        for (int y = -1; y <= 1; y++) {
+            for (int x = -1; x <= 1; x++) {
+                vec2 suv = vUv + vec2(float(x), float(y)) * uStep;
+                if (suv.x < 0.0 || suv.y < 0.0 || suv.x > 1.0 || suv.y > 1.0) continue;
+                vec4 s = texture2D(tSeeds, suv);
+                if (s.x >= 0.0) {
+                    float d = length((s.xy - vUv) * uScale);
+                    if (d < bestIn) { bestIn = d; best.xy = s.xy; }
+                }
+                if (s.z >= 0.0) {
+                    float d = length((s.zw - vUv) * uScale);
+                    if (d < bestOut) { bestOut = d; best.zw = s.zw; }
+                }
+            }
+        }
+        gl_FragColor = best;
+    }
+`;
+
+// R: signed distance, G: source alpha
+const resolveFragment = /* glsl */ `
+    uniform sampler2D tSeeds;
+    uniform sampler2D tSource;
+    uniform sampler2D tMask;
+    uniform float uUseMask;
+    uniform float uThreshold;
+    uniform vec2 uScale;
+    varying vec2 vUv;
+
+    void main() {
+        vec4 s = texture2D(tSeeds, vUv);
+        float a = texture2D(tSource, vUv).a * mix(1.0, texture2D(tMask, vUv).r, uUseMask);
+        float dIn = s.x < 0.0 ? ${FAR.toFixed(1)} : length((s.xy - vUv) * uScale);
+        float dOut = s.z < 0.0 ? ${FAR.toFixed(1)} : length((s.zw - vUv) * uScale);
+        float sd = a > uThreshold ? -dOut : dIn;
+        gl_FragColor = vec4(min(sd, ${FAR.toFixed(1)}), a, 0.0, 1.0);
+    }
+`;
+
+export class DistanceFieldGenerator {
+    // `targetType`: float type of the fields (see AuraEngine)
+    constructor(renderer, targetType = THREE.HalfFloatType) {
+        this.renderer = renderer;
+        this.targetType = targetType;
+        this.camera = new THREE.OrthographicCamera(-1, 1, 1, -1, 0, 1);
+        this.quad = new THREE.Mesh(new THREE.PlaneGeometry(2, 2));
+        this.scene = new THREE.Scene();
+        this.scene.add(this.quad);
+
+        const shared = { vertexShader: quadVertex, depthTest: false, depthWrite: false };
+        this.seedMaterial = new THREE.ShaderMaterial({
+            ...shared,
+            fragmentShader: seedFragment,
+            uniforms: {
+                tSource: { value: null },
+                tMask: { value: null },
+                uUseMask: { value: 0 },
+                uThreshold: { value: 0.5 }
+            }
+        });
+        this.floodMaterial = new THREE.ShaderMaterial({
+            ...shared,
+            fragmentShader: floodFragment,
+            uniforms: {
+                tSeeds: { value: null },
+                uStep: { value: new THREE.Vector2() },
+                uScale: { value: new THREE.Vector2() }
+            }
+        });
+        this.resolveMaterial = new THREE.ShaderMaterial({
+            ...shared,
+            fragmentShader: resolveFragment,
+            uniforms: {
+                tSeeds: { value: null },
+                tSource: { value: null },
+                tMask: { value: null },
+                uUseMask: { value: 0 },
+                uThreshold: { value: 0.5 },
+                uScale: { value: new THREE.Vector2() }
+            }
+        });
+    }
+
+    // Returns a render target whose texture holds the field. Pass the previous
+    // result as `target` to render into it again (e.g. while painting the
+    // mask); a new one is created when its size no longer matches. The caller
+    // owns the returned target.
+    generate(texture, { maxSize = 1024, threshold = 0.5, mask = null, target = null } = {}) {
+        const { width: imgW, height: imgH } = texture.image;
+        const scale = Math.min(1, maxSize / Math.max(imgW, imgH));
+        const width = Math.max(1, Math.round(imgW * scale));
+        const height = Math.max(1, Math.round(imgH * scale));
+        const uvScale = new THREE.Vector2(imgW / imgH, 1);
+
+        let field = target;
+        if (!field || field.width !== width || field.height !== height) {
+            if (field) field.dispose();
+            field = new THREE.WebGLRenderTarget(width, height, {
+                type: this.targetType,
+                minFilter: THREE.LinearFilter,
+                magFilter: THREE.LinearFilter,
+                depthBuffer: false
+            });
+        }
+        let [ping, pong] = this.getSeedTargets(width, height);
+
+        const prevTarget = this.renderer.getRenderTarget();
+
+        const seed = this.seedMaterial.uniforms;
+        seed.tSource.value = texture;
+        seed.tMask.value = mask;
+        seed.uUseMask.value = mask ? 1 : 0;
+        seed.uThreshold.value = threshold;
+        this.pass(this.seedMaterial, ping);
+
+        // Jumps of N/2, N/4, ... 1 texels
+        const flood = this.floodMaterial.uniforms;
+        flood.uScale.value.copy(uvScale);
+        let step = 1 << Math.ceil(Math.log2(Math.max(width, height)));
+        while (step > 1) {
+            step >>= 1;
+            flood.tSeeds.value = ping.texture;
+            flood.uStep.value.set(step / width, step / height);
+            this.pass(this.floodMaterial, pong);
+            [ping, pong] = [pong, ping];
+        }
+
+        const resolve = this.resolveMaterial.uniforms;
+        resolve.tSeeds.value = ping.texture;
+        resolve.tSource.value = texture;
+        resolve.tMask.value = mask;
+        resolve.uUseMask.value = mask ? 1 : 0;
+        resolve.uThreshold.value = threshold;
+        resolve.uScale.value.copy(uvScale);
+        this.pass(this.resolveMaterial, field);
+
+        this.renderer.setRenderTarget(prevTarget);
+        return field;
+    }
+
+    // Ping-pong seed buffers, kept between calls of the same size
+    getSeedTargets(width, height) {
+        if (this.seeds && this.seeds[0].width === width && this.seeds[0].height === height) {
+            return this.seeds;
+        }
+        this.disposeSeeds();
+
+        // Seeds need full float precision where the GPU can render to it
+        const seedType = this.renderer.extensions.has('EXT_color_buffer_float')
+            ? THREE.FloatType : this.targetType;
+        const seedOptions = {
+            type: seedType,
+            minFilter: THREE.NearestFilter,
+            magFilter: THREE.NearestFilter,
+            depthBuffer: false
+        };
+        this.seeds = [
+            new THREE.WebGLRenderTarget(width, height, seedOptions),
+            new THREE.WebGLRenderTarget(width, height, seedOptions)
+        ];
+        return this.seeds;
+    }
+
+    disposeSeeds() {
+        if (!this.seeds) return;
+        this.seeds.forEach((t) => t.dispose());
+        this.seeds = null;
+    }
+
+    pass(material, target) {
+        this.quad.material = material;
+        this.renderer.setRenderTarget(target);
+        this.renderer.render(this.scene, this.camera);
+    }
+
+    dispose() {
+        this.disposeSeeds();
+        this.quad.geometry.dispose();
+        this.seedMaterial.dispose();
+        this.floodMaterial.dispose();
+        this.resolveMaterial.dispose();
+    }
+}
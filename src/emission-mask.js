@@ -0,0 +1,177 @@
+import * as THREE from 'three';
+import { crc32 } from './zip.js';
+import { LocalizedError } from './i18n/index.js';
+
+// --- Emission Mask ---
+// A grayscale painting over the image (white = emit, black = no aura) that
+// is multiplied into the alpha when the silhouette distance field is built,
+// so the aura can be limited to the head and halo or kept off the lotus seat.
+// Lives in UV space: independent of the image resolution.
+
+const MAX_SIZE = 1024;
+
+let nextVersion = 1; // Shared by every mask, so a version is never reused
+
+export class EmissionMask {
+    constructor() {
+        this.canvas = document.createElement('canvas');
+        this.ctx = this.canvas.getContext('2d', { willReadFrequently: true });
+        this.texture = null;
+        this.version = 0; // Changes with every edit (see snapshot)
+        this.last = null; // Last dab of the current stroke
+        this.reset(1, 1);
+    }
+
+    // Fresh all-emitting mask for an image of the given aspect
+    reset(width, height) {
+        const scale = MAX_SIZE / Math.max(width, height);
+        this.canvas.width = Math.max(1, Math.round(width * scale));
+        this.canvas.height = Math.max(1, Math.round(height * scale));
+        this.fill('#ffffff');
+
+        // Textures keep their allocated size, so a resize needs a new one
+        if (this.texture) this.texture.dispose();
+        this.texture = new THREE.CanvasTexture(this.canvas);
+        this.texture.minFilter = THREE.LinearFilter;
+        this.texture.magFilter = THREE.LinearFilter;
+    }
+
+    fill(color) {
+        this.ctx.globalCompositeOperation = 'source-over';
+        this.ctx.fillStyle = color;
+        this.ctx.fillRect(0, 0, this.canvas.width, this.canvas.height);
+        this.changed();
+    }
+
+    clear() {
+        this.fill('#ffffff');
+    }
+
+    changed() {
+        this.version = nextVersion++;
+        if (this.texture) this.texture.needsUpdate = true;
+    }
+
+    // Replace the mask with a saved one (ImageBitmap, image or canvas)
+    load(image) {
+        this.ctx.globalCompositeOperation = 'copy';
+        this.ctx.drawImage(image, 0, 0, this.canvas.width, this.canvas.height);
+        this.ctx.globalCompositeOperation = 'source-over';
+        this.changed();
+    }
+
+    beginStroke() {
+        this.last = null;
+    }
+
+    endStroke() {
+        this.last = null;
+    }
+
+    // Paint at (u, v) in UV space. size is the radius as a fraction of the
+    // image height, softness the fraction of it that fades out.
+    paint(u, v, { erase = false, size = 0.05, softness = 0.5 } = {}) {
+        const x = u * this.canvas.width;
+        const y = (1 - v) * this.canvas.height;
+        const radius = Math.max(1, size * this.canvas.height);
+
+        // Fill the gap to the previous dab so fast strokes stay continuous
+        const from = this.last || { x, y };
+        const steps = Math.max(1, Math.ceil(Math.hypot(x - from.x, y - from.y) / (radius * 0.25)));
+        for (let i = 1; i <= steps; i++) {
+            const t = i / steps;
+            this.dab(from.x + (x - from.x) * t, from.y + (y - from.y) * t, radius, softness, erase);
+        }
+        this.last = { x, y };
+        this.changed();
+    }
+
+    dab(x, y, radius, softness, erase) {
+        const rgb = erase ? '0, 0, 0' : '255, 255, 255';
+        const inner = radius * (1 - Math.min(1, Math.max(0, softness)));
+        const gradient = this.ctx.createRadialGradient(x, y, inner, x, y, radius);
+        gradient.addColorStop(0, `rgba(${rgb}, 1)`);
+        gradient.addColorStop(1, `rgba(${rgb}, 0)`);
+        this.ctx.fillStyle = gradient;
+        this.ctx.beginPath();
+        this.ctx.arc(x, y, radius, 0, Math.PI * 2);
+        this.ctx.fill();
+    }
+
+    // The mask is gray, so one channel is enough (for the undo history)
+    snapshot() {
+        const { width, height } = this.canvas;
+        const { data } = this.ctx.getImageData(0, 0, width, height);
+        const values = new Uint8Array(width * height);
+        for (let i = 0; i < values.length; i++) values[i] = data[i * 4];
+        return { width, height, values, version: this.version };
+    }
+
+    // Returns false when the snapshot was taken for another image size
+    restore({ width, height, values, version }) {
+        if (width !== this.canvas.width || height !== this.canvas.height) return false;
+        const imageData = this.ctx.createImageData(width, height);
+        for (let i = 0; i < values.length; i++) {
+            imageData.data[i * 4] = imageData.data[i * 4 + 1] = imageData.data[i * 4 + 2] = values[i];
+            imageData.data[i * 4 + 3] = 255;
+        }
+        this.ctx.putImageData(imageData, 0, 0);
+        this.texture.needsUpdate = true;
+        this.version = version;
+        return true;
+    }
+}
+
+// --- Saving With the Image ---
+// The mask travels inside the image PNG as a private ancillary chunk
+// ("taRa") holding the mask as a PNG of its own. Other programs ignore the
+// chunk, and handleFile() picks it up again.
+
+const CHUNK_TYPE = 'taRa';
+const PNG_SIGNATURE = [137, 80, 78, 71, 13, 10, 26, 10];
+
+function canvasToPngBytes(canvas) {
+    return new Promise((resolve, reject) => {
+        canvas.toBlob((blob) => {
+            if (!blob) reject(new LocalizedError('error.pngEncode', 'PNG encoding failed'));
+            else blob.arrayBuffer().then((buf) => resolve(new Uint8Array(buf)), reject);
+        }, 'image/png');
+    });
+}
+
+// PNG Blob of `imageCanvas` carrying the emission mask
+export async function encodeImageWithMask(imageCanvas, mask) {
+    const png = await canvasToPngBytes(imageCanvas);
+    const maskPng = await canvasToPngBytes(mask.canvas);
+
+    // Insert the chunk right before IEND (the last 12 bytes)
+    const chunk = new Uint8Array(12 + maskPng.length);
+    const view = new DataView(chunk.buffer);
+    view.setUint32(0, maskPng.length);
+    for (let i = 0; i < 4; i++) chunk[4 + i] = CHUNK_TYPE.charCodeAt(i);
+    chunk.set(maskPng, 8);
+    view.setUint32(8 + maskPng.length, crc32(chunk.subarray(4, 8 + maskPng.length)));
+
+    const iend = png.length - 12;
+    return new Blob([png.subarray(0, iend), chunk, png.subarray(iend)], { type: 'image/png' });
+}
+
+// Emission mask embedded by encodeImageWithMask(), as an ImageBitmap, or null
+export async function decodeEmbeddedMask(blob) {
+    const bytes = new Uint8Array(await blob.arrayBuffer());
+    if (!PNG_SIGNATURE.every((b, i) => bytes[i] === b)) return null;
+
+    const view = new DataView(bytes.buffer);
+    let offset = 8;
+    while (offset + 12 <= bytes.length) {
+        const length = view.getUint32(offset);
+        const type = String.fromCharCode(...bytes.subarray(offset + 4, offset + 8));
+        if (type === CHUNK_TYPE) {
+            const data = bytes.subarray(offset + 8, offset + 8 + length);
+            return createImageBitmap(new Blob([data], { type: 'image/png' }));
+        }
+        if (type === 'IEND') break;
+        offset += 12 + length;
+    }
+    return null;
+}
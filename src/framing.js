@@ -0,0 +1,68 @@
+import { getAuraType } from './auras/index.js';
+import { isHexColor } from './palettes.js';
+
+// --- Framing ---
+// How the image sits on the canvas (part of a preset):
+//
+//   padding     Margin kept around the image when the view fits it, in image
+//               heights: room on screen for the aura
+//   background  What shows behind the scene (see BACKGROUND_MODES); drawn by
+//               the composite pass, so it does not bloom
+//   color       Solid color, and the center of the gradient
+//   color2      Edge of the (radial) gradient
+//
+// The backdrop image itself is not part of the preset; without one the
+// 'image' background shows `color`. Pan and zoom of the live view are not
+// either (see AuraEngine.setView).
+
+export const BACKGROUND_MODES = {
+    color: '단색 (Solid)',
+    gradient: '그라디언트 (Gradient)',
+    image: '배경 이미지 (Backdrop)',
+    transparent: '투명 (Transparent)'
+};
+
+export const MAX_PADDING = 0.5;
+
+// The aura layers draw on a plane this much larger than the image on every
+// side at most (image heights), so wide auras are not cut off at its edges
+const MAX_AURA_REACH = 1.0;
+
+export function defaultFrameSettings() {
+    return { padding: 0.1, background: 'color', color: '#000000', color2: '#1b1030' };
+}
+
+// Expects the shape of defaultFrameSettings() (see migratePreset)
+export function sanitizeFrameSettings(frame) {
+    const defaults = defaultFrameSettings();
+    const clean = { ...frame };
+    clean.padding = Math.min(MAX_PADDING, Math.max(0, clean.padding));
+    if (!(clean.background in BACKGROUND_MODES)) clean.background = defaults.background;
+    if (!isHexColor(clean.color)) clean.color = defaults.color;
+    if (!isHexColor(clean.color2)) clean.color2 = defaults.color2;
+    return clean;
+}
+
+// How far past the silhouette the given layers can draw, in image heights
+// (see `reach` in registry.js), with some room for modulated params
+export function auraReach(layers) {
+    let reach = 0;
+    layers.forEach((layer) => {
+        const type = getAuraType(layer.type);
+        if (type) reach = Math.max(reach, type.reach(layer.params));
+    });
+    return Math.min(MAX_AURA_REACH, reach * 1.25 + 0.02);
+}
+
+// The rendered output is premultiplied (see post-processing.js); image
+// files and 2D canvases take straight alpha. Converts RGBA bytes in place.
+export function unpremultiply(data) {
+    for (let i = 0; i < data.length; i += 4) {
+        const a = data[i + 3];
+        if (a === 255) continue;
+        const scale = a ? 255 / a : 0;
+        data[i] = Math.min(255, Math.round(data[i] * scale));
+        data[i + 1] = Math.min(255, Math.round(data[i + 1] * scale));
+        data[i + 2] = Math.min(255, Math.round(data[i + 2] * scale));
+    }
+}
@@ -0,0 +1,157 @@
+import { getAuraType } from './auras/index.js';
+import { t, onLanguageChanged } from './i18n/index.js';
+
+// --- Canvas Handles ---
+// Draggable handles over the canvas for the params that are easier to point
+// at than to slide: the emission center (centerX / centerY, e.g. on the heart
+// chakra) and, for types that declare a `direction` (see registry.js), the
+// aim and spread of their emission. Everything is placed in UV space, the
+// same space the shader measures angles in, so the wedge matches the aura.
+
+const SVG_NS = 'http://www.w3.org/2000/svg';
+const AIM_RADIUS = 0.3;    // UV distance of the direction handle from the center
+const SPREAD_RADIUS = 0.22;
+
+// Shortest signed difference between two angles, in degrees
+function angleDelta(a, b) {
+    return ((((a - b) % 360) + 540) % 360) - 180;
+}
+
+export class Gizmos {
+    // `getLayer()` returns the layer being edited; `onChange(values)` gets
+    // the params a drag changed (the caller writes them, keyframes included)
+    constructor(engine, svg, { getLayer, onChange }) {
+        this.engine = engine;
+        this.svg = svg;
+        this.getLayer = getLayer;
+        this.onChange = onChange;
+        this.visible = false;
+        this.drag = null;
+
+        this.wedge = this.createElement('path', 'gizmo-wedge');
+        this.aimLine = this.createElement('line', 'gizmo-line');
+        this.spreadHandles = [-1, 1].map((side) => this.createHandle('gizmo-spread', 'spread', side));
+        this.aimHandle = this.createHandle('gizmo-aim', 'aim', 0);
+        this.centerHandle = this.createHandle('gizmo-center', 'center', 0);
+        onLanguageChanged(() => this.updateTooltips());
+
+        window.addEventListener('pointermove', (e) => this.onPointerMove(e));
+        window.addEventListener('pointerup', () => { this.drag = null; });
+        window.addEventListener('pointercancel', () => { this.drag = null; });
+    }
+
+    createElement(tag, className) {
+        const el = document.createElementNS(SVG_NS, tag);
+        el.setAttribute('class', className);
+        this.svg.appendChild(el);
+        return el;
+    }
+
+    createHandle(className, role, side) {
+        const handle = this.createElement('circle', `gizmo-handle ${className}`);
+        handle.setAttribute('r', role === 'center' ? 9 : 7);
+        handle.dataset.role = role;
+        const tooltip = document.createElementNS(SVG_NS, 'title');
+        tooltip.textContent = t(`gizmo.${role}`);
+        handle.appendChild(tooltip);
+        handle.addEventListener('pointerdown', (e) => {
+            if (e.button !== 0) return;
+            e.preventDefault();
+            e.stopPropagation();
+            this.drag = { role, side };
+        });
+        return handle;
+    }
+
+    // In the current language (see i18n/index.js)
+    updateTooltips() {
+        [this.centerHandle, this.aimHandle, ...this.spreadHandles].forEach((handle) => {
+            handle.querySelector('title').textContent = t(`gizmo.${handle.dataset.role}`);
+        });
+    }
+
+    setVisible(visible) {
+        this.visible = visible;
+        this.svg.hidden = !visible;
+        this.drag = null;
+        this.update();
+    }
+
+    // Call after the params, the layer, the image or the view changed
+    update() {
+        if (!this.visible) return;
+        const { params } = this.getLayer();
+        const center = this.engine.uvToClient(params.centerX, params.centerY);
+        place(this.centerHandle, center);
+
+        const direction = this.direction();
+        [this.wedge, this.aimLine, this.aimHandle, ...this.spreadHandles].forEach((el) => {
+            el.style.display = direction ? '' : 'none';
+        });
+        if (!direction) return;
+
+        const angle = params[direction.angle];
+        const spread = Math.min(360, Math.max(0, params[direction.spread]));
+        const aim = this.pointAt(params, angle, AIM_RADIUS);
+        place(this.aimHandle, aim);
+        this.aimLine.setAttribute('x1', center.x);
+        this.aimLine.setAttribute('y1', center.y);
+        this.aimLine.setAttribute('x2', aim.x);
+        this.aimLine.setAttribute('y2', aim.y);
+
+        const edges = [-1, 1].map((side) => this.pointAt(params, angle + side * spread / 2, SPREAD_RADIUS));
+        this.spreadHandles.forEach((handle, i) => place(handle, edges[i]));
+        // Sampled outline: the wedge is not a circular arc on screen unless the image is square
+        const steps = Math.max(2, Math.ceil(spread / 10));
+        const outline = Array.from({ length: steps + 1 }, (_, i) => (
+            this.pointAt(params, angle - spread / 2 + (spread * i) / steps, SPREAD_RADIUS)
+        ));
+        const path = spread >= 360 ? outline : [center, ...outline];
+        this.wedge.setAttribute('d', `M${path.map((p) => `${p.x},${p.y}`).join('L')}Z`);
+    }
+
+    direction() {
+        const type = getAuraType(this.getLayer().type);
+        return type && type.direction;
+    }
+
+    // Screen position at `angle` degrees and `radius` UV units from the center
+    pointAt(params, angle, radius) {
+        const rad = (angle * Math.PI) / 180;
+        return this.engine.uvToClient(
+            params.centerX + Math.cos(rad) * radius,
+            params.centerY + Math.sin(rad) * radius
+        );
+    }
+
+    onPointerMove(e) {
+        if (!this.drag) return;
+        const { params } = this.getLayer();
+        const { u, v } = this.engine.pointerToUV(e.clientX, e.clientY);
+        const round = (x) => Math.round(x * 1000) / 1000;
+
+        if (this.drag.role === 'center') {
+            // Kept on the image so the handle cannot be lost off screen
+            this.onChange({
+                centerX: round(Math.min(1, Math.max(0, u))),
+                centerY: round(Math.min(1, Math.max(0, v)))
+            });
+        } else {
+            const direction = this.direction();
+            if (!direction) return;
+            const pointer = (Math.atan2(v - params.centerY, u - params.centerX) * 180) / Math.PI;
+            if (this.drag.role === 'aim') {
+                this.onChange({ [direction.angle]: round(pointer) });
+            } else {
+                const spread = 2 * Math.abs(angleDelta(pointer, params[direction.angle]));
+                this.onChange({ [direction.spread]: round(spread) });
+            }
+        }
+        this.update();
+    }
+}
+
+function place(handle, { x, y }) {
+    handle.setAttribute('cx', x);
+    handle.setAttribute('cy', y);
+}
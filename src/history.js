@@ -0,0 +1,130 @@
+// --- Undo History ---
+// Linear undo / redo over whole edit states. Rather than every control
+// reporting its edits, the owner calls markDirty() when something may have
+// changed (any input event, an image load, a remote command), and update(),
+// run once per frame, then compares a signature of the current state with
+// the last recorded one, so sliders, type buttons, keyframes, remote
+// commands and image loads are all covered without each saying what it
+// changed. Nothing is compared while nothing happens. A change is recorded
+// once it has settled: a slider drag is one step, not one per frame.
+//
+// States are opaque here; the owner provides
+//
+//   signature()              String identifying the current state
+//   capture(previous)        The state to store (may share data with `previous`)
+//   restore(state)           Put a stored state back
+//   weight(state, previous)  Optional memory cost; the oldest steps are
+//                            dropped while the total exceeds `maxWeight`
+//
+// `onChange(history)` runs after every record, undo and redo (to update
+// buttons), also for the starting point recorded by the constructor.
+
+const CHECK_INTERVAL = 250; // ms between signature checks
+const SETTLE_TIME = 400;    // ms a change must stay unchanged before it is recorded
+
+export class UndoHistory {
+    constructor({
+        signature, capture, restore, weight = () => 0,
+        limit = 100, maxWeight = Infinity, onChange = () => {}
+    }) {
+        this.signature = signature;
+        this.capture = capture;
+        this.restore = restore;
+        this.weight = weight;
+        this.limit = limit;
+        this.maxWeight = maxWeight;
+        this.onChange = onChange;
+        this.entries = []; // { state, signature, weight }, oldest first
+        this.index = -1;   // Entry matching the current state
+        this.lastCheck = 0;
+        this.pending = null; // { signature, since } of a change still settling
+        this.dirty = false;  // Something may have changed since the last comparison
+        this.record();
+    }
+
+    get canUndo() {
+        return this.index > 0 || this.changedSinceRecord();
+    }
+
+    get canRedo() {
+        return this.index < this.entries.length - 1;
+    }
+
+    changedSinceRecord() {
+        return this.signature() !== this.entries[this.index].signature;
+    }
+
+    // The state may have changed: compare it on the next update()
+    markDirty() {
+        this.dirty = true;
+    }
+
+    // Call once per frame (throttled); compares only after markDirty(), and
+    // while a change settles
+    update(now = performance.now()) {
+        if (!this.dirty && !this.pending) return;
+        if (now - this.lastCheck < CHECK_INTERVAL) return;
+        this.lastCheck = now;
+        this.dirty = false;
+        const signature = this.signature();
+        if (signature === this.entries[this.index].signature) {
+            this.pending = null;
+        } else if (!this.pending || this.pending.signature !== signature) {
+            this.pending = { signature, since: now };
+        } else if (now - this.pending.since >= SETTLE_TIME) {
+            this.record();
+        }
+    }
+
+    // Record the current state now; anything that was undone is dropped
+    record() {
+        this.pending = null;
+        const previous = this.entries[this.index];
+        const state = this.capture(previous ? previous.state : null);
+        this.entries.splice(this.index + 1, Infinity, {
+            state,
+            signature: this.signature(),
+            weight: this.weight(state, previous ? previous.state : null)
+        });
+        this.index = this.entries.length - 1;
+
+        let total = this.entries.reduce((sum, entry) => sum + entry.weight, 0);
+        while (this.entries.length > 1 && (this.entries.length > this.limit || total > this.maxWeight)) {
+            total -= this.entries.shift().weight;
+            this.index--;
+        }
+        this.onChange(this);
+    }
+
+    // Forget every step; the current state becomes the starting point
+    clear() {
+        this.entries = [];
+        this.index = -1;
+        this.record();
+    }
+
+    // Both return false when there is nothing to go back / forward to
+    undo() {
+        // An edit that has not settled yet is recorded first, so it can be redone
+        if (this.changedSinceRecord()) this.record();
+        return this.go(this.index - 1);
+    }
+
+    redo() {
+        if (this.changedSinceRecord()) return false; // The redo steps no longer apply
+        return this.go(this.index + 1);
+    }
+
+    go(index) {
+        if (index < 0 || index >= this.entries.length) return false;
+        this.index = index;
+        this.pending = null;
+        const entry = this.entries[index];
+        this.restore(entry.state);
+        // Restoring can differ in details the state does not pin down
+        // (an auto-estimated key color); do not record that as an edit
+        entry.signature = this.signature();
+        this.onChange(this);
+        return true;
+    }
+}
@@ -0,0 +1,345 @@
+// --- English Strings ---
+// Same keys as ko.js (see index.js)
+
+export const en = {
+    // Panel
+    'app.language': 'Language',
+    'alert.close': 'Close',
+    'alert.loadFailed': 'Could not load the image: {message}',
+    'alert.downscaled': 'Downscaled the image to {size} to fit the GPU',
+    'alert.contextLost': 'WebGL context lost, waiting for it to return...',
+    'alert.contextRestored': 'WebGL context restored',
+    'common.moveUp': 'Move up',
+    'common.moveDown': 'Move down',
+    'status.time': 'Time:',
+
+    // Source
+    'source.upload': 'Upload image / video',
+    'source.dropHint': 'or drop an image, a video or a folder of PNGs',
+    'source.sequenceFolder': 'PNG sequence folder',
+    'source.dropError': 'Error: {message}',
+    'source.unsupported': 'Unsupported file',
+    'source.emissionUnreadable': 'The saved emission mask is unreadable',
+    'source.imageError': 'Image error: {message}',
+    'source.fileUnreadable': 'Could not read the file: {name}',
+    'source.loadingVideo': 'Loading the video...',
+    'source.video': 'Video: {clip}',
+    'source.videoError': 'Video error: {message}',
+    'source.noImages': 'No PNG/JPEG images in the folder',
+    'source.loadingSequence': 'Loading the sequence...',
+    'source.sequence': 'Sequence: {count} frames, {clip}',
+    'source.sequenceError': 'Sequence error: {message}',
+    'source.clip': '{width}×{height}, {duration}s loop',
+
+    // Alpha mask
+    'mask.title': 'Alpha Mask',
+    'mask.mode': 'Mask mode',
+    'mask.keyColor': 'Key color',
+    'mask.keyAuto': 'Auto key',
+    'mask.keyAutoTitle': 'Estimate the key color from the edges',
+    'mask.tolerance': 'Tolerance',
+    'mask.feather': 'Feather (px)',
+    'mask.preview': 'Preview the mask',
+    'mask.applied': 'Applied: {mode}',
+    'mask.appliedAuto': 'Applied: {mode} (auto)',
+    'mask.saveFailed': 'Save failed',
+    'maskMode.auto': 'Auto',
+    'maskMode.none': 'None',
+    'maskMode.colorKey': 'Color Key',
+    'maskMode.luminance': 'Luminance',
+    'maskMode.floodFill': 'Edge Fill',
+
+    // Emission brush
+    'brush.title': 'Emission Brush',
+    'brush.toggle': 'Brush',
+    'brush.add': 'Add',
+    'brush.erase': 'Erase',
+    'brush.size': 'Brush size',
+    'brush.softness': 'Softness',
+    'brush.undo': 'Undo',
+    'brush.clear': 'Clear mask',
+    'brush.saveImage': 'Save image + mask (PNG)',
+
+    // Playback and history
+    'playback.restart': 'Restart',
+    'playback.pause': 'Pause / Play',
+    'playback.reset': 'Reset settings',
+    'history.undo': '↶ Undo',
+    'history.redo': '↷ Redo',
+
+    // Presets
+    'preset.title': 'Presets',
+    'preset.list': 'Saved presets',
+    'preset.name': 'Preset name',
+    'preset.save': 'Save',
+    'preset.load': 'Load',
+    'preset.delete': 'Delete',
+    'preset.export': 'Export JSON',
+    'preset.import': 'Import JSON',
+    'preset.link': 'Copy link',
+    'preset.saved': 'Saved: {name}',
+    'preset.loaded': 'Loaded: {name}',
+    'preset.imported': 'Imported: {name}',
+    'preset.importFailed': 'Import failed: {message}',
+    'preset.linkError': 'Link error: {message}',
+    'preset.linkCopied': 'Link copied',
+    'preset.copyAddress': 'Copy the link from the address bar',
+
+    // A/B comparison
+    'compare.title': 'A/B Compare',
+    'compare.storeA': 'Store A',
+    'compare.storeB': 'Store B',
+    'compare.wipe': 'Wipe',
+    'compare.handle': 'Wipe position',
+    'compare.stored': 'Stored {slot}',
+    'compare.empty': '{slot} is empty',
+    'compare.showing': 'Showing {slot}',
+    'compare.storeFirst': 'Store A and B first',
+    'compare.wipeOn': 'Wipe: A on the left, B on the right',
+
+    // Layers
+    'layer.title': 'Layers',
+    'layer.add': '＋ Add layer',
+    'layer.duplicate': 'Duplicate',
+    'layer.blend': 'Blend',
+    'layer.opacity': 'Opacity',
+    'layer.select': 'Select the layer',
+    'layer.mute': 'Mute',
+    'layer.solo': 'Solo',
+    'layer.remove': 'Remove the layer',
+    'blend.normal': 'Normal',
+    'blend.add': 'Add',
+    'blend.screen': 'Screen',
+    'blend.multiply': 'Multiply',
+
+    // Aura types
+    'types.title': 'Aura Type',
+    'types.shortcut': 'Shortcut: {key}',
+    'types.handles': 'Handles',
+    'types.handlesTitle': 'Drag the center and the direction on the canvas',
+    'types.centerReset': 'Reset center',
+    'type.basic': 'Basic',
+    'type.flame': 'Flame',
+    'type.ripple': 'Ripple',
+    'type.fade': 'Fade',
+    'type.droplet': '💧 Droplet',
+    'type.rainbow': '🌈 Rainbow Body',
+    'gizmo.spread': 'Spread',
+    'gizmo.aim': 'Direction',
+    'gizmo.center': 'Center',
+
+    // Params
+    'param.auraSize': 'Aura size',
+    'param.auraStrength': 'Strength',
+    'param.swimSpeed': 'Swim',
+    'param.breathSpeed': 'Breath',
+    'param.convergence': 'Color convergence',
+    'param.coreBrightness': 'Core brightness',
+    'param.flameHeight': 'Flame height',
+    'param.flameTemp': 'Temperature',
+    'param.dropSpeed': 'Speed',
+    'param.dropSize': 'Size',
+    'param.rippleAngle': 'Direction',
+    'param.rippleSpread': 'Spread',
+    'param.dropCount': 'Drops',
+    'param.dropletAngle': 'Direction',
+    'param.dropletSpread': 'Spread',
+    'param.bandCount': 'Bands',
+    'param.bandWidth': 'Band width',
+    'param.rayCount': 'Rays',
+    'param.rayLength': 'Ray length',
+    'param.rayRotation': 'Rotation speed',
+
+    // Palette
+    'palette.title': 'Color Palette',
+    'palette.stopColor': 'Color',
+    'palette.stopPosition': 'Position',
+    'palette.removeStop': 'Remove the color stop',
+    'palette.addStop': '＋ Add color',
+    'palette.reset': 'Reset palette',
+    'palette.convergence': 'Convergence Target',
+    'palette.custom': 'Custom',
+    'tara.green': 'Green Tara',
+    'tara.white': 'White Tara',
+    'tara.red': 'Red Tara',
+    'tara.yellow': 'Yellow Tara',
+    'tara.blue': 'Blue Tara',
+
+    // Post-processing
+    'post.title': 'Post-processing',
+    'pass.bloom': 'Bloom',
+    'pass.bloom.threshold': 'Threshold',
+    'pass.bloom.knee': 'Knee',
+    'pass.bloom.intensity': 'Intensity',
+    'pass.bloom.radius': 'Radius',
+    'pass.vignette': 'Vignette',
+    'pass.vignette.amount': 'Amount',
+    'pass.vignette.softness': 'Softness',
+    'pass.grain': 'Film grain',
+    'pass.grain.amount': 'Amount',
+
+    // Framing
+    'frame.title': 'Framing',
+    'frame.padding': 'Padding',
+    'frame.background': 'Background',
+    'frame.color': 'Background color',
+    'frame.color2': 'Edge color',
+    'frame.backdrop': 'Backdrop image',
+    'frame.viewReset': 'Reset view',
+    'frame.viewResetTitle': 'Wheel: zoom, drag: pan, double-click: fit',
+    'frame.backdropLoaded': 'Backdrop: {name}',
+    'frame.backdropError': 'Backdrop error: {message}',
+    'frame.chooseBackdrop': 'Choose a backdrop image',
+    'background.color': 'Solid',
+    'background.gradient': 'Gradient',
+    'background.image': 'Backdrop',
+    'background.transparent': 'Transparent',
+
+    // Performance
+    'quality.title': 'Performance',
+    'quality.mode': 'Quality',
+    'quality.target': 'Target FPS',
+    'quality.overlay': 'Show FPS',
+    'quality.auto': 'Auto',
+    'quality.now': 'Now: {tier}',
+    'quality.frameTime': '{average} ms (worst {worst} ms)',
+    'quality.auraScale': '{tier} · aura {percent}%',
+    'qualityTier.high': 'High',
+    'qualityTier.medium': 'Medium',
+    'qualityTier.low': 'Low',
+    'qualityTier.lowest': 'Lowest',
+
+    // Particles
+    'particles.title': 'Particles',
+    'particles.enabled': 'Emit from the silhouette',
+    'particles.sprite': 'Particle shape',
+    'particles.color': 'Particle color',
+    'particles.front': 'In front of the figure',
+    'sprite.droplet': 'Droplets',
+    'sprite.spark': 'Sparks',
+    'sprite.petal': 'Lotus petals',
+    'particle.rate': 'Rate (/s)',
+    'particle.life': 'Lifetime (s)',
+    'particle.speed': 'Velocity',
+    'particle.drift': 'Drift',
+    'particle.gravity': 'Gravity',
+    'particle.gravityAngle': 'Gravity direction',
+    'particle.sizeStart': 'Start size',
+    'particle.sizeMid': 'Middle size',
+    'particle.sizeEnd': 'End size',
+
+    // Audio
+    'audio.title': 'Audio',
+    'audio.file': 'Audio file',
+    'audio.mic': 'Mic',
+    'audio.stop': 'Stop',
+    'audio.addMapping': '＋ Add mapping',
+    'audio.playing': 'Playing: {name}',
+    'audio.error': 'Audio error: {message}',
+    'audio.micActive': 'Listening to the microphone',
+    'audio.micError': 'Microphone error: {message}',
+    'audio.stopped': 'Stopped',
+    'audio.enabled': 'Enabled',
+    'audio.source': 'Audio feature',
+    'audio.param': 'Target parameter',
+    'audio.removeMapping': 'Remove the mapping',
+    'audio.gain': 'Gain',
+    'audio.smoothing': 'Smoothing',
+    'audioFeature.level': 'Level',
+    'audioFeature.bass': 'Bass',
+    'audioFeature.mid': 'Mid',
+    'audioFeature.treble': 'Treble',
+    'audioFeature.onset': 'Onset',
+
+    // Timeline
+    'timeline.title': 'Timeline',
+    'timeline.scrubber': 'Playhead',
+    'timeline.duration': 'Length (s)',
+    'timeline.loop': 'Loop',
+    'timeline.growthStart': 'Growth start (s)',
+    'timeline.growthEnd': 'Growth end (s)',
+    'timeline.lockStart': 'Lock start (s)',
+    'timeline.lockEnd': 'Lock end (s)',
+    'timeline.track': 'Track',
+    'timeline.addKey': '＋ Keyframe',
+    'timeline.clearTrack': 'Clear track',
+    'timeline.common': 'Common',
+    'timeline.keyTime': 'Time (s)',
+    'timeline.keyValue': 'Value',
+    'timeline.keyEase': 'Easing',
+    'timeline.removeKey': 'Remove the keyframe',
+    'easing.linear': 'Linear',
+    'easing.easeIn': 'Ease in',
+    'easing.easeOut': 'Ease out',
+    'easing.easeInOut': 'Ease in-out',
+    'easing.step': 'Step',
+
+    // Export
+    'export.title': 'Export',
+    'export.width': 'Width',
+    'export.height': 'Height',
+    'export.start': 'Start (s)',
+    'export.end': 'End (s)',
+    'export.format': 'Format',
+    'export.pngZip': 'PNG sequence (ZIP)',
+    'export.run': 'Start export',
+    'export.cancel': 'Cancel',
+    'export.progress': 'Frame {frame} / {count}',
+    'export.cancelled': 'Cancelled',
+    'export.done': 'Done',
+    'export.failed': 'Failed: {message}',
+    'export.invalid': 'Invalid export settings',
+    'export.contextLost': 'The WebGL context is lost',
+    'export.noRecorder': 'This browser cannot record WebM',
+
+    // Presentation
+    'playlist.title': 'Presentation',
+    'playlist.addCurrent': 'Add current image',
+    'playlist.fade': 'Fade (s)',
+    'playlist.save': 'Save JSON',
+    'playlist.load': 'Load JSON',
+    'playlist.present': '▶ Present full screen',
+    'playlist.presentTitle': '→ / ← next / previous, Space pause, Esc exit',
+    'playlist.name': 'Name',
+    'playlist.duration': 'Duration (s)',
+    'playlist.remove': 'Remove',
+    'playlist.loaded': 'Loaded {count} items',
+    'playlist.loadFailed': 'Load failed: {message}',
+    'playlist.stillsOnly': 'Only still images can be added',
+    'playlist.added': 'Added: {name}',
+    'presentation.hint': '→ Next · ← Previous · Space Pause · Esc Exit',
+    'presentation.paused': '⏸ Paused',
+
+    // Remote control
+    'remote.title': 'Remote',
+    'remote.url': 'Relay address',
+    'remote.connect': 'Connect',
+    'remote.disconnect': 'Disconnect',
+    'remote.openWindow': 'Open remote window',
+    'remote.popupBlocked': 'Popup blocked',
+    'remote.connecting': 'Connecting... ({url})',
+    'remote.open': 'Connected: {url}',
+    'remote.reconnecting': 'Reconnecting in {detail}',
+    'remote.closed': 'Not connected',
+    'remote.error': 'Connection error: {detail}',
+
+    // Module errors (see LocalizedError)
+    'error.presetInvalid': 'Invalid preset',
+    'error.presetNewer': 'Preset version {version} is newer than {supported}',
+    'error.playlistInvalid': 'Invalid playlist',
+    'error.playlistNewer': 'Playlist version {version} is newer than {supported}',
+    'error.playlistEmpty': 'No playable items',
+    'error.zipTooLarge': 'ZIP archive exceeds 4GB; choose a shorter range or lower resolution.',
+    'error.zipTooManyFiles': 'ZIP archive exceeds {max} files; choose a shorter range or lower frame rate.',
+    'error.imageLoad': 'Could not load {url}',
+    'error.videoLoad': 'Could not load the video {url}',
+    'error.videoEmpty': 'The video has no length',
+    'error.sequenceEmpty': 'No images in the sequence',
+    'error.pngEncode': 'PNG encoding failed',
+
+    // <tara-aura> element
+    'embed.params': 'Params',
+    'embed.play': 'Play',
+    'embed.pause': 'Pause',
+    'embed.type': 'Aura type'
+};
@@ -0,0 +1,125 @@
+import { ko } from './ko.js';
+import { en } from './en.js';
+
+// --- Interface Language ---
+// The panel's text comes from one string table per language (ko.js, en.js):
+// flat objects of dotted keys, the same keys in every table. Values may hold
+// {name} placeholders, filled from t()'s `vars`. A key missing from the
+// current table falls back to Korean, then to the key itself.
+//
+// Static text in index.html names its key in data attributes, applied by
+// translatePage():
+//
+//   data-i18n             textContent
+//   data-i18n-title       title
+//   data-i18n-aria-label  aria-label
+//   data-i18n-placeholder placeholder
+//
+// Labels defined in the modules (param defs, aura type names, option lists
+// such as BLEND_MODES) are looked up as `<group>.<key>` by labelFor(); types
+// registered by other scripts have no entries and show the half of their
+// '한국어 (English)' label that fits the language (see localizeLabel).
+// Errors of the modules that users see are LocalizedErrors: an English
+// message, which the Node tools print, and a key the panel shows through
+// errorMessage(). Console output is English only.
+//
+// Another language is a table file with the same keys and an entry in
+// LANGUAGES. The choice is saved per browser.
+
+export const LANGUAGES = {
+    ko: { name: '한국어', strings: ko },
+    en: { name: 'English', strings: en }
+};
+
+const FALLBACK = 'ko';
+const STORAGE_KEY = 'taraAura.language';
+
+const listeners = new Set();
+let language = initialLanguage();
+
+// The saved choice, else the browser's language when there is a table for it
+function initialLanguage() {
+    try {
+        const stored = localStorage.getItem(STORAGE_KEY);
+        if (stored in LANGUAGES) return stored;
+    } catch (err) {
+        // No storage (private mode, Node): use the browser's language
+    }
+    const browser = typeof navigator !== 'undefined' && navigator.language
+        ? navigator.language.split('-')[0]
+        : FALLBACK;
+    return browser in LANGUAGES ? browser : FALLBACK;
+}
+
+export function getLanguage() {
+    return language;
+}
+
+export function setLanguage(code) {
+    if (!(code in LANGUAGES) || code === language) return;
+    language = code;
+    try {
+        localStorage.setItem(STORAGE_KEY, code);
+    } catch (err) {
+        console.warn('Could not save the language', err);
+    }
+    listeners.forEach((fn) => fn(code));
+}
+
+// `fn(code)` after every change; returns a function that removes it
+export function onLanguageChanged(fn) {
+    listeners.add(fn);
+    return () => listeners.delete(fn);
+}
+
+export function hasString(key) {
+    return key in LANGUAGES[language].strings || key in LANGUAGES[FALLBACK].strings;
+}
+
+export function t(key, vars = {}) {
+    const strings = LANGUAGES[language].strings;
+    const text = key in strings ? strings[key] : LANGUAGES[FALLBACK].strings[key];
+    if (text === undefined) return key;
+    return text.replace(/\{(\w+)\}/g, (match, name) => (name in vars ? String(vars[name]) : match));
+}
+
+// Label of a module-defined entry (see above), e.g. labelFor('param', 'auraSize', def.label)
+export function labelFor(group, key, fallback) {
+    const id = `${group}.${key}`;
+    return hasString(id) ? t(id) : localizeLabel(fallback);
+}
+
+// '불꽃 (Flame)' -> '불꽃' in Korean, 'Flame' otherwise; other labels as they are
+export function localizeLabel(label) {
+    const match = /^(.+?)\s*\(([^()]+)\)$/.exec(label || '');
+    if (!match) return label;
+    return language === 'ko' ? match[1] : match[2];
+}
+
+// An error with `code`, a key of the tables, and `vars` for its placeholders
+export class LocalizedError extends Error {
+    constructor(code, message, vars = {}) {
+        super(message);
+        this.name = 'LocalizedError';
+        this.code = code;
+        this.vars = vars;
+    }
+}
+
+// What to show for `err` in the panel: its localized text where it has one
+export function errorMessage(err) {
+    return err && err.code && hasString(err.code) ? t(err.code, err.vars) : String(err && err.message);
+}
+
+// Fill the data-i18n* attributes under `root` (see above)
+export function translatePage(root = document) {
+    const attributes = { i18nTitle: 'title', i18nAriaLabel: 'aria-label', i18nPlaceholder: 'placeholder' };
+    root.querySelectorAll('[data-i18n], [data-i18n-title], [data-i18n-aria-label], [data-i18n-placeholder]')
+        .forEach((el) => {
+            if (el.dataset.i18n) el.textContent = t(el.dataset.i18n);
+            Object.entries(attributes).forEach(([data, attribute]) => {
+                if (el.dataset[data]) el.setAttribute(attribute, t(el.dataset[data]));
+            });
+        });
+    if (root === document) document.documentElement.lang = language;
+}
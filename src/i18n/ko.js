@@ -0,0 +1,345 @@
+// --- 한국어 문자열 (Korean Strings) ---
+// The fallback table: every key the panel uses is here (see index.js)
+
+export const ko = {
+    // Panel
+    'app.language': '언어',
+    'alert.close': '닫기',
+    'alert.loadFailed': '이미지를 불러올 수 없습니다: {message}',
+    'alert.downscaled': '큰 이미지를 {size}로 줄였습니다',
+    'alert.contextLost': '그래픽 컨텍스트를 잃었습니다. 복구를 기다리는 중...',
+    'alert.contextRestored': '그래픽 컨텍스트가 복구되었습니다',
+    'common.moveUp': '위로',
+    'common.moveDown': '아래로',
+    'status.time': '시간:',
+
+    // Source
+    'source.upload': '이미지 / 동영상 업로드',
+    'source.dropHint': '또는 이미지, 동영상, PNG 폴더를 드래그하세요',
+    'source.sequenceFolder': 'PNG 시퀀스 폴더',
+    'source.dropError': '오류: {message}',
+    'source.unsupported': '지원하지 않는 파일',
+    'source.emissionUnreadable': '저장된 발광 마스크를 읽을 수 없습니다',
+    'source.imageError': '이미지 오류: {message}',
+    'source.fileUnreadable': '파일을 읽을 수 없습니다: {name}',
+    'source.loadingVideo': '동영상 불러오는 중...',
+    'source.video': '동영상: {clip}',
+    'source.videoError': '동영상 오류: {message}',
+    'source.noImages': '폴더에 PNG/JPEG 이미지가 없습니다',
+    'source.loadingSequence': '시퀀스 불러오는 중...',
+    'source.sequence': '시퀀스: {count} 프레임, {clip}',
+    'source.sequenceError': '시퀀스 오류: {message}',
+    'source.clip': '{width}×{height}, {duration}s 반복',
+
+    // Alpha mask
+    'mask.title': '배경 제거',
+    'mask.mode': '마스크 방식',
+    'mask.keyColor': '배경 색상',
+    'mask.keyAuto': '자동 키',
+    'mask.keyAutoTitle': '가장자리에서 배경 색상 추정',
+    'mask.tolerance': '허용 오차',
+    'mask.feather': '페더 (px)',
+    'mask.preview': '마스크 미리보기',
+    'mask.applied': '적용됨: {mode}',
+    'mask.appliedAuto': '적용됨: {mode} (자동)',
+    'mask.saveFailed': '저장 실패',
+    'maskMode.auto': '자동',
+    'maskMode.none': '없음',
+    'maskMode.colorKey': '색상 키',
+    'maskMode.luminance': '밝기/채도',
+    'maskMode.floodFill': '가장자리 채우기',
+
+    // Emission brush
+    'brush.title': '발광 영역',
+    'brush.toggle': '브러시',
+    'brush.add': '추가',
+    'brush.erase': '지우기',
+    'brush.size': '브러시 크기',
+    'brush.softness': '부드러움',
+    'brush.undo': '실행 취소',
+    'brush.clear': '마스크 초기화',
+    'brush.saveImage': '이미지+마스크 저장 (PNG)',
+
+    // Playback and history
+    'playback.restart': '재시작',
+    'playback.pause': '일시정지/재생',
+    'playback.reset': '설정 초기화',
+    'history.undo': '↶ 실행 취소',
+    'history.redo': '↷ 다시 실행',
+
+    // Presets
+    'preset.title': '프리셋',
+    'preset.list': '저장된 프리셋',
+    'preset.name': '프리셋 이름',
+    'preset.save': '저장',
+    'preset.load': '불러오기',
+    'preset.delete': '삭제',
+    'preset.export': 'JSON 내보내기',
+    'preset.import': 'JSON 가져오기',
+    'preset.link': '링크 복사',
+    'preset.saved': '저장됨: {name}',
+    'preset.loaded': '불러옴: {name}',
+    'preset.imported': '가져옴: {name}',
+    'preset.importFailed': '가져오기 실패: {message}',
+    'preset.linkError': '링크 오류: {message}',
+    'preset.linkCopied': '링크가 복사되었습니다',
+    'preset.copyAddress': '주소창의 링크를 복사하세요',
+
+    // A/B comparison
+    'compare.title': 'A/B 비교',
+    'compare.storeA': 'A 저장',
+    'compare.storeB': 'B 저장',
+    'compare.wipe': '분할 비교',
+    'compare.handle': '분할 위치',
+    'compare.stored': '{slot} 저장됨',
+    'compare.empty': '{slot}가 비어 있습니다',
+    'compare.showing': '{slot} 표시 중',
+    'compare.storeFirst': 'A와 B를 먼저 저장하세요',
+    'compare.wipeOn': '분할 비교: 왼쪽 A, 오른쪽 B',
+
+    // Layers
+    'layer.title': '레이어',
+    'layer.add': '＋ 레이어 추가',
+    'layer.duplicate': '복제',
+    'layer.blend': '혼합',
+    'layer.opacity': '불투명도',
+    'layer.select': '레이어 선택',
+    'layer.mute': '음소거',
+    'layer.solo': '솔로',
+    'layer.remove': '레이어 삭제',
+    'blend.normal': '일반',
+    'blend.add': '더하기',
+    'blend.screen': '스크린',
+    'blend.multiply': '곱하기',
+
+    // Aura types
+    'types.title': '아우라 유형',
+    'types.shortcut': '단축키: {key}',
+    'types.handles': '핸들',
+    'types.handlesTitle': '캔버스에서 중심과 방향을 드래그',
+    'types.centerReset': '중심 초기화',
+    'type.basic': '기본',
+    'type.flame': '불꽃',
+    'type.ripple': '파문',
+    'type.fade': '페이드',
+    'type.droplet': '💧 물방울',
+    'type.rainbow': '🌈 무지개 몸',
+    'gizmo.spread': '퍼짐',
+    'gizmo.aim': '방향',
+    'gizmo.center': '중심',
+
+    // Params
+    'param.auraSize': '아우라 크기',
+    'param.auraStrength': '강도',
+    'param.swimSpeed': '유영',
+    'param.breathSpeed': '호흡',
+    'param.convergence': '색상 수렴',
+    'param.coreBrightness': '코어 밝기',
+    'param.flameHeight': '불꽃 높이',
+    'param.flameTemp': '온도',
+    'param.dropSpeed': '속도',
+    'param.dropSize': '크기',
+    'param.rippleAngle': '방향',
+    'param.rippleSpread': '퍼짐',
+    'param.dropCount': '물방울 수',
+    'param.dropletAngle': '방향',
+    'param.dropletSpread': '퍼짐',
+    'param.bandCount': '띠 수',
+    'param.bandWidth': '띠 폭',
+    'param.rayCount': '광선 수',
+    'param.rayLength': '광선 길이',
+    'param.rayRotation': '회전 속도',
+
+    // Palette
+    'palette.title': '색상 팔레트',
+    'palette.stopColor': '색상',
+    'palette.stopPosition': '위치',
+    'palette.removeStop': '색상 정지점 삭제',
+    'palette.addStop': '＋ 색상 추가',
+    'palette.reset': '팔레트 초기화',
+    'palette.convergence': '수렴 색상',
+    'palette.custom': '사용자 지정',
+    'tara.green': '녹색 타라',
+    'tara.white': '백색 타라',
+    'tara.red': '적색 타라',
+    'tara.yellow': '황색 타라',
+    'tara.blue': '청색 타라',
+
+    // Post-processing
+    'post.title': '후처리',
+    'pass.bloom': '블룸',
+    'pass.bloom.threshold': '임계값',
+    'pass.bloom.knee': '부드러운 경계',
+    'pass.bloom.intensity': '강도',
+    'pass.bloom.radius': '반경',
+    'pass.vignette': '비네트',
+    'pass.vignette.amount': '양',
+    'pass.vignette.softness': '부드러움',
+    'pass.grain': '필름 그레인',
+    'pass.grain.amount': '양',
+
+    // Framing
+    'frame.title': '화면 구성',
+    'frame.padding': '여백',
+    'frame.background': '배경',
+    'frame.color': '배경 색상',
+    'frame.color2': '가장자리 색상',
+    'frame.backdrop': '배경 이미지',
+    'frame.viewReset': '보기 초기화',
+    'frame.viewResetTitle': '휠: 확대/축소, 드래그: 이동, 더블클릭: 맞춤',
+    'frame.backdropLoaded': '배경 이미지: {name}',
+    'frame.backdropError': '배경 이미지 오류: {message}',
+    'frame.chooseBackdrop': '배경 이미지를 선택하세요',
+    'background.color': '단색',
+    'background.gradient': '그라디언트',
+    'background.image': '배경 이미지',
+    'background.transparent': '투명',
+
+    // Performance
+    'quality.title': '성능',
+    'quality.mode': '품질',
+    'quality.target': '목표 FPS',
+    'quality.overlay': 'FPS 표시',
+    'quality.auto': '자동',
+    'quality.now': '현재: {tier}',
+    'quality.frameTime': '{average} ms (최대 {worst} ms)',
+    'quality.auraScale': '{tier} · 아우라 {percent}%',
+    'qualityTier.high': '높음',
+    'qualityTier.medium': '중간',
+    'qualityTier.low': '낮음',
+    'qualityTier.lowest': '최저',
+
+    // Particles
+    'particles.title': '입자',
+    'particles.enabled': '실루엣에서 방출',
+    'particles.sprite': '입자 모양',
+    'particles.color': '입자 색상',
+    'particles.front': '인물 앞에 그리기',
+    'sprite.droplet': '물방울',
+    'sprite.spark': '빛 입자',
+    'sprite.petal': '연꽃잎',
+    'particle.rate': '방출량 (/s)',
+    'particle.life': '수명 (s)',
+    'particle.speed': '속도',
+    'particle.drift': '흔들림',
+    'particle.gravity': '중력',
+    'particle.gravityAngle': '중력 방향',
+    'particle.sizeStart': '시작 크기',
+    'particle.sizeMid': '중간 크기',
+    'particle.sizeEnd': '끝 크기',
+
+    // Audio
+    'audio.title': '오디오 반응',
+    'audio.file': '오디오 파일',
+    'audio.mic': '마이크',
+    'audio.stop': '정지',
+    'audio.addMapping': '＋ 매핑 추가',
+    'audio.playing': '재생 중: {name}',
+    'audio.error': '오디오 오류: {message}',
+    'audio.micActive': '마이크 입력 중',
+    'audio.micError': '마이크 오류: {message}',
+    'audio.stopped': '정지됨',
+    'audio.enabled': '사용',
+    'audio.source': '오디오 특성',
+    'audio.param': '대상 파라미터',
+    'audio.removeMapping': '매핑 삭제',
+    'audio.gain': '게인',
+    'audio.smoothing': '스무딩',
+    'audioFeature.level': '음량',
+    'audioFeature.bass': '저음',
+    'audioFeature.mid': '중음',
+    'audioFeature.treble': '고음',
+    'audioFeature.onset': '비트',
+
+    // Timeline
+    'timeline.title': '타임라인',
+    'timeline.scrubber': '재생 위치',
+    'timeline.duration': '길이 (s)',
+    'timeline.loop': '반복',
+    'timeline.growthStart': '성장 시작 (s)',
+    'timeline.growthEnd': '성장 끝 (s)',
+    'timeline.lockStart': '고정 시작 (s)',
+    'timeline.lockEnd': '고정 끝 (s)',
+    'timeline.track': '트랙',
+    'timeline.addKey': '＋ 키프레임',
+    'timeline.clearTrack': '트랙 삭제',
+    'timeline.common': '공통',
+    'timeline.keyTime': '시간 (s)',
+    'timeline.keyValue': '값',
+    'timeline.keyEase': '보간',
+    'timeline.removeKey': '키프레임 삭제',
+    'easing.linear': '선형',
+    'easing.easeIn': '가속',
+    'easing.easeOut': '감속',
+    'easing.easeInOut': '부드럽게',
+    'easing.step': '계단',
+
+    // Export
+    'export.title': '내보내기',
+    'export.width': '너비',
+    'export.height': '높이',
+    'export.start': '시작 (s)',
+    'export.end': '끝 (s)',
+    'export.format': '형식',
+    'export.pngZip': 'PNG 시퀀스 (ZIP)',
+    'export.run': '내보내기 시작',
+    'export.cancel': '취소',
+    'export.progress': '{frame} / {count} 프레임',
+    'export.cancelled': '취소됨',
+    'export.done': '완료',
+    'export.failed': '실패: {message}',
+    'export.invalid': '잘못된 내보내기 설정',
+    'export.contextLost': '그래픽 컨텍스트 없음',
+    'export.noRecorder': '이 브라우저는 WebM 녹화를 지원하지 않습니다',
+
+    // Presentation
+    'playlist.title': '프레젠테이션',
+    'playlist.addCurrent': '현재 이미지 추가',
+    'playlist.fade': '전환 (s)',
+    'playlist.save': 'JSON 저장',
+    'playlist.load': 'JSON 불러오기',
+    'playlist.present': '▶ 전체 화면 재생',
+    'playlist.presentTitle': '→ / ← 다음 / 이전, Space 일시정지, Esc 종료',
+    'playlist.name': '이름',
+    'playlist.duration': '재생 시간 (초)',
+    'playlist.remove': '삭제',
+    'playlist.loaded': '가져옴: {count}개',
+    'playlist.loadFailed': '가져오기 실패: {message}',
+    'playlist.stillsOnly': '정지 이미지만 추가할 수 있습니다',
+    'playlist.added': '추가됨: {name}',
+    'presentation.hint': '→ 다음 · ← 이전 · Space 일시정지 · Esc 종료',
+    'presentation.paused': '⏸ 일시정지',
+
+    // Remote control
+    'remote.title': '원격 제어',
+    'remote.url': '릴레이 주소',
+    'remote.connect': '연결',
+    'remote.disconnect': '연결 끊기',
+    'remote.openWindow': '원격 창 열기',
+    'remote.popupBlocked': '팝업이 차단되었습니다',
+    'remote.connecting': '연결 중... ({url})',
+    'remote.open': '연결됨: {url}',
+    'remote.reconnecting': '재연결 대기 {detail}',
+    'remote.closed': '연결 안 됨',
+    'remote.error': '연결 오류: {detail}',
+
+    // Module errors (see LocalizedError)
+    'error.presetInvalid': '프리셋 형식이 올바르지 않습니다',
+    'error.presetNewer': '더 새로운 버전의 프리셋입니다 (버전 {version}, 지원: {supported})',
+    'error.playlistInvalid': '재생 목록 형식이 올바르지 않습니다',
+    'error.playlistNewer': '더 새로운 버전의 재생 목록입니다 (버전 {version}, 지원: {supported})',
+    'error.playlistEmpty': '재생할 항목이 없습니다',
+    'error.zipTooLarge': 'ZIP 파일이 4GB를 넘습니다. 구간을 줄이거나 해상도를 낮춰주세요.',
+    'error.zipTooManyFiles': 'ZIP 파일이 {max}개 파일을 넘습니다. 구간을 줄이거나 프레임 속도를 낮춰주세요.',
+    'error.imageLoad': '{url}을(를) 불러올 수 없습니다',
+    'error.videoLoad': '동영상 {url}을(를) 불러올 수 없습니다',
+    'error.videoEmpty': '동영상의 길이가 없습니다',
+    'error.sequenceEmpty': '시퀀스에 이미지가 없습니다',
+    'error.pngEncode': 'PNG 인코딩 실패',
+
+    // <tara-aura> element
+    'embed.params': '파라미터',
+    'embed.play': '재생',
+    'embed.pause': '일시정지',
+    'embed.type': '아우라 종류'
+};
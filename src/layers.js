@@ -0,0 +1,45 @@
+// --- Aura Layers ---
+// The aura is a stack of layers, bottom first. Each layer has its own type,
+// parameter set and keyframe tracks, and is blended over the layers below it
+// before the body is drawn on top (see compositor.js).
+
+import { getParamDefs } from './auras/index.js';
+
+export const BLEND_MODES = {
+    normal: '일반 (Normal)',
+    add: '더하기 (Add)',
+    screen: '스크린 (Screen)',
+    multiply: '곱하기 (Multiply)'
+};
+
+export function defaultParams() {
+    const params = {};
+    Object.entries(getParamDefs()).forEach(([key, def]) => { params[key] = def.default; });
+    return params;
+}
+
+export function createLayer(type = 'basic') {
+    return {
+        type,                   // Aura type key (see auras/index.js)
+        params: defaultParams(),
+        tracks: {},             // Keyframes per param (see timeline.js)
+        opacity: 1,
+        blend: 'normal',
+        muted: false,
+        solo: false
+    };
+}
+
+// Layers that render: the soloed ones if any, otherwise the unmuted ones
+export function visibleLayers(layers) {
+    const soloed = layers.filter((layer) => layer.solo);
+    return soloed.length ? soloed : layers.filter((layer) => !layer.muted);
+}
+
+// Swap a layer with its neighbour. Returns the layer's new index.
+export function moveLayer(layers, index, offset) {
+    const to = index + offset;
+    if (to < 0 || to >= layers.length) return index;
+    [layers[index], layers[to]] = [layers[to], layers[index]];
+    return to;
+}
@@ -0,0 +1,239 @@
+import * as THREE from 'three';
+import { LocalizedError } from './i18n/index.js';
+
+// --- Animated Sources ---
+// Videos and image sequences in place of the still image (see
+// AuraEngine.setMedia). A source follows the engine's time and loops over
+// its clip: the frame shown at time t is the one at t mod duration. Every
+// new frame is masked and gets a fresh distance field, like a still after a
+// mask change, so the aura follows the moving figure.
+//
+// Both kinds share this interface:
+//
+//   width, height, duration  Clip size in pixels and length in seconds
+//   frame                    Drawable current frame (video element / ImageBitmap)
+//   texture                  The frame as a texture when its own alpha can be
+//                            used as is (VideoTexture), else null
+//   sync(t, playing)         Follow time t; true when `frame` changed since the last call
+//   seek(t)                  Promise: `frame` shows time t exactly (exports)
+//   deactivate()             Stop and free what can be rebuilt; sync() brings it back
+//                            (a replaced source stays in the undo history)
+//   dispose()
+
+// Frames are masked on the CPU every frame, so at a smaller size than stills
+export const MEDIA_MASK_SIZE = 1024;
+
+const SYNC_TOLERANCE = 0.15; // s a playing video may drift before it is re-seeked
+const PREFETCH = 6;          // Sequence frames decoded ahead of the current one
+
+// --- Video ---
+// Plays muted alongside the timeline. WebM with alpha keeps its alpha (mask
+// mode none, or auto); opaque videos go through the mask settings per frame.
+export class VideoSource {
+    // Resolves once the first frame can be drawn
+    static async load(url) {
+        const video = document.createElement('video');
+        video.muted = true;
+        video.loop = true;
+        video.playsInline = true;
+        video.crossOrigin = 'anonymous';
+        video.preload = 'auto';
+        await new Promise((resolve, reject) => {
+            video.addEventListener('loadeddata', resolve, { once: true });
+            video.addEventListener('error', () => reject(
+                new LocalizedError('error.videoLoad', `Could not load the video ${url}`, { url })
+            ), { once: true });
+            video.src = url;
+        });
+        // Recorded WebM often has no duration until it has been seeked to the end
+        if (!Number.isFinite(video.duration)) {
+            await seekVideo(video, 1e6);
+            await seekVideo(video, 0);
+        }
+        if (!(video.duration > 0)) throw new LocalizedError('error.videoEmpty', 'The video has no length');
+        return new VideoSource(video);
+    }
+
+    constructor(video) {
+        this.video = video;
+        this.width = video.videoWidth;
+        this.height = video.videoHeight;
+        this.duration = video.duration;
+        // The mask and the distance field read the size from width / height
+        video.width = this.width;
+        video.height = this.height;
+        this.frame = video;
+        this.texture = new THREE.VideoTexture(video);
+        this.texture.minFilter = THREE.LinearFilter;
+        this.texture.magFilter = THREE.LinearFilter;
+        this.pausedAt = null; // Time a paused video was last seeked to
+
+        // New frames are reported by the browser where it can, otherwise any
+        // change of currentTime counts as one
+        this.frameChanged = true;
+        this.lastTime = -1;
+        if ('requestVideoFrameCallback' in video) {
+            const onFrame = () => {
+                this.frameChanged = true;
+                video.requestVideoFrameCallback(onFrame);
+            };
+            video.requestVideoFrameCallback(onFrame);
+        }
+    }
+
+    sync(t, playing) {
+        const { video } = this;
+        const target = t % this.duration;
+        if (playing) {
+            this.pausedAt = null;
+            if (video.paused) video.play().catch(() => {});
+            // Measured around the loop point as well
+            let drift = Math.abs(video.currentTime - target);
+            drift = Math.min(drift, this.duration - drift);
+            if (drift > SYNC_TOLERANCE && !video.seeking) video.currentTime = target;
+        } else {
+            if (!video.paused) video.pause();
+            if (this.pausedAt !== target && !video.seeking) {
+                video.currentTime = target;
+                this.pausedAt = target;
+            }
+        }
+        return this.takeFrame();
+    }
+
+    takeFrame() {
+        if (this.video.readyState < 2) return false; // HAVE_CURRENT_DATA
+        if ('requestVideoFrameCallback' in this.video) {
+            const changed = this.frameChanged;
+            this.frameChanged = false;
+            return changed;
+        }
+        const changed = this.video.currentTime !== this.lastTime;
+        this.lastTime = this.video.currentTime;
+        return changed;
+    }
+
+    async seek(t) {
+        this.video.pause();
+        this.pausedAt = t % this.duration;
+        await seekVideo(this.video, this.pausedAt);
+        this.texture.needsUpdate = true;
+        this.frameChanged = false;
+    }
+
+    deactivate() {
+        this.video.pause();
+        this.pausedAt = null;
+        this.texture.dispose(); // GPU copy only; uploaded again when shown
+    }
+
+    dispose() {
+        const { src } = this.video;
+        this.video.pause();
+        this.video.removeAttribute('src');
+        this.video.load();
+        this.texture.dispose();
+        if (src.startsWith('blob:')) URL.revokeObjectURL(src);
+    }
+}
+
+function seekVideo(video, time) {
+    if (!video.seeking && Math.abs(video.currentTime - time) < 1e-4) return Promise.resolve();
+    return new Promise((resolve) => {
+        video.addEventListener('seeked', resolve, { once: true });
+        video.currentTime = time;
+    });
+}
+
+// --- Image Sequence ---
+// Numbered stills (a dropped folder of PNGs) played at `fps`. Frames are
+// decoded on demand, a few ahead of the current one; a frame that is not
+// decoded yet keeps the previous one on screen.
+export class ImageSequence {
+    // `files`: images, put in order by their names (frame_2 before frame_10)
+    static async load(files, fps) {
+        const sorted = [...files].sort((a, b) => a.name.localeCompare(b.name, undefined, { numeric: true }));
+        if (!sorted.length) throw new LocalizedError('error.sequenceEmpty', 'No images in the sequence');
+        const first = await createImageBitmap(sorted[0]);
+        return new ImageSequence(sorted, fps, first);
+    }
+
+    constructor(files, fps, first) {
+        this.files = files;
+        this.fps = fps;
+        this.width = first.width;
+        this.height = first.height;
+        this.duration = files.length / fps;
+        this.texture = null;
+        this.frame = first;
+        this.frameIndex = 0;
+        this.cache = new Map([[0, first]]); // Frame index -> ImageBitmap
+        this.pending = new Map();           // Frame index -> decode promise
+        this.changed = true;
+    }
+
+    indexAt(t) {
+        // The epsilon keeps t = i / fps on frame i despite rounding
+        return Math.floor((t % this.duration) * this.fps + 1e-6) % this.files.length;
+    }
+
+    sync(t) {
+        const index = this.indexAt(t);
+        for (let i = 0; i <= PREFETCH; i++) this.decode((index + i) % this.files.length);
+        const bitmap = this.cache.get(index);
+        if (bitmap && index !== this.frameIndex) this.show(index, bitmap);
+        const { changed } = this;
+        this.changed = false;
+        return changed;
+    }
+
+    async seek(t) {
+        const index = this.indexAt(t);
+        await this.decode(index);
+        const bitmap = this.cache.get(index);
+        if (bitmap) this.show(index, bitmap);
+        this.changed = false;
+    }
+
+    show(index, bitmap) {
+        this.frame = bitmap;
+        this.frameIndex = index;
+        this.changed = true;
+        // Keep only the frames still ahead
+        this.cache.forEach((cached, i) => {
+            const ahead = (i - index + this.files.length) % this.files.length;
+            if (ahead > PREFETCH) {
+                cached.close();
+                this.cache.delete(i);
+            }
+        });
+    }
+
+    decode(index) {
+        if (this.cache.has(index)) return Promise.resolve();
+        if (!this.pending.has(index)) {
+            this.pending.set(index, createImageBitmap(this.files[index]).then((bitmap) => {
+                if (this.disposed) bitmap.close();
+                else this.cache.set(index, bitmap);
+            }, (err) => {
+                console.warn(`Could not decode ${this.files[index].name}`, err);
+            }).finally(() => this.pending.delete(index)));
+        }
+        return this.pending.get(index);
+    }
+
+    deactivate() {
+        this.cache.forEach((bitmap, i) => {
+            if (bitmap !== this.frame) {
+                bitmap.close();
+                this.cache.delete(i);
+            }
+        });
+    }
+
+    dispose() {
+        this.disposed = true;
+        this.cache.forEach((bitmap) => bitmap.close());
+        this.cache.clear();
+    }
+}
@@ -0,0 +1,72 @@
+// --- Aura Palettes ---
+// Each aura type colors itself from a gradient of up to MAX_STOPS stops.
+// Position 0 is the inner end of the gradient and 1 the outer end; what
+// drives the lookup is up to each type (flame noise, drop intensity, ...).
+// Default gradients come from the type definitions (see auras/registry.js).
+
+import { getAuraTypes, getAuraType } from './auras/index.js';
+
+export const MAX_STOPS = 8;
+
+// Convergence targets for the traditional colors of the Tara forms
+export const TARA_COLORS = {
+    green: { label: '녹색 타라 (Green Tara)', color: '#00ff00' },
+    white: { label: '백색 타라 (White Tara)', color: '#ffffff' },
+    red: { label: '적색 타라 (Red Tara)', color: '#ff1a1a' },
+    yellow: { label: '황색 타라 (Yellow Tara)', color: '#ffc31a' },
+    blue: { label: '청색 타라 (Blue Tara)', color: '#1a4dff' }
+};
+
+export const DEFAULT_CONVERGENCE_TARGET = TARA_COLORS.green.color;
+
+// { [typeKey]: stops } for every registered type
+export function defaultPalettes() {
+    const palettes = {};
+    getAuraTypes().forEach((t) => { palettes[t.key] = structuredClone(t.palette); });
+    return palettes;
+}
+
+export function defaultPalette(type) {
+    const def = getAuraType(type) || getAuraTypes()[0];
+    return structuredClone(def.palette);
+}
+
+export function isHexColor(value) {
+    return typeof value === 'string' && /^#[0-9a-f]{6}$/i.test(value);
+}
+
+// '#rrggbb' -> [r, g, b] in 0..1
+export function hexToRgb(hex) {
+    const n = parseInt(hex.slice(1), 16);
+    return [(n >> 16 & 255) / 255, (n >> 8 & 255) / 255, (n & 255) / 255];
+}
+
+// Sorted, clamped, strictly increasing stops (smoothstep needs distinct edges)
+export function sanitizePalette(stops, fallback) {
+    if (!Array.isArray(stops)) return structuredClone(fallback);
+    const clean = stops
+        .filter((s) => s && Number.isFinite(s.pos) && isHexColor(s.color))
+        .map((s) => ({ pos: Math.min(1, Math.max(0, s.pos)), color: s.color.toLowerCase() }))
+        .sort((a, b) => a.pos - b.pos)
+        .slice(0, MAX_STOPS);
+    if (!clean.length) return structuredClone(fallback);
+    for (let i = 1; i < clean.length; i++) {
+        clean[i].pos = Math.max(clean[i].pos, clean[i - 1].pos + 0.001);
+    }
+    return clean;
+}
+
+export function sanitizePalettes(palettes) {
+    const result = {};
+    for (const t of getAuraTypes()) {
+        result[t.key] = sanitizePalette(palettes && palettes[t.key], t.palette);
+    }
+    return result;
+}
+
+// CSS preview of a palette, e.g. for the editor's gradient bar
+export function paletteToCSS(stops) {
+    if (stops.length === 1) return stops[0].color;
+    const list = stops.map((s) => `${s.color} ${(s.pos * 100).toFixed(1)}%`).join(', ');
+    return `linear-gradient(to right, ${list})`;
+}
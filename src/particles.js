@@ -0,0 +1,334 @@
+import * as THREE from 'three';
+import { hexToRgb, isHexColor } from './palettes.js';
+
+// --- Particles ---
+// Droplets, sparks or lotus petals emitted from the edge of the silhouette,
+// drawn as one THREE.Points cloud. Nothing is simulated on the CPU: every
+// particle restarts every `life` seconds, staggered so `rate` of them are
+// born per second, and the vertex shader computes its position in closed
+// form from its age (launch along the edge normal, drift, gravity). So any
+// frame can be rendered on its own: seeking, timeline scrubbing and offline
+// export give the same picture as playback, and thousands of particles cost
+// one draw call.
+//
+// Spawn points are sampled once per mask change from a downscaled alpha
+// grid (opaque pixels next to transparent ones, limited to the painted
+// emission regions), each with the outward normal of the edge there.
+
+export const MAX_PARTICLES = 20000;
+const GRID_SIZE = 256; // Longest side of the alpha grid edges are sampled from
+
+export const PARTICLE_SPRITES = {
+    droplet: '물방울 (Droplets)',
+    spark: '빛 입자 (Sparks)',
+    petal: '연꽃잎 (Lotus Petals)'
+};
+const SPRITE_INDEX = { droplet: 0, spark: 1, petal: 2 };
+
+export function defaultParticleSettings() {
+    return {
+        enabled: false,
+        sprite: 'droplet',
+        color: '#99ddff',
+        front: false,        // Draw over the body instead of behind it
+        rate: 150,           // Particles born per second
+        life: 3,             // Seconds
+        speed: 0.06,         // Launch speed along the edge normal (image heights / s)
+        drift: 0.02,         // Wobble amplitude (image heights)
+        gravity: 0.02,       // Image heights / s²
+        gravityAngle: 270,   // Degrees, 270 = down
+        sizeStart: 0.006,    // Size over life (image heights), at birth,
+        sizeMid: 0.012,      // half-way
+        sizeEnd: 0.004       // and at the end
+    };
+}
+
+// Slider metadata for the panel
+export const PARTICLE_CONTROLS = {
+    rate: { label: '방출량 (Rate /s)', min: 0, max: 2000, step: 10 },
+    life: { label: '수명 (Lifetime, s)', min: 0.2, max: 10, step: 0.1 },
+    speed: { label: '속도 (Velocity)', min: 0, max: 0.5, step: 0.005 },
+    drift: { label: '흔들림 (Drift)', min: 0, max: 0.1, step: 0.001 },
+    gravity: { label: '중력 (Gravity)', min: 0, max: 0.3, step: 0.005 },
+    gravityAngle: { label: '중력 방향 (Gravity Dir)', min: 0, max: 360, step: 1 },
+    sizeStart: { label: '시작 크기 (Size Start)', min: 0, max: 0.05, step: 0.001 },
+    sizeMid: { label: '중간 크기 (Size Mid)', min: 0, max: 0.05, step: 0.001 },
+    sizeEnd: { label: '끝 크기 (Size End)', min: 0, max: 0.05, step: 0.001 }
+};
+
+// Known sprite, valid color, values in range (presets, after mergeDefaults)
+export function sanitizeParticleSettings(settings) {
+    const defaults = defaultParticleSettings();
+    const result = { ...settings };
+    if (!(result.sprite in PARTICLE_SPRITES)) result.sprite = defaults.sprite;
+    if (!isHexColor(result.color)) result.color = defaults.color;
+    Object.entries(PARTICLE_CONTROLS).forEach(([key, { min, max }]) => {
+        result[key] = Math.min(max, Math.max(min, result[key]));
+    });
+    return result;
+}
+
+// Downscaled alpha (and emission) of the masked image for setSources().
+// `image` is drawable (canvas, image) or a DataTexture's pixels (bottom row
+// first); `emissionCanvas` is the painted emission mask, if any.
+export function createAlphaGrid(image, emissionCanvas = null) {
+    const scale = Math.min(1, GRID_SIZE / Math.max(image.width, image.height));
+    const width = Math.max(1, Math.round(image.width * scale));
+    const height = Math.max(1, Math.round(image.height * scale));
+    const alpha = new Uint8Array(width * height);
+
+    if (image.data) {
+        for (let y = 0; y < height; y++) {
+            const sy = image.height - 1 - Math.floor((y + 0.5) / scale);
+            for (let x = 0; x < width; x++) {
+                const sx = Math.min(image.width - 1, Math.floor((x + 0.5) / scale));
+                alpha[y * width + x] = image.data[(Math.max(0, sy) * image.width + sx) * 4 + 3];
+            }
+        }
+    } else {
+        readChannel(image, width, height, 3, alpha);
+    }
+
+    let emission = null;
+    if (emissionCanvas) {
+        emission = new Uint8Array(width * height);
+        readChannel(emissionCanvas, width, height, 0, emission);
+    }
+    return { alpha, emission, width, height };
+}
+
+function readChannel(source, width, height, channel, out) {
+    const canvas = document.createElement('canvas');
+    canvas.width = width;
+    canvas.height = height;
+    const ctx = canvas.getContext('2d', { willReadFrequently: true });
+    ctx.drawImage(source, 0, 0, width, height);
+    const { data } = ctx.getImageData(0, 0, width, height);
+    for (let i = 0; i < out.length; i++) out[i] = data[i * 4 + channel];
+}
+
+const particleVertex = /* glsl */ `
+    attribute vec2 aNormal;   // Outward edge normal at the spawn point
+    attribute float aIndex;   // 0, 1, 2, ... (staggers the births)
+
+    uniform float uTime;
+    uniform float uCount;     // Particles alive at once (rate * life)
+    uniform float uLife;
+    uniform float uSpeed;
+    uniform float uDrift;
+    uniform vec2 uGravity;    // Direction * strength
+    uniform vec3 uSizes;      // Size at birth, half-way and the end
+    uniform float uPixelsPerUnit;
+    uniform float uMaxPointSize;
+
+    varying float vAlpha;
+    varying float vAngle;
+    varying float vSeed;
+
+    float hash(vec2 p) {
+        return fract(sin(dot(p, vec2(12.9898, 78.233))) * 43758.5453);
+    }
+
+    void main() {
+        float t = uTime + (aIndex / uCount) * uLife;
+        float age = mod(t, uLife);
+        float cycle = floor(t / uLife);
+        float x = age / uLife;
+        // Every rebirth launches differently
+        float h1 = hash(vec2(aIndex, cycle));
+        float h2 = hash(vec2(cycle, aIndex + 0.5));
+        vSeed = h1;
+
+        // Not born yet (before t = 0), or beyond the current count
+        bool alive = aIndex < uCount && uTime - age >= 0.0;
+
+        vec2 side = vec2(-aNormal.y, aNormal.x);
+        vec2 velocity = (aNormal * (0.6 + 0.8 * h1) + side * (h2 - 0.5) * 0.8) * uSpeed;
+        vec2 wobble = vec2(sin(age * 1.7 + h1 * 40.0), sin(age * 1.3 + h2 * 40.0)) * uDrift * min(age, 1.0);
+        vec2 p = position.xy + velocity * age + 0.5 * uGravity * age * age + wobble;
+
+        float size = x < 0.5
+            ? mix(uSizes.x, uSizes.y, smoothstep(0.0, 0.5, x))
+            : mix(uSizes.y, uSizes.z, smoothstep(0.5, 1.0, x));
+        vAlpha = alive ? smoothstep(0.0, 0.08, x) * (1.0 - smoothstep(0.7, 1.0, x)) : 0.0;
+        vAngle = h2 * 6.28318 + age * (h1 - 0.5) * 2.0;
+
+        gl_PointSize = alive ? clamp(size * uPixelsPerUnit, 0.0, uMaxPointSize) : 0.0;
+        gl_Position = projectionMatrix * modelViewMatrix * vec4(p, 0.0, 1.0);
+    }
+`;
+
+const particleFragment = /* glsl */ `
+    precision mediump float;
+    uniform int uSprite;      // 0 droplet, 1 spark, 2 petal
+    uniform vec3 uColor;
+    varying float vAlpha;
+    varying float vAngle;
+    varying float vSeed;
+
+    void main() {
+        vec2 p = gl_PointCoord * 2.0 - 1.0;
+        p.y = -p.y;
+        float d = length(p);
+        vec3 color = uColor;
+        float alpha;
+
+        if (uSprite == 0) {
+            // Clear drop: faint body, bright rim, a highlight up left
+            float body = 1.0 - smoothstep(0.85, 1.0, d);
+            float rim = smoothstep(0.55, 0.9, d) * body;
+            float highlight = 1.0 - smoothstep(0.0, 0.3, length(p - vec2(-0.35, 0.35)));
+            alpha = body * 0.2 + rim * 0.6 + highlight * 0.8;
+            color = mix(uColor, vec3(1.0), highlight);
+        } else if (uSprite == 1) {
+            // Glowing point with a four-ray twinkle; bright enough to bloom
+            float glow = exp(-d * d * 6.0);
+            float rays = max(0.0, 1.0 - abs(p.x) * 12.0) + max(0.0, 1.0 - abs(p.y) * 12.0);
+            alpha = clamp(glow + rays * (1.0 - d) * 0.5, 0.0, 1.0);
+            color = uColor * (1.5 + vSeed);
+        } else {
+            // Lotus petal, turning as it falls: pointed tip, rounded base
+            vec2 q = vec2(cos(vAngle) * p.x - sin(vAngle) * p.y, sin(vAngle) * p.x + cos(vAngle) * p.y);
+            float halfWidth = 0.5 * sqrt(max(0.0, 1.0 - q.y * q.y)) * (1.0 - 0.4 * q.y);
+            alpha = 1.0 - smoothstep(halfWidth - 0.08, halfWidth, abs(q.x));
+            alpha *= 1.0 - smoothstep(0.9, 1.0, abs(q.y));
+            color = mix(vec3(1.0), uColor, smoothstep(-1.0, 0.6, q.y));
+        }
+
+        alpha *= vAlpha;
+        if (alpha < 0.003) discard;
+        // Premultiplied, like the aura layers
+        gl_FragColor = vec4(color * alpha, alpha);
+    }
+`;
+
+export class ParticleSystem {
+    constructor(renderer) {
+        this.renderer = renderer;
+        this.sourcesDirty = false;
+        const gl = renderer.getContext();
+        this.maxPointSize = gl.getParameter(gl.ALIASED_POINT_SIZE_RANGE)[1];
+
+        this.geometry = new THREE.BufferGeometry();
+        this.positions = new Float32Array(MAX_PARTICLES * 3);
+        this.normals = new Float32Array(MAX_PARTICLES * 2);
+        const index = Float32Array.from({ length: MAX_PARTICLES }, (_, i) => i);
+        this.geometry.setAttribute('position', new THREE.BufferAttribute(this.positions, 3));
+        this.geometry.setAttribute('aNormal', new THREE.BufferAttribute(this.normals, 2));
+        this.geometry.setAttribute('aIndex', new THREE.BufferAttribute(index, 1));
+        this.geometry.setDrawRange(0, 0);
+
+        this.material = new THREE.ShaderMaterial({
+            uniforms: {
+                uTime: { value: 0 },
+                uCount: { value: 1 },
+                uLife: { value: 1 },
+                uSpeed: { value: 0 },
+                uDrift: { value: 0 },
+                uGravity: { value: new THREE.Vector2() },
+                uSizes: { value: new THREE.Vector3() },
+                uPixelsPerUnit: { value: 1 },
+                uMaxPointSize: { value: this.maxPointSize },
+                uSprite: { value: 0 },
+                uColor: { value: new THREE.Color() }
+            },
+            vertexShader: particleVertex,
+            fragmentShader: particleFragment,
+            transparent: true,
+            depthTest: false,
+            depthWrite: false,
+            blending: THREE.CustomBlending,
+            blendSrc: THREE.OneFactor,
+            blendDst: THREE.OneMinusSrcAlphaFactor
+        });
+        // Add this to the main scene
+        this.points = new THREE.Points(this.geometry, this.material);
+        this.points.frustumCulled = false; // Positions are computed in the shader
+        this.points.visible = false;
+        this.sourceCount = 0;
+    }
+
+    // Sample spawn points from an alpha grid (Uint8 0..255, top row first) of
+    // an image with the given aspect, optionally limited by an emission grid
+    // of the same size. Positions are in the image plane's local units.
+    setSources({ alpha, emission = null, width, height }, aspect) {
+        const at = (x, y) => alpha[Math.min(height - 1, Math.max(0, y)) * width + Math.min(width - 1, Math.max(0, x))];
+        const edges = [];
+        for (let y = 0; y < height; y++) {
+            for (let x = 0; x < width; x++) {
+                if (at(x, y) < 128 || (emission && emission[y * width + x] < 128)) continue;
+                const border = x === 0 || y === 0 || x === width - 1 || y === height - 1;
+                if (border || at(x - 1, y) < 128 || at(x + 1, y) < 128 || at(x, y - 1) < 128 || at(x, y + 1) < 128) {
+                    edges.push(y * width + x);
+                }
+            }
+        }
+        this.sourceCount = edges.length;
+        if (!edges.length) return;
+
+        // Deterministic shuffle so renders repeat for the same image
+        let seed = 1;
+        const random = () => {
+            seed = (seed * 16807) % 2147483647;
+            return seed / 2147483647;
+        };
+        for (let i = 0; i < MAX_PARTICLES; i++) {
+            const cell = edges[Math.floor(random() * edges.length)];
+            const x = cell % width;
+            const y = Math.floor(cell / width);
+            // Alpha gradient over a few cells: points inward, so the normal is its negative
+            let gx = 0;
+            let gy = 0;
+            for (let r = 1; r <= 3; r++) {
+                gx += at(x + r, y) - at(x - r, y);
+                gy += at(x, y - r) - at(x, y + r); // Rows go down, v goes up
+            }
+            let nx = -gx;
+            let ny = -gy;
+            const u = (x + random()) / width;
+            const v = 1 - (y + random()) / height;
+            if (!nx && !ny) {
+                nx = u - 0.5;
+                ny = v - 0.5;
+            }
+            const length = Math.hypot(nx, ny) || 1;
+            this.positions[i * 3] = (u - 0.5) * aspect;
+            this.positions[i * 3 + 1] = v - 0.5;
+            this.normals[i * 2] = nx / length;
+            this.normals[i * 2 + 1] = ny / length;
+        }
+        this.geometry.attributes.position.needsUpdate = true;
+        this.geometry.attributes.aNormal.needsUpdate = true;
+    }
+
+    // Upload the settings; `pixelsPerUnit` converts image heights to pixels,
+    // `density` thins the particles out (quality tiers, see quality.js).
+    // The time comes from uniforms.uTime, set with the other materials'.
+    update(settings, pixelsPerUnit, density = 1) {
+        const count = Math.min(MAX_PARTICLES, Math.ceil(settings.rate * settings.life * density));
+        this.points.visible = settings.enabled && count > 0 && this.sourceCount > 0;
+        if (!this.points.visible) return;
+
+        this.geometry.setDrawRange(0, count);
+        this.points.renderOrder = settings.front ? 1 : -0.5; // Body mesh: 0
+        const u = this.material.uniforms;
+        u.uCount.value = count;
+        u.uLife.value = settings.life;
+        u.uSpeed.value = settings.speed;
+        u.uDrift.value = settings.drift;
+        const angle = (settings.gravityAngle * Math.PI) / 180;
+        u.uGravity.value.set(Math.cos(angle), Math.sin(angle)).multiplyScalar(settings.gravity);
+        u.uSizes.value.set(settings.sizeStart, settings.sizeMid, settings.sizeEnd);
+        u.uPixelsPerUnit.value = pixelsPerUnit;
+        u.uSprite.value = SPRITE_INDEX[settings.sprite] || 0;
+        u.uColor.value.setRGB(...hexToRgb(settings.color));
+
+        const additive = settings.sprite === 'spark';
+        this.material.blendDst = additive ? THREE.OneFactor : THREE.OneMinusSrcAlphaFactor;
+    }
+
+    dispose() {
+        this.geometry.dispose();
+        this.material.dispose();
+    }
+}
@@ -0,0 +1,97 @@
+import { MASK_MODES, defaultMaskSettings } from './alpha-mask.js';
+import { migratePreset } from './presets.js';
+import { LocalizedError } from './i18n/index.js';
+
+// --- Presentation Playlist ---
+// Stills shown one after another in presentation mode (see script.js), each
+// with its own look and for its own time, crossfading from one to the next.
+// Saved as JSON with everything embedded, so a file plays wherever the page
+// is served:
+//
+//   {
+//     version, fade,           fade: seconds of crossfade into each item
+//     items: [{
+//       name,
+//       image,                 Data URL, or a URL relative to the page (tara.png)
+//       emission,              Emission mask as a data URL, or null for all emitting
+//       mask,                  Alpha mask settings; the key color is estimated per image
+//       preset,                Its look, played from time 0
+//       duration               Seconds until the next item
+//     }]
+//   }
+
+export const PLAYLIST_VERSION = 1;
+const DEFAULT_FADE = 3;
+const HOLD = 8; // s an item stays locked before the next one, by default
+
+export function createPlaylist() {
+    return { version: PLAYLIST_VERSION, fade: DEFAULT_FADE, items: [] };
+}
+
+// By default an item lasts one growth -> lock cycle of its look and a short hold
+export function createPlaylistItem({ name, image, emission = null, mask, preset }) {
+    const look = { ...structuredClone(preset), time: { start: 0, paused: false } };
+    return {
+        name,
+        image,
+        emission,
+        mask: sanitizeMask(mask),
+        preset: look,
+        duration: Math.ceil(look.timeline.phases.lockEnd + HOLD)
+    };
+}
+
+// --- Serialization ---
+export function playlistToJSON(playlist) {
+    return JSON.stringify(playlist, null, 2);
+}
+
+// Validate and fill gaps with defaults; items that cannot be played are
+// dropped. Throws when none is left.
+export function playlistFromJSON(text) {
+    const data = JSON.parse(text);
+    if (!data || typeof data !== 'object' || !Array.isArray(data.items)) {
+        throw new LocalizedError('error.playlistInvalid', 'Invalid playlist');
+    }
+    if (Number.isInteger(data.version) && data.version > PLAYLIST_VERSION) {
+        throw new LocalizedError('error.playlistNewer', `Playlist version ${data.version} is newer than ${PLAYLIST_VERSION}`,
+            { version: data.version, supported: PLAYLIST_VERSION });
+    }
+
+    const items = data.items.map(sanitizeItem).filter(Boolean);
+    if (!items.length) throw new LocalizedError('error.playlistEmpty', 'No playable items');
+    return { version: PLAYLIST_VERSION, fade: nonNegative(data.fade, DEFAULT_FADE), items };
+}
+
+function sanitizeItem(item, index) {
+    if (!item || typeof item.image !== 'string' || !item.image) return null;
+    let preset;
+    try {
+        preset = migratePreset(item.preset);
+    } catch (err) {
+        console.warn(`Skipping playlist item ${index + 1}`, err);
+        return null;
+    }
+    const clean = createPlaylistItem({
+        name: typeof item.name === 'string' && item.name ? item.name : `${index + 1}`,
+        image: item.image,
+        emission: typeof item.emission === 'string' && item.emission ? item.emission : null,
+        mask: item.mask,
+        preset
+    });
+    if (Number.isFinite(item.duration) && item.duration > 0) clean.duration = item.duration;
+    return clean;
+}
+
+function sanitizeMask(mask) {
+    const clean = defaultMaskSettings();
+    Object.keys(clean).forEach((key) => {
+        if (key !== 'keyColor' && mask && typeof mask[key] === typeof clean[key]) clean[key] = mask[key];
+    });
+    if (!(clean.mode in MASK_MODES)) clean.mode = 'auto';
+    return clean;
+}
+
+function nonNegative(value, fallback) {
+    return Number.isFinite(value) && value >= 0 ? value : fallback;
+}
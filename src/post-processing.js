@@ -0,0 +1,330 @@
+import * as THREE from 'three';
+import { BACKGROUND_MODES, defaultFrameSettings } from './framing.js';
+import { hexToRgb } from './palettes.js';
+
+// --- Post-Processing ---
+// The scene renders into a half-float (HDR) target, so a body brightened by
+// `coreBrightness` or the lock phase, and additive aura layers, can go above
+// 1.0. The chain then runs:
+//
+//   threshold  Soft-knee bright pass (only what exceeds the threshold blooms)
+//   bloom      Downsample into a mip chain, then upsample and accumulate with
+//              a tent filter: wide, smooth glow from several scales at once
+//   composite  Scene + bloom over the background (see framing.js), vignette
+//              and film grain, clamped to the output
+//
+// The output is premultiplied: a transparent background leaves everything
+// but the body, the aura and their glow transparent.
+//
+// Every pass can be toggled off to compare; with everything off the output
+// matches the plain scene. All start off, so scenes and presets from before
+// the chain look the same until a pass is turned on.
+
+export const BLOOM_LEVELS = 5;
+
+const BACKGROUND_KEYS = Object.keys(BACKGROUND_MODES); // Index = uBackground
+const DEFAULT_FRAME = defaultFrameSettings();
+
+export function defaultPostSettings() {
+    return {
+        bloom: { enabled: false, threshold: 1.0, knee: 0.5, intensity: 0.8, radius: 0.7 },
+        vignette: { enabled: false, amount: 0.4, softness: 0.5 },
+        grain: { enabled: false, amount: 0.04 }
+    };
+}
+
+// Control metadata for the panel, per pass
+export const POST_CONTROLS = {
+    bloom: {
+        label: '블룸 (Bloom)',
+        params: {
+            threshold: { label: '임계값 (Threshold)', min: 0, max: 2, step: 0.01 },
+            knee: { label: '부드러운 경계 (Knee)', min: 0, max: 1, step: 0.01 },
+            intensity: { label: '강도 (Intensity)', min: 0, max: 3, step: 0.01 },
+            radius: { label: '반경 (Radius)', min: 0, max: 1, step: 0.01 }
+        }
+    },
+    vignette: {
+        label: '비네트 (Vignette)',
+        params: {
+            amount: { label: '양 (Amount)', min: 0, max: 1, step: 0.01 },
+            softness: { label: '부드러움 (Softness)', min: 0.05, max: 1, step: 0.01 }
+        }
+    },
+    grain: {
+        label: '필름 그레인 (Grain)',
+        params: {
+            amount: { label: '양 (Amount)', min: 0, max: 0.2, step: 0.005 }
+        }
+    }
+};
+
+const quadVertex = /* glsl */ `
+    varying vec2 vUv;
+    void main() {
+        vUv = uv;
+        gl_Position = vec4(position.xy, 0.0, 1.0);
+    }
+`;
+
+const thresholdFragment = /* glsl */ `
+    uniform sampler2D tInput;
+    uniform float uThreshold;
+    uniform float uKnee;
+    varying vec2 vUv;
+    void main() {
+        vec3 c = texture2D(tInput, vUv).rgb;
+        float br = max(c.r, max(c.g, c.b));
+        // Quadratic ramp over [threshold - knee, threshold + knee], linear above
+        float rq = clamp(br - uThreshold + uKnee, 0.0, 2.0 * uKnee);
+        rq = (rq * rq) / (4.0 * uKnee + 1e-4);
+        float w = max(rq, br - uThreshold) / max(br, 1e-4);
+        gl_FragColor = vec4(c * w, 1.0);
+    }
+`;
+
+// 4 bilinear taps at the corners of the destination texel: a 4x4 box
+const downsampleFragment = /* glsl */ `
+    uniform sampler2D tInput;
+    uniform vec2 uTexel; // Source texel size
+    varying vec2 vUv;
+    void main() {
+        vec3 c = texture2D(tInput, vUv + uTexel * vec2(-1.0, -1.0)).rgb;
+        c += texture2D(tInput, vUv + uTexel * vec2(1.0, -1.0)).rgb;
+        c += texture2D(tInput, vUv + uTexel * vec2(-1.0, 1.0)).rgb;
+        c += texture2D(tInput, vUv + uTexel * vec2(1.0, 1.0)).rgb;
+        gl_FragColor = vec4(c * 0.25, 1.0);
+    }
+`;
+
+// 3x3 tent filter, added onto the next larger level
+const upsampleFragment = /* glsl */ `
+    uniform sampler2D tInput;
+    uniform vec2 uTexel;
+    uniform float uRadius;
+    varying vec2 vUv;
+    void main() {
+        vec3 c = texture2D(tInput, vUv).rgb * 4.0;
+        c += texture2D(tInput, vUv + uTexel * vec2(-1.0, 0.0)).rgb * 2.0;
+        c += texture2D(tInput, vUv + uTexel * vec2(1.0, 0.0)).rgb * 2.0;
+        c += texture2D(tInput, vUv + uTexel * vec2(0.0, -1.0)).rgb * 2.0;
+        c += texture2D(tInput, vUv + uTexel * vec2(0.0, 1.0)).rgb * 2.0;
+        c += texture2D(tInput, vUv + uTexel * vec2(-1.0, -1.0)).rgb;
+        c += texture2D(tInput, vUv + uTexel * vec2(1.0, -1.0)).rgb;
+        c += texture2D(tInput, vUv + uTexel * vec2(-1.0, 1.0)).rgb;
+        c += texture2D(tInput, vUv + uTexel * vec2(1.0, 1.0)).rgb;
+        gl_FragColor = vec4(c / 16.0 * uRadius, 1.0);
+    }
+`;
+
+const compositeFragment = /* glsl */ `
+    uniform sampler2D tScene;
+    uniform sampler2D tBloom;
+    uniform float uBloom;      // Bloom intensity (0 = off)
+    uniform float uVignette;   // Vignette amount (0 = off)
+    uniform float uVignetteSoftness;
+    uniform float uGrain;      // Grain amount (0 = off)
+    uniform float uTime;
+    uniform vec2 uResolution;
+    uniform int uBackground;     // 0 solid, 1 gradient, 2 backdrop image, 3 transparent
+    uniform vec3 uBgColor;
+    uniform vec3 uBgColor2;
+    uniform sampler2D tBackdrop;
+    uniform vec2 uBackdropScale; // Crops the backdrop to cover the output
+    varying vec2 vUv;
+
+    float hash(vec2 p) {
+        return fract(sin(dot(p, vec2(12.9898, 78.233))) * 43758.5453);
+    }
+
+    vec4 background() {
+        if (uBackground == 1) {
+            vec2 d = (vUv - 0.5) * vec2(uResolution.x / uResolution.y, 1.0);
+            return vec4(mix(uBgColor, uBgColor2, smoothstep(0.0, 0.8, length(d))), 1.0);
+        }
+        if (uBackground == 2) return vec4(texture2D(tBackdrop, (vUv - 0.5) * uBackdropScale + 0.5).rgb, 1.0);
+        if (uBackground == 3) return vec4(0.0);
+        return vec4(uBgColor, 1.0);
+    }
+
+    void main() {
+        // The scene was drawn over transparent black: premultiplied
+        vec4 scene = texture2D(tScene, vUv);
+        vec3 col = scene.rgb + texture2D(tBloom, vUv).rgb * uBloom;
+        vec4 bg = background();
+        float coverage = clamp(scene.a, 0.0, 1.0);
+        col += bg.rgb * (1.0 - coverage);
+
+        // Round regardless of the aspect ratio
+        vec2 d = (vUv - 0.5) * vec2(uResolution.x / uResolution.y, 1.0);
+        float edge = length(d) / length(vec2(0.5 * uResolution.x / uResolution.y, 0.5));
+        col *= 1.0 - uVignette * smoothstep(1.0 - uVignetteSoftness, 1.0, edge);
+
+        col = clamp(col, 0.0, 1.0);
+        // Glow over a transparent background is as opaque as it is bright
+        float alpha = max(coverage + bg.a * (1.0 - coverage), max(col.r, max(col.g, col.b)));
+
+        // Seeded by time (not a random source) so exports are repeatable
+        float n = hash(floor(vUv * uResolution) + fract(uTime * 7.31) * 113.0);
+        col += (n - 0.5) * uGrain * alpha;
+
+        gl_FragColor = vec4(clamp(col, 0.0, alpha), alpha);
+    }
+`;
+
+export class PostProcessor {
+    // `targetType`: float type of the HDR targets (see AuraEngine)
+    constructor(renderer, targetType = THREE.HalfFloatType) {
+        this.renderer = renderer;
+        this.camera = new THREE.OrthographicCamera(-1, 1, 1, -1, 0, 1);
+        this.quad = new THREE.Mesh(new THREE.PlaneGeometry(2, 2));
+        this.quad.frustumCulled = false;
+        this.scene = new THREE.Scene();
+        this.scene.add(this.quad);
+
+        // Scene target, multisampled like the default framebuffer
+        this.sceneTarget = new THREE.WebGLRenderTarget(1, 1, { type: targetType, samples: 4 });
+        this.levels = [];
+        for (let i = 0; i < BLOOM_LEVELS; i++) {
+            this.levels.push(new THREE.WebGLRenderTarget(1, 1, {
+                type: targetType,
+                depthBuffer: false
+            }));
+        }
+
+        const pass = (fragmentShader, uniforms, extra = {}) => new THREE.ShaderMaterial({
+            vertexShader: quadVertex,
+            fragmentShader,
+            uniforms,
+            depthTest: false,
+            depthWrite: false,
+            ...extra
+        });
+        this.thresholdMaterial = pass(thresholdFragment, {
+            tInput: { value: null },
+            uThreshold: { value: 1 },
+            uKnee: { value: 0.5 }
+        });
+        this.downsampleMaterial = pass(downsampleFragment, {
+            tInput: { value: null },
+            uTexel: { value: new THREE.Vector2() }
+        });
+        this.upsampleMaterial = pass(upsampleFragment, {
+            tInput: { value: null },
+            uTexel: { value: new THREE.Vector2() },
+            uRadius: { value: 1 }
+        }, { blending: THREE.AdditiveBlending, transparent: true });
+        this.compositeMaterial = pass(compositeFragment, {
+            tScene: { value: this.sceneTarget.texture },
+            tBloom: { value: this.levels[0].texture },
+            uBloom: { value: 0 },
+            uVignette: { value: 0 },
+            uVignetteSoftness: { value: 0.5 },
+            uGrain: { value: 0 },
+            uTime: { value: 0 },
+            uResolution: { value: new THREE.Vector2() },
+            uBackground: { value: 0 },
+            uBgColor: { value: new THREE.Color() },
+            uBgColor2: { value: new THREE.Color() },
+            tBackdrop: { value: null },
+            uBackdropScale: { value: new THREE.Vector2(1, 1) }
+        });
+    }
+
+    // HDR target to render the scene into, sized for this frame
+    begin(width, height) {
+        if (this.sceneTarget.width !== width || this.sceneTarget.height !== height) {
+            this.sceneTarget.setSize(width, height);
+            this.levels.forEach((level, i) => {
+                const scale = 2 ** (i + 1);
+                level.setSize(Math.max(1, Math.round(width / scale)), Math.max(1, Math.round(height / scale)));
+            });
+        }
+        return this.sceneTarget;
+    }
+
+    // Multisampling of the scene target (0 = none)
+    setSamples(samples) {
+        if (this.sceneTarget.samples === samples) return;
+        this.sceneTarget.samples = samples;
+        this.sceneTarget.dispose(); // Reallocated on its next use
+    }
+
+    // Runs the chain on the scene rendered after begin() and writes the
+    // result to `target` (null = the canvas). `frame`: the background
+    // settings (see framing.js), `backdrop` the texture of its image.
+    render(settings, time, target = null, { frame = DEFAULT_FRAME, backdrop = null } = {}) {
+        const { bloom, vignette, grain } = settings;
+        const { width, height } = this.sceneTarget;
+
+        if (bloom.enabled && bloom.intensity > 0) this.renderBloom(bloom);
+
+        const u = this.compositeMaterial.uniforms;
+        u.uBloom.value = bloom.enabled ? bloom.intensity : 0;
+        u.uVignette.value = vignette.enabled ? vignette.amount : 0;
+        u.uVignetteSoftness.value = vignette.softness;
+        u.uGrain.value = grain.enabled ? grain.amount : 0;
+        u.uTime.value = time;
+        u.uResolution.value.set(width, height);
+        this.applyBackground(frame, backdrop, width / height);
+        this.pass(this.compositeMaterial, target);
+    }
+
+    applyBackground(frame, backdrop, aspect) {
+        const u = this.compositeMaterial.uniforms;
+        // Without a backdrop image its mode shows the solid color
+        const mode = frame.background === 'image' && !backdrop ? 'color' : frame.background;
+        u.uBackground.value = Math.max(0, BACKGROUND_KEYS.indexOf(mode));
+        u.uBgColor.value.setRGB(...hexToRgb(frame.color));
+        u.uBgColor2.value.setRGB(...hexToRgb(frame.color2));
+        u.tBackdrop.value = backdrop;
+        if (backdrop) {
+            const backdropAspect = backdrop.image.width / backdrop.image.height;
+            if (aspect > backdropAspect) u.uBackdropScale.value.set(1, backdropAspect / aspect);
+            else u.uBackdropScale.value.set(aspect / backdropAspect, 1);
+        }
+    }
+
+    renderBloom({ threshold, knee, radius }) {
+        const t = this.thresholdMaterial.uniforms;
+        t.tInput.value = this.sceneTarget.texture;
+        t.uThreshold.value = threshold;
+        t.uKnee.value = Math.max(knee, 1e-3);
+        this.pass(this.thresholdMaterial, this.levels[0]);
+
+        const down = this.downsampleMaterial.uniforms;
+        for (let i = 1; i < this.levels.length; i++) {
+            const src = this.levels[i - 1];
+            down.tInput.value = src.texture;
+            down.uTexel.value.set(1 / src.width, 1 / src.height);
+            this.pass(this.downsampleMaterial, this.levels[i]);
+        }
+
+        // Accumulate from the smallest level back up into level 0
+        const up = this.upsampleMaterial.uniforms;
+        up.uRadius.value = radius;
+        const autoClear = this.renderer.autoClear;
+        this.renderer.autoClear = false;
+        for (let i = this.levels.length - 1; i > 0; i--) {
+            const src = this.levels[i];
+            up.tInput.value = src.texture;
+            up.uTexel.value.set(1 / src.width, 1 / src.height);
+            this.pass(this.upsampleMaterial, this.levels[i - 1]);
+        }
+        this.renderer.autoClear = autoClear;
+    }
+
+    pass(material, target) {
+        this.quad.material = material;
+        this.renderer.setRenderTarget(target);
+        this.renderer.render(this.scene, this.camera);
+    }
+
+    dispose() {
+        this.sceneTarget.dispose();
+        this.levels.forEach((level) => level.dispose());
+        this.quad.geometry.dispose();
+        [this.thresholdMaterial, this.downsampleMaterial, this.upsampleMaterial, this.compositeMaterial]
+            .forEach((material) => material.dispose());
+    }
+}
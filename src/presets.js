@@ -0,0 +1,260 @@
+import { defaultTimeline, sanitizePhases, sanitizeTracks } from './timeline.js';
+import { LEGACY_TYPE_KEYS } from './auras/index.js';
+import { BLEND_MODES, createLayer, defaultParams } from './layers.js';
+import { defaultPostSettings } from './post-processing.js';
+import { defaultParticleSettings, sanitizeParticleSettings } from './particles.js';
+import { defaultFrameSettings, sanitizeFrameSettings } from './framing.js';
+import {
+    defaultPalettes, sanitizePalettes, isHexColor, DEFAULT_CONVERGENCE_TARGET
+} from './palettes.js';
+import { LocalizedError } from './i18n/index.js';
+
+// --- Preset Schema ---
+// A preset captures everything needed to reproduce a look: the aura layers
+// (type, slider parameters and keyframes of each) and the time settings. The
+// defaults below (and the param defaults declared by the aura types) are the
+// single source of truth for `params` and `resetParams()`.
+
+export const PRESET_VERSION = 9;
+
+const STORAGE_KEY = 'taraAura.presets';
+const HASH_PREFIX = 'preset=';
+
+// Built on demand so types registered later contribute their defaults
+export function createDefaultPreset() {
+    return {
+        version: PRESET_VERSION,
+        name: 'Default',
+        layers: [createLayer('basic')], // Bottom first (see layers.js)
+        time: {
+            start: 0,      // Seconds to seek to when the preset is applied
+            paused: false
+        },
+        timeline: defaultTimeline(),
+        palettes: defaultPalettes(),          // Gradient stops per aura type
+        convergenceTarget: DEFAULT_CONVERGENCE_TARGET,
+        post: defaultPostSettings(),          // Bloom, vignette and grain passes
+        particles: defaultParticleSettings(), // Edge particles (see particles.js)
+        frame: defaultFrameSettings()         // Padding and background (see framing.js)
+    };
+}
+
+// Upgrades from version N to N + 1. Add an entry whenever the schema changes
+// so preset files and links made with older builds keep working.
+const MIGRATIONS = {
+    // Version 0: a bare `params` object saved before presets existed
+    0: (data) => ({ version: 1, params: data }),
+    // Version 2: keyframe timeline and editable growth / lock phases
+    1: (data) => ({ ...data, version: 2, timeline: defaultTimeline() }),
+    // Version 3: per-type palettes and a selectable convergence target color
+    // (missing palettes fall back to the type defaults below)
+    2: (data) => ({ ...data, version: 3, convergenceTarget: DEFAULT_CONVERGENCE_TARGET }),
+    // Version 4: aura types are identified by registry key instead of index
+    3: (data) => {
+        const byIndex = (obj) => {
+            const result = {};
+            Object.entries(obj || {}).forEach(([index, val]) => {
+                if (LEGACY_TYPE_KEYS[index]) result[LEGACY_TYPE_KEYS[index]] = val;
+            });
+            return result;
+        };
+        return {
+            ...data,
+            version: 4,
+            type: LEGACY_TYPE_KEYS[data.type] || 'basic',
+            palettes: byIndex(data.palettes)
+        };
+    },
+    // Version 5: a stack of layers; the single type, params and keyframe
+    // tracks become the first layer
+    4: (data) => {
+        const { type, params, ...rest } = data;
+        const timeline = rest.timeline || {};
+        return {
+            ...rest,
+            version: 5,
+            layers: [{ type, params, tracks: timeline.tracks }]
+        };
+    },
+    // Version 6: post-processing settings (filled in from the defaults, every
+    // pass off: older presets keep their look)
+    5: (data) => ({ ...data, version: 6 }),
+    // Version 7: the ripple direction vector becomes an angle and a spread
+    // (the emission center params are filled in from the defaults)
+    6: (data) => ({
+        ...data,
+        version: 7,
+        layers: Array.isArray(data.layers) ? data.layers.map(migrateRippleDirection) : data.layers
+    }),
+    // Version 8: particle settings (filled in from the defaults, off)
+    7: (data) => ({ ...data, version: 8 }),
+    // Version 9: framing, the padding around the image and the background
+    // (filled in from the defaults)
+    8: (data) => ({ ...data, version: 9 })
+};
+
+function migrateRippleDirection(layer) {
+    const params = layer && layer.params;
+    if (!params || typeof params !== 'object') return layer;
+    const { dropDirX, dropDirY, ...rest } = params;
+    if (!Number.isFinite(dropDirX) || !Number.isFinite(dropDirY)) return { ...layer, params: rest };
+    // A (near) zero vector used to mean every direction
+    const aimed = Math.hypot(dropDirX, dropDirY) > 0.1;
+    return {
+        ...layer,
+        params: {
+            ...rest,
+            rippleAngle: aimed ? Math.atan2(dropDirY, dropDirX) * 180 / Math.PI : 90,
+            rippleSpread: aimed ? 150 : 360
+        }
+    };
+}
+
+// Kept here for existing imports; layers own their params now
+export { defaultParams };
+
+// Validate, upgrade and fill gaps with defaults. Throws on unusable input.
+export function migratePreset(data) {
+    if (!data || typeof data !== 'object' || Array.isArray(data)) {
+        throw new LocalizedError('error.presetInvalid', 'Invalid preset');
+    }
+
+    let preset = structuredClone(data);
+    let version = Number.isInteger(preset.version) ? preset.version : 0;
+    if (version > PRESET_VERSION) {
+        throw new LocalizedError('error.presetNewer', `Preset version ${version} is newer than ${PRESET_VERSION}`,
+            { version, supported: PRESET_VERSION });
+    }
+    while (version < PRESET_VERSION) {
+        preset = MIGRATIONS[version](preset);
+        version = preset.version;
+    }
+
+    const result = mergeDefaults(createDefaultPreset(), preset);
+    result.layers = sanitizeLayers(preset.layers);
+    result.timeline.phases = sanitizePhases(result.timeline.phases);
+    result.palettes = sanitizePalettes(preset.palettes);
+    result.particles = sanitizeParticleSettings(result.particles);
+    result.frame = sanitizeFrameSettings(result.frame);
+    if (!isHexColor(result.convergenceTarget)) result.convergenceTarget = DEFAULT_CONVERGENCE_TARGET;
+    return result;
+}
+
+// Layers are an array, so mergeDefaults() only sees them as a whole
+function sanitizeLayers(layers) {
+    if (!Array.isArray(layers)) return [createLayer()];
+    const result = layers
+        .filter((layer) => layer && typeof layer === 'object')
+        .map((layer) => {
+            const clean = mergeDefaults(createLayer(), layer);
+            // Tracks are keyed by parameter name, so they are not covered by the defaults
+            clean.tracks = sanitizeTracks(layer.tracks);
+            clean.opacity = Math.min(1, Math.max(0, clean.opacity));
+            if (!(clean.blend in BLEND_MODES)) clean.blend = 'normal';
+            return clean;
+        });
+    return result.length ? result : [createLayer()];
+}
+
+// Keep only known keys, taking each value from `data` when its type matches
+function mergeDefaults(defaults, data) {
+    const result = {};
+    for (const key of Object.keys(defaults)) {
+        const def = defaults[key];
+        const val = data ? data[key] : undefined;
+        if (def && typeof def === 'object' && !Array.isArray(def)) {
+            result[key] = mergeDefaults(def, val && typeof val === 'object' ? val : {});
+        } else if (typeof val === typeof def && (typeof val !== 'number' || Number.isFinite(val))) {
+            result[key] = structuredClone(val);
+        } else {
+            result[key] = structuredClone(def);
+        }
+    }
+    return result;
+}
+
+// What a preset looks like, as a string to compare: leaves out what changes
+// by itself during playback (keyframed values, the clock) and the name
+export function presetSignature(preset) {
+    return JSON.stringify({
+        layers: preset.layers.map((layer) => {
+            const params = { ...layer.params };
+            Object.keys(layer.tracks || {}).forEach((key) => delete params[key]);
+            return { ...layer, params };
+        }),
+        timeline: preset.timeline,
+        palettes: preset.palettes,
+        convergenceTarget: preset.convergenceTarget,
+        post: preset.post,
+        particles: preset.particles,
+        frame: preset.frame
+    });
+}
+
+// --- Serialization ---
+export function presetToJSON(preset) {
+    return JSON.stringify(preset, null, 2);
+}
+
+export function presetFromJSON(text) {
+    return migratePreset(JSON.parse(text));
+}
+
+// URL hash encoding: base64url of the compact JSON
+export function encodePresetHash(preset) {
+    const bytes = new TextEncoder().encode(JSON.stringify(preset));
+    let binary = '';
+    bytes.forEach((b) => { binary += String.fromCharCode(b); });
+    const b64 = btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+    return HASH_PREFIX + b64;
+}
+
+// Returns null when the hash does not carry a preset
+export function decodePresetHash(hash) {
+    const raw = hash.replace(/^#/, '');
+    if (!raw.startsWith(HASH_PREFIX)) return null;
+
+    const b64 = raw.slice(HASH_PREFIX.length).replace(/-/g, '+').replace(/_/g, '/');
+    const binary = atob(b64);
+    const bytes = Uint8Array.from(binary, (c) => c.charCodeAt(0));
+    return presetFromJSON(new TextDecoder().decode(bytes));
+}
+
+// --- localStorage ---
+// Stored as { [name]: preset }. Entries that fail migration (damaged, or
+// saved by a newer version) are skipped when loading but stay stored:
+// saving keeps them unless a preset of the same name replaces them.
+export function loadStoredPresets() {
+    const presets = {};
+    for (const [name, data] of Object.entries(readStoredPresets())) {
+        try {
+            presets[name] = migratePreset(data);
+        } catch (err) {
+            console.warn(`Skipping the saved preset "${name}"`, err);
+        }
+    }
+    return presets;
+}
+
+export function saveStoredPresets(presets) {
+    const unreadable = {};
+    for (const [name, data] of Object.entries(readStoredPresets())) {
+        if (name in presets) continue;
+        try {
+            migratePreset(data);
+        } catch {
+            unreadable[name] = data;
+        }
+    }
+    localStorage.setItem(STORAGE_KEY, JSON.stringify({ ...unreadable, ...presets }));
+}
+
+function readStoredPresets() {
+    try {
+        const stored = JSON.parse(localStorage.getItem(STORAGE_KEY));
+        return stored && typeof stored === 'object' && !Array.isArray(stored) ? stored : {};
+    } catch (err) {
+        console.warn('Could not read the saved presets', err);
+        return {};
+    }
+}
@@ -0,0 +1,141 @@
+// --- Render Quality ---
+// Quality tiers trade aura detail for speed. The body is never touched: the
+// aura layers render into a smaller target (scaled up by the compositor's
+// fullscreen quad, the aura is soft anyway), the noise loses octaves and
+// looping types (droplets, rainbow rays) and the particles draw fewer samples.
+//
+//   auraScale  Size of the aura target relative to the canvas
+//   octaves    fbm / pfbm octaves (FBM_OCTAVES in the aura shader)
+//   samples    Share of a type's loop iterations (QUALITY_SAMPLES), and of
+//              the particles alive at once
+//   msaa       Multisampling of the HDR scene target (the body's edges)
+//
+// Exports and headless renders use the first (full) tier.
+
+export const QUALITY_TIERS = [
+    { key: 'high', label: '높음 (High)', auraScale: 1, octaves: 5, samples: 1, msaa: 4 },
+    { key: 'medium', label: '중간 (Medium)', auraScale: 0.75, octaves: 4, samples: 0.7, msaa: 4 },
+    { key: 'low', label: '낮음 (Low)', auraScale: 0.5, octaves: 3, samples: 0.5, msaa: 2 },
+    { key: 'lowest', label: '최저 (Lowest)', auraScale: 0.35, octaves: 2, samples: 0.35, msaa: 0 }
+];
+
+export function getQualityTier(key) {
+    return QUALITY_TIERS.find((tier) => tier.key === key) || QUALITY_TIERS[0];
+}
+
+// --- Frame Statistics ---
+// Rolling frame times (seconds) for the overlay: average FPS, average and
+// worst frame time over the last `size` frames.
+export class FrameStats {
+    constructor(size = 60) {
+        this.times = new Float32Array(size);
+        this.count = 0;
+        this.next = 0;
+    }
+
+    add(delta) {
+        this.times[this.next] = delta;
+        this.next = (this.next + 1) % this.times.length;
+        this.count = Math.min(this.count + 1, this.times.length);
+    }
+
+    get average() {
+        let sum = 0;
+        for (let i = 0; i < this.count; i++) sum += this.times[i];
+        return this.count ? sum / this.count : 0;
+    }
+
+    get worst() {
+        let worst = 0;
+        for (let i = 0; i < this.count; i++) worst = Math.max(worst, this.times[i]);
+        return worst;
+    }
+
+    get fps() {
+        const average = this.average;
+        return average > 0 ? 1 / average : 0;
+    }
+}
+
+// --- Automatic Quality ---
+// Steps down a tier while the frame rate stays below the target and tries
+// the next tier up once it has held the target for a while. The frame rate
+// cannot show how much headroom there is (it is capped by the display), so
+// a step up that turns out too slow is undone and the next attempt from
+// that tier waits twice as long.
+
+const WINDOW = 1;         // s of frames averaged per decision
+const DOWN_AFTER = 2;     // Slow windows in a row before stepping down
+const UP_AFTER = 5;       // Steady windows in a row before trying a step up
+const MAX_BACKOFF = 16;
+const SLOW = 0.85;        // Below target * SLOW counts as slow
+const STEADY = 0.95;      // At or above target * STEADY counts as steady
+const MAX_DELTA = 0.5;    // Longer frames (tab hidden, breakpoint) are skipped
+
+export class AdaptiveQuality {
+    constructor({ targetFps = 60, tier = 0 } = {}) {
+        this.targetFps = targetFps;
+        this.tier = tier; // Index into QUALITY_TIERS
+        this.backoff = QUALITY_TIERS.map(() => 1); // Per tier: waits before stepping up from it
+        this.reset();
+    }
+
+    // Start measuring afresh (after a manual tier change or a pause)
+    reset() {
+        this.elapsed = 0;
+        this.frames = 0;
+        this.slow = 0;
+        this.steady = 0;
+        this.steppedUpFrom = null; // Tier a step up left, until it proves itself
+    }
+
+    // Call every frame; returns the new tier index when it changed, else null
+    update(delta) {
+        if (!(delta > 0) || delta > MAX_DELTA) return null;
+        this.elapsed += delta;
+        this.frames++;
+        if (this.elapsed < WINDOW) return null;
+
+        const fps = this.frames / this.elapsed;
+        this.elapsed = 0;
+        this.frames = 0;
+        if (fps < this.targetFps * SLOW) {
+            this.slow++;
+            this.steady = 0;
+        } else if (fps >= this.targetFps * STEADY) {
+            this.steady++;
+            this.slow = 0;
+        } else {
+            this.slow = 0;
+            this.steady = 0;
+        }
+
+        if (this.slow >= DOWN_AFTER && this.tier < QUALITY_TIERS.length - 1) {
+            if (this.steppedUpFrom === this.tier + 1) {
+                const backoff = this.backoff[this.tier + 1];
+                this.backoff[this.tier + 1] = Math.min(MAX_BACKOFF, backoff * 2);
+            }
+            return this.step(this.tier + 1);
+        }
+        // Holding the target after a step up: that tier's waits start over
+        if (this.steppedUpFrom !== null && this.steady >= UP_AFTER) {
+            this.backoff[this.steppedUpFrom] = 1;
+            this.steppedUpFrom = null;
+        }
+        if (this.steady >= UP_AFTER * this.backoff[this.tier] && this.tier > 0) {
+            const from = this.tier;
+            const tier = this.step(this.tier - 1);
+            this.steppedUpFrom = from;
+            return tier;
+        }
+        return null;
+    }
+
+    step(tier) {
+        this.tier = tier;
+        this.slow = 0;
+        this.steady = 0;
+        this.steppedUpFrom = null;
+        return tier;
+    }
+}
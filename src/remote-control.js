@@ -0,0 +1,233 @@
+import { migratePreset, presetSignature } from './presets.js';
+
+// --- Remote Control ---
+// JSON commands over window.postMessage (iframes, companion windows) and an
+// optional WebSocket to the local relay (tools/remote-relay.mjs). Every
+// message carries `channel: 'tara-aura'` and the sender's `id`:
+//
+//   { channel: 'tara-aura', cmd: 'setParam', key: 'auraSize', value: 0.4, layer: 0 }
+//   { channel: 'tara-aura', cmd: 'setParams', values: { auraSize: 0.4 }, layer: 0 }
+//   { channel: 'tara-aura', cmd: 'setType', key: 'flame', layer: 0 }
+//   { channel: 'tara-aura', cmd: 'play' | 'pause' | 'restart' }
+//   { channel: 'tara-aura', cmd: 'seek', time: 12.5 }
+//   { channel: 'tara-aura', cmd: 'loadPreset', preset: { ...preset file... } }
+//   { channel: 'tara-aura', cmd: 'getState' }
+//
+// State changes, whoever made them, are broadcast as
+//
+//   { channel: 'tara-aura', cmd: 'state', preset: { ... } }
+//
+// and a received `state` is applied (keeping the receiver's playback time),
+// so two windows running the full panel mirror each other: either one can
+// be the remote. Keyframed values and the clock are left out of the
+// comparison, so playback alone sends nothing.
+
+export const REMOTE_CHANNEL = 'tara-aura';
+
+const STATE_INTERVAL = 250; // ms between checks for changed state
+const RECONNECT_DELAYS = [1000, 2000, 5000, 10000];
+
+// Preset without what changes by itself during playback, plus play / pause
+function stateSignature(preset) {
+    return `${preset.time.paused}|${presetSignature(preset)}`;
+}
+
+export class RemoteControl extends EventTarget {
+    // `onApply(message)` runs after a received command changed the engine,
+    // so the caller can refresh its panel. `allowedOrigins` limits who may
+    // postMessage commands ('*' = anyone).
+    constructor(engine, { onApply = () => {}, allowedOrigins = [window.location.origin] } = {}) {
+        super();
+        this.engine = engine;
+        this.onApply = onApply;
+        this.allowedOrigins = allowedOrigins;
+        this.id = Math.random().toString(36).slice(2, 10);
+        this.windows = new Map(); // Window -> target origin, for postMessage replies and broadcasts
+        this.socket = null;
+        this.url = null;
+        this.reconnectTimer = null;
+        this.attempt = 0;
+        this.lastCheck = 0;
+        this.signature = stateSignature(engine.capturePreset(''));
+
+        if (window.parent !== window) this.windows.set(window.parent, this.defaultOrigin());
+        if (window.opener) this.windows.set(window.opener, this.defaultOrigin());
+
+        this.onMessage = (e) => {
+            if (!e.data || e.data.channel !== REMOTE_CHANNEL) return;
+            if (!this.allowedOrigins.includes('*') && !this.allowedOrigins.includes(e.origin)) {
+                console.warn(`Remote command from ${e.origin} ignored (not an allowed origin)`);
+                return;
+            }
+            if (e.source && !this.windows.has(e.source)) this.windows.set(e.source, e.origin);
+            this.receive(e.data, e.source);
+        };
+        window.addEventListener('message', this.onMessage);
+
+        // Ask whoever is already there (opener, parent) for the current state
+        if (this.windows.size) this.send({ cmd: 'getState' });
+    }
+
+    defaultOrigin() {
+        return this.allowedOrigins.includes('*') ? '*' : this.allowedOrigins[0];
+    }
+
+    // Also for companion windows opened by the app itself
+    addWindow(win, origin = this.defaultOrigin()) {
+        this.windows.set(win, origin);
+    }
+
+    // --- WebSocket ---
+    // Keeps reconnecting until disconnect()
+    connect(url) {
+        this.disconnect();
+        this.url = url;
+        this.openSocket();
+    }
+
+    disconnect() {
+        this.url = null;
+        clearTimeout(this.reconnectTimer);
+        if (this.socket) {
+            this.socket.onclose = null;
+            this.socket.close();
+            this.socket = null;
+        }
+        this.attempt = 0;
+        this.setStatus('closed');
+    }
+
+    openSocket() {
+        let socket;
+        try {
+            socket = new WebSocket(this.url);
+        } catch (err) {
+            console.warn('Invalid remote control relay address', err);
+            this.url = null;
+            this.setStatus('error', err.message);
+            return;
+        }
+        this.socket = socket;
+        this.setStatus('connecting');
+
+        socket.onopen = () => {
+            this.attempt = 0;
+            this.setStatus('open');
+            this.send({ cmd: 'getState' });
+        };
+        socket.onmessage = (e) => {
+            try {
+                const message = JSON.parse(e.data);
+                if (message && message.channel === REMOTE_CHANNEL) this.receive(message, null);
+            } catch (err) {
+                console.warn('Malformed remote message', err);
+            }
+        };
+        socket.onclose = () => {
+            this.socket = null;
+            if (!this.url) return;
+            const delay = RECONNECT_DELAYS[Math.min(this.attempt++, RECONNECT_DELAYS.length - 1)];
+            this.setStatus('reconnecting', `${delay / 1000}s`);
+            this.reconnectTimer = setTimeout(() => this.openSocket(), delay);
+        };
+    }
+
+    // Dispatches 'status' with { state, detail, url }
+    setStatus(state, detail = '') {
+        this.dispatchEvent(new CustomEvent('status', { detail: { state, detail, url: this.url } }));
+    }
+
+    // --- Messages ---
+    send(message, target = null) {
+        const data = { ...message, channel: REMOTE_CHANNEL, id: this.id };
+        const targets = target ? [[target, this.windows.get(target) || this.defaultOrigin()]] : this.windows;
+        for (const [win, origin] of targets) {
+            if (win.closed) {
+                this.windows.delete(win);
+                continue;
+            }
+            win.postMessage(data, origin);
+        }
+        if (!target && this.socket && this.socket.readyState === WebSocket.OPEN) {
+            this.socket.send(JSON.stringify(data));
+        }
+    }
+
+    receive(message, source) {
+        if (message.id === this.id) return;
+        try {
+            if (this.execute(message, source)) this.onApply(message);
+        } catch (err) {
+            console.warn(`Remote command "${message.cmd}" failed`, err);
+            this.send({ cmd: 'error', command: message.cmd, message: err.message }, source);
+        }
+    }
+
+    // Returns true when the engine changed
+    execute(message, source) {
+        const { engine } = this;
+        const layer = message.layer || 0;
+        switch (message.cmd) {
+            case 'setParam':
+                engine.setParams({ [message.key]: Number(message.value) }, layer);
+                return true;
+            case 'setParams':
+                engine.setParams(message.values || {}, layer);
+                return true;
+            case 'setType':
+                engine.setType(message.key, layer);
+                return true;
+            case 'play':
+                engine.play();
+                return true;
+            case 'pause':
+                engine.pause();
+                return true;
+            case 'restart':
+                engine.seek(0);
+                engine.play();
+                return true;
+            case 'seek':
+                engine.seek(Number(message.time) || 0);
+                return true;
+            case 'loadPreset':
+                engine.applyPreset(migratePreset(message.preset));
+                return true;
+            case 'state': {
+                const preset = migratePreset(message.preset);
+                if (stateSignature(preset) === stateSignature(engine.capturePreset(''))) return false;
+                const time = engine.currentTime;
+                engine.applyPreset(preset);
+                engine.currentTime = time;
+                // Adopted, not ours: do not echo it back
+                this.signature = stateSignature(engine.capturePreset(''));
+                return true;
+            }
+            case 'getState':
+                this.send({ cmd: 'state', preset: engine.capturePreset('') }, source);
+                return false;
+            case 'error':
+                console.warn(`Remote peer reported: ${message.command}: ${message.message}`);
+                return false;
+            default:
+                throw new Error(`Unknown command "${message.cmd}"`);
+        }
+    }
+
+    // Call once per frame: broadcasts the state when it changed (throttled)
+    update(now = performance.now()) {
+        if (now - this.lastCheck < STATE_INTERVAL) return;
+        this.lastCheck = now;
+        const preset = this.engine.capturePreset('');
+        const signature = stateSignature(preset);
+        if (signature === this.signature) return;
+        this.signature = signature;
+        this.send({ cmd: 'state', preset });
+    }
+
+    dispose() {
+        this.disconnect();
+        window.removeEventListener('message', this.onMessage);
+        this.windows.clear();
+    }
+}
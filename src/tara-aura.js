@@ -0,0 +1,329 @@
+import { AuraEngine } from './aura-engine.js';
+import { migratePreset, presetFromJSON } from './presets.js';
+import { getAuraTypes, getAuraType, getParamDefs, onAuraTypesChanged } from './auras/index.js';
+import { t, labelFor, onLanguageChanged } from './i18n/index.js';
+
+// --- <tara-aura> Element ---
+// The visualizer as an embeddable custom element, one AuraEngine each:
+//
+//   <script type="module" src="src/tara-aura.js"></script>
+//   <tara-aura src="tara.png" type="flame" params='{"auraSize": 0.4}' controls></tara-aura>
+//
+// Attributes:
+//   src       Image URL (transparent PNG, or opaque; see alpha-mask.js)
+//   type      Aura type key of the bottom layer (see auras/index.js)
+//   params    JSON object of param values for the bottom layer
+//   preset    URL of a preset file exported from the app (applied before
+//             `type` and `params`)
+//   paused    Present = paused
+//   controls  Present = show a small built-in control bar
+//
+// Methods: play(), pause(), seek(t), setParams(values, layer), setType(key,
+// layer), getParams(layer), applyPreset(preset). Properties: currentTime,
+// paused, engine. Events (not bubbling, like <video>): load, error, and
+// timeupdate every rendered frame; `detail` is the engine's (aura-engine.js).
+//
+// The engine (and its WebGL context) lives only while the element is
+// connected; moving the element keeps its state, removing it frees
+// everything. The control bar follows the page's language (see src/i18n/).
+
+const FORWARDED_EVENTS = ['load', 'error', 'timeupdate'];
+
+const STYLE = `
+    :host {
+        display: inline-block;
+        position: relative;
+        width: 300px;
+        height: 400px;
+        background: #000;
+        overflow: hidden;
+    }
+    :host([hidden]) { display: none; }
+    .stage { position: absolute; inset: 0; }
+    .controls {
+        position: absolute;
+        left: 0;
+        right: 0;
+        bottom: 0;
+        padding: 6px 8px;
+        background: rgba(20, 20, 30, 0.85);
+        color: #fff;
+        font: 12px 'Noto Sans KR', sans-serif;
+        max-height: 60%;
+        overflow-y: auto;
+    }
+    .bar { display: flex; gap: 6px; align-items: center; }
+    .bar select { flex: 1; min-width: 0; }
+    .time { font-variant-numeric: tabular-nums; min-width: 3em; text-align: right; }
+    button, select {
+        background: #333;
+        color: #fff;
+        border: 1px solid #555;
+        border-radius: 4px;
+        padding: 3px 6px;
+        font: inherit;
+    }
+    details { margin-top: 4px; }
+    label { display: block; margin-top: 4px; }
+    input[type="range"] { width: 100%; }
+`;
+
+export class TaraAuraElement extends HTMLElement {
+    static get observedAttributes() {
+        return ['src', 'type', 'params', 'preset', 'paused', 'controls'];
+    }
+
+    constructor() {
+        super();
+        this.attachShadow({ mode: 'open' });
+        this.shadowRoot.innerHTML = `<style>${STYLE}</style><div class="stage"></div>`;
+        this.stage = this.shadowRoot.querySelector('.stage');
+        this._engine = null;
+        this.pending = []; // Method calls made before the element was connected
+        this.savedState = null; // Preset captured on disconnect, restored on reconnect
+        this.forward = (e) => this.dispatchEvent(new CustomEvent(e.type, { detail: e.detail }));
+        this.onTimeUpdate = (e) => this.updateControls(e.detail.time);
+    }
+
+    connectedCallback() {
+        const engine = new AuraEngine(this.stage);
+        this._engine = engine;
+        FORWARDED_EVENTS.forEach((type) => engine.addEventListener(type, this.forward));
+
+        const restored = this.savedState;
+        this.savedState = null;
+        if (restored) {
+            engine.applyPreset(restored);
+        } else {
+            this.applyAttribute('type');
+            this.applyAttribute('params');
+            this.applyAttribute('preset');
+        }
+        this.applyAttribute('paused');
+        this.applyAttribute('src');
+        this.applyAttribute('controls');
+
+        this.pending.splice(0).forEach((call) => call());
+        engine.start();
+    }
+
+    disconnectedCallback() {
+        const engine = this._engine;
+        if (!engine) return;
+        // Keep the state in case the element is only being moved
+        this.savedState = engine.capturePreset('');
+        this.removeControls();
+        FORWARDED_EVENTS.forEach((type) => engine.removeEventListener(type, this.forward));
+        engine.dispose();
+        this._engine = null;
+    }
+
+    attributeChangedCallback(name, oldValue, newValue) {
+        if (this._engine && oldValue !== newValue) this.applyAttribute(name);
+    }
+
+    applyAttribute(name) {
+        const engine = this._engine;
+        const value = this.getAttribute(name);
+        switch (name) {
+            case 'src':
+                if (value) engine.loadImage(value).catch(() => {}); // Reported as an 'error' event
+                break;
+            case 'type':
+                if (value) engine.setType(value);
+                this.refreshControls();
+                break;
+            case 'params':
+                if (!value) break;
+                try {
+                    engine.setParams(JSON.parse(value));
+                } catch (error) {
+                    this.dispatchEvent(new CustomEvent('error', { detail: { error } }));
+                }
+                this.refreshControls();
+                break;
+            case 'preset':
+                if (value) this.loadPreset(value);
+                break;
+            case 'paused':
+                if (value === null) engine.play(); else engine.pause();
+                this.refreshControls();
+                break;
+            case 'controls':
+                if (value === null) this.removeControls(); else this.createControls();
+                break;
+        }
+    }
+
+    // Fetches and applies a preset file; `type` and `params` still win
+    async loadPreset(url) {
+        try {
+            const response = await fetch(url);
+            if (!response.ok) throw new Error(`${response.status} ${response.statusText}`);
+            const preset = presetFromJSON(await response.text());
+            if (!this._engine || this.getAttribute('preset') !== url) return; // Superseded
+            this._engine.applyPreset(preset);
+            this.applyAttribute('type');
+            this.applyAttribute('params');
+            this.applyAttribute('paused');
+        } catch (error) {
+            console.warn(`<tara-aura>: preset ${url} could not be loaded`, error);
+            this.dispatchEvent(new CustomEvent('error', { detail: { error, url } }));
+        }
+    }
+
+    // Runs `call` now, or once connected
+    whenConnected(call) {
+        if (this._engine) call(); else this.pending.push(call);
+    }
+
+    // --- Programmatic API ---
+    get engine() {
+        return this._engine;
+    }
+
+    get currentTime() {
+        return this._engine ? this._engine.currentTime : 0;
+    }
+
+    set currentTime(t) {
+        this.seek(t);
+    }
+
+    get paused() {
+        return this._engine ? this._engine.paused : this.hasAttribute('paused');
+    }
+
+    play() {
+        this.whenConnected(() => {
+            this._engine.play();
+            this.refreshControls();
+        });
+    }
+
+    pause() {
+        this.whenConnected(() => {
+            this._engine.pause();
+            this.refreshControls();
+        });
+    }
+
+    seek(t) {
+        this.whenConnected(() => this._engine.seek(t));
+    }
+
+    setParams(values, layer = 0) {
+        this.whenConnected(() => {
+            this._engine.setParams(values, layer);
+            this.refreshControls();
+        });
+    }
+
+    setType(key, layer = 0) {
+        this.whenConnected(() => {
+            this._engine.setType(key, layer);
+            this.refreshControls();
+        });
+    }
+
+    // Copy of a layer's current values, or null while disconnected
+    getParams(layer = 0) {
+        return this._engine ? { ...this._engine.layers[layer].params } : null;
+    }
+
+    // A preset object or its JSON text (see presets.js)
+    applyPreset(preset) {
+        const parsed = typeof preset === 'string' ? presetFromJSON(preset) : migratePreset(preset);
+        this.whenConnected(() => {
+            this._engine.applyPreset(parsed);
+            this.refreshControls();
+        });
+    }
+
+    // --- Built-in Controls ---
+    // Play / pause, the bottom layer's type and its sliders
+    createControls() {
+        if (this.controls) return;
+        this.controls = document.createElement('div');
+        this.controls.className = 'controls';
+        this.controls.innerHTML = `
+            <div class="bar">
+                <button class="play"></button>
+                <select class="type"></select>
+                <span class="time"></span>
+            </div>
+            <details><summary></summary><div class="sliders"></div></details>`;
+        this.shadowRoot.appendChild(this.controls);
+
+        this.controls.querySelector('.play').addEventListener('click', () => {
+            if (this.paused) this.play(); else this.pause();
+        });
+        this.controls.querySelector('.type').addEventListener('change', (e) => this.setType(e.target.value));
+        this._engine.addEventListener('timeupdate', this.onTimeUpdate);
+        this.removeTypesListener = onAuraTypesChanged(() => this.refreshControls());
+        this.removeLanguageListener = onLanguageChanged(() => this.refreshControls());
+        this.refreshControls();
+    }
+
+    removeControls() {
+        if (!this.controls) return;
+        this._engine.removeEventListener('timeupdate', this.onTimeUpdate);
+        this.removeTypesListener();
+        this.removeLanguageListener();
+        this.controls.remove();
+        this.controls = null;
+    }
+
+    refreshControls() {
+        if (!this.controls || !this._engine) return;
+        const layer = this._engine.layers[0];
+        const play = this.controls.querySelector('.play');
+        play.textContent = this._engine.paused ? '▶' : '❚❚';
+        play.setAttribute('aria-label', t(this._engine.paused ? 'embed.play' : 'embed.pause'));
+        this.controls.querySelector('summary').textContent = t('embed.params');
+
+        const select = this.controls.querySelector('.type');
+        select.setAttribute('aria-label', t('embed.type'));
+        select.innerHTML = '';
+        getAuraTypes().forEach((type) => select.add(new Option(labelFor('type', type.key, type.name), type.key)));
+        select.value = layer.type;
+
+        // Core sliders, then the type's; params without a label have no slider
+        const defs = getParamDefs();
+        const typeKeys = new Set(getAuraTypes().flatMap((t) => Object.keys(t.params)));
+        const type = getAuraType(layer.type);
+        const keys = [
+            ...Object.keys(defs).filter((key) => !typeKeys.has(key)),
+            ...Object.keys(type ? type.params : {})
+        ].filter((key) => defs[key].label);
+
+        const sliders = this.controls.querySelector('.sliders');
+        sliders.innerHTML = '';
+        keys.forEach((key) => {
+            const { label, min, max } = defs[key];
+            const wrapper = document.createElement('label');
+            wrapper.textContent = labelFor('param', key, label);
+            const input = document.createElement('input');
+            input.type = 'range';
+            input.min = min;
+            input.max = max;
+            input.step = 0.01;
+            input.value = layer.params[key];
+            input.dataset.param = key;
+            input.addEventListener('input', () => this._engine.setParams({ [key]: parseFloat(input.value) }));
+            wrapper.appendChild(input);
+            sliders.appendChild(wrapper);
+        });
+    }
+
+    // Time display, and sliders that keyframes are moving
+    updateControls(time) {
+        this.controls.querySelector('.time').textContent = time.toFixed(1);
+        const { params } = this._engine.layers[0];
+        this.controls.querySelectorAll('.sliders input').forEach((input) => {
+            if (this.shadowRoot.activeElement !== input) input.value = params[input.dataset.param];
+        });
+    }
+}
+
+if (!customElements.get('tara-aura')) customElements.define('tara-aura', TaraAuraElement);
@@ -0,0 +1,100 @@
+// --- Keyframe Timeline ---
+// Each animated parameter owns a track: a list of keyframes sorted by time.
+// A keyframe's `ease` shapes the segment that leaves it, up to the next key.
+// Tracks belong to aura layers (`layer.tracks`, see layers.js); the timeline
+// itself holds the duration, looping and the growth / lock phases.
+
+export const EASINGS = {
+    linear: (x) => x,
+    easeIn: (x) => x * x * x,
+    easeOut: (x) => 1 - Math.pow(1 - x, 3),
+    easeInOut: (x) => x * x * (3 - 2 * x),
+    step: () => 0
+};
+
+export const EASING_LABELS = {
+    linear: '선형 (Linear)',
+    easeIn: '가속 (Ease In)',
+    easeOut: '감속 (Ease Out)',
+    easeInOut: '부드럽게 (Ease In-Out)',
+    step: '계단 (Step)'
+};
+
+export function defaultTimeline() {
+    return {
+        duration: 70,
+        loop: false,
+        // Formerly hard-coded in the shader as smoothstep(0, 8) and smoothstep(60, 62)
+        phases: { growthStart: 0, growthEnd: 8, lockStart: 60, lockEnd: 62 }
+    };
+}
+
+// Value of a track at time t (held constant before the first / after the last key)
+export function evaluateTrack(keys, t) {
+    if (t <= keys[0].t) return keys[0].value;
+    const last = keys[keys.length - 1];
+    if (t >= last.t) return last.value;
+
+    let i = 0;
+    while (t > keys[i + 1].t) i++;
+    const a = keys[i];
+    const b = keys[i + 1];
+    const ease = EASINGS[a.ease] || EASINGS.linear;
+    const x = (t - a.t) / (b.t - a.t);
+    return a.value + (b.value - a.value) * ease(x);
+}
+
+// Write animated values of `layer.tracks` at time t into `target`. Returns the animated keys.
+export function applyTimeline(layer, t, target) {
+    const animated = [];
+    for (const [key, keys] of Object.entries(layer.tracks)) {
+        if (!keys.length || !(key in target)) continue;
+        target[key] = evaluateTrack(keys, t);
+        animated.push(key);
+    }
+    return animated;
+}
+
+// Insert or replace the keyframe at time t, keeping the track sorted
+export function setKeyframe(layer, key, t, value, ease = 'easeInOut') {
+    const keys = layer.tracks[key] || (layer.tracks[key] = []);
+    const existing = keys.find((k) => Math.abs(k.t - t) < 1e-3);
+    if (existing) {
+        existing.value = value;
+    } else {
+        keys.push({ t, value, ease });
+        keys.sort((a, b) => a.t - b.t);
+    }
+}
+
+export function removeKeyframe(layer, key, index) {
+    const keys = layer.tracks[key];
+    if (!keys) return;
+    keys.splice(index, 1);
+    if (!keys.length) delete layer.tracks[key];
+}
+
+// Phase edges must be ordered for smoothstep() to be defined
+export function sanitizePhases(phases) {
+    const p = { ...phases };
+    p.growthStart = Math.max(0, p.growthStart);
+    p.growthEnd = Math.max(p.growthEnd, p.growthStart + 0.01);
+    p.lockStart = Math.max(0, p.lockStart);
+    p.lockEnd = Math.max(p.lockEnd, p.lockStart + 0.01);
+    return p;
+}
+
+// Drop malformed keyframes from untrusted data (preset files, links)
+export function sanitizeTracks(tracks) {
+    const result = {};
+    if (!tracks || typeof tracks !== 'object') return result;
+    for (const [key, keys] of Object.entries(tracks)) {
+        if (!Array.isArray(keys)) continue;
+        const clean = keys
+            .filter((k) => k && Number.isFinite(k.t) && Number.isFinite(k.value))
+            .map((k) => ({ t: k.t, value: k.value, ease: k.ease in EASINGS ? k.ease : 'linear' }))
+            .sort((a, b) => a.t - b.t);
+        if (clean.length) result[key] = clean;
+    }
+    return result;
+}
@@ -0,0 +1,91 @@
+// --- View Pan / Zoom ---
+// Mouse and touch navigation of the canvas (see AuraEngine.setView): the
+// wheel or a pinch zooms around the pointer, dragging pans, a double click
+// fits the image again. The left button (and a single finger) pans unless
+// `isBusy()` says another tool has it (the emission brush); the middle
+// button always pans.
+
+const WHEEL_ZOOM = 0.0015; // Zoom factor per wheel pixel (exponential)
+
+export class ViewControls {
+    constructor(engine, { isBusy = () => false } = {}) {
+        this.engine = engine;
+        this.isBusy = isBusy;
+        this.pointers = new Map(); // pointerId -> { x, y } of the pointers panning
+        const canvas = engine.canvas;
+        canvas.style.touchAction = 'none'; // Touch gestures are ours, not the page's
+
+        canvas.addEventListener('pointerdown', (e) => this.onPointerDown(e));
+        canvas.addEventListener('pointermove', (e) => this.onPointerMove(e));
+        const release = (e) => this.pointers.delete(e.pointerId);
+        canvas.addEventListener('pointerup', release);
+        canvas.addEventListener('pointercancel', release);
+        canvas.addEventListener('wheel', (e) => {
+            e.preventDefault();
+            const pixels = e.deltaMode === 1 ? e.deltaY * 16 : e.deltaY; // Lines or pixels
+            this.zoomAt(e.clientX, e.clientY, Math.exp(-pixels * WHEEL_ZOOM));
+        }, { passive: false });
+        canvas.addEventListener('dblclick', () => {
+            if (!this.isBusy()) this.reset();
+        });
+    }
+
+    // Fit the image again, ending any drag
+    reset() {
+        this.pointers.clear();
+        this.engine.resetView();
+    }
+
+    onPointerDown(e) {
+        const pans = e.button === 1 || (e.button === 0 && !this.isBusy());
+        if (!pans) return;
+        e.preventDefault(); // No autoscroll on the middle button
+        this.engine.canvas.setPointerCapture(e.pointerId);
+        this.pointers.set(e.pointerId, { x: e.clientX, y: e.clientY });
+    }
+
+    onPointerMove(e) {
+        const last = this.pointers.get(e.pointerId);
+        if (!last) return;
+        if (this.pointers.size === 2) {
+            // Pinch: zoom by the change of the fingers' distance around their
+            // midpoint, and pan by the midpoint's movement
+            const other = [...this.pointers.entries()].find(([id]) => id !== e.pointerId)[1];
+            const before = Math.hypot(last.x - other.x, last.y - other.y);
+            const after = Math.hypot(e.clientX - other.x, e.clientY - other.y);
+            const midX = (e.clientX + other.x) / 2;
+            const midY = (e.clientY + other.y) / 2;
+            this.pan((e.clientX - last.x) / 2, (e.clientY - last.y) / 2);
+            if (before > 0) this.zoomAt(midX, midY, after / before);
+        } else if (this.pointers.size === 1) {
+            this.pan(e.clientX - last.x, e.clientY - last.y);
+        }
+        last.x = e.clientX;
+        last.y = e.clientY;
+    }
+
+    // Move the image with the pointer by (dx, dy) CSS pixels
+    pan(dx, dy) {
+        const { engine } = this;
+        const pixelsPerUnit = engine.canvas.clientHeight * engine.camera.zoom;
+        engine.setView({
+            x: engine.view.x - dx / pixelsPerUnit,
+            y: engine.view.y + dy / pixelsPerUnit
+        });
+    }
+
+    // Zoom by `factor`, keeping the point under (clientX, clientY) in place
+    zoomAt(clientX, clientY, factor) {
+        const { engine } = this;
+        const { u, v } = engine.pointerToUV(clientX, clientY);
+        const x = (u - 0.5) * engine.imageAspect;
+        const y = v - 0.5;
+        const before = engine.view.zoom;
+        engine.setView({ zoom: before * factor });
+        const scale = before / engine.view.zoom; // The zoom after the limits
+        engine.setView({
+            x: x - (x - engine.view.x) * scale,
+            y: y - (y - engine.view.y) * scale
+        });
+    }
+}
@@ -0,0 +1,114 @@
+import { LocalizedError } from './i18n/index.js';
+
+// --- Minimal ZIP Writer (store only, no compression) ---
+// PNG frames are already compressed, so storing them as-is keeps the
+// archive small enough while avoiding any third-party dependency.
+// Entries are kept as Blobs so browsers can page large exports to disk.
+// No ZIP64: at most 4GB and MAX_ZIP_ENTRIES files.
+
+export const MAX_ZIP_ENTRIES = 0xFFFF; // Entry counts are 16-bit
+
+const CRC_TABLE = (() => {
+    const table = new Uint32Array(256);
+    for (let n = 0; n < 256; n++) {
+        let c = n;
+        for (let k = 0; k < 8; k++) {
+            c = (c & 1) ? (0xEDB88320 ^ (c >>> 1)) : (c >>> 1);
+        }
+        table[n] = c >>> 0;
+    }
+    return table;
+})();
+
+export function crc32(bytes) {
+    let crc = 0xFFFFFFFF;
+    for (let i = 0; i < bytes.length; i++) {
+        crc = CRC_TABLE[(crc ^ bytes[i]) & 0xFF] ^ (crc >>> 8);
+    }
+    return (crc ^ 0xFFFFFFFF) >>> 0;
+}
+
+// DOS date/time fields used by the ZIP headers
+function dosDateTime(date) {
+    const time = (date.getHours() << 11) | (date.getMinutes() << 5) | (date.getSeconds() >> 1);
+    const day = ((date.getFullYear() - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate();
+    return { time, day };
+}
+
+export class ZipWriter {
+    constructor() {
+        this.parts = [];
+        this.entries = [];
+        this.offset = 0;
+        this.stamp = dosDateTime(new Date());
+    }
+
+    // Add a file. `data` may be a Blob, ArrayBuffer or Uint8Array.
+    async add(name, data) {
+        const blob = data instanceof Blob ? data : new Blob([data]);
+        const bytes = new Uint8Array(await blob.arrayBuffer());
+        const crc = crc32(bytes);
+        const nameBytes = new TextEncoder().encode(name);
+
+        if (this.entries.length >= MAX_ZIP_ENTRIES) {
+            throw new LocalizedError('error.zipTooManyFiles',
+                `ZIP archive exceeds ${MAX_ZIP_ENTRIES} files; choose a shorter range or lower frame rate.`,
+                { max: MAX_ZIP_ENTRIES });
+        }
+        if (this.offset + 30 + nameBytes.length + bytes.length > 0xFFFFFFFF) {
+            throw new LocalizedError('error.zipTooLarge',
+                'ZIP archive exceeds 4GB; choose a shorter range or lower resolution.');
+        }
+
+        const header = new DataView(new ArrayBuffer(30));
+        header.setUint32(0, 0x04034b50, true); // Local file header signature
+        header.setUint16(4, 20, true);         // Version needed
+        header.setUint16(6, 0x0800, true);     // UTF-8 names
+        header.setUint16(8, 0, true);          // Stored
+        header.setUint16(10, this.stamp.time, true);
+        header.setUint16(12, this.stamp.day, true);
+        header.setUint32(14, crc, true);
+        header.setUint32(18, bytes.length, true);
+        header.setUint32(22, bytes.length, true);
+        header.setUint16(26, nameBytes.length, true);
+        header.setUint16(28, 0, true);
+
+        this.parts.push(header.buffer, nameBytes, blob);
+        this.entries.push({ nameBytes, crc, size: bytes.length, offset: this.offset });
+        this.offset += 30 + nameBytes.length + bytes.length;
+    }
+
+    // Write the central directory and return the finished archive
+    finish() {
+        const dirStart = this.offset;
+        let dirSize = 0;
+
+        for (const entry of this.entries) {
+            const rec = new DataView(new ArrayBuffer(46));
+            rec.setUint32(0, 0x02014b50, true); // Central directory signature
+            rec.setUint16(4, 20, true);         // Version made by
+            rec.setUint16(6, 20, true);         // Version needed
+            rec.setUint16(8, 0x0800, true);
+            rec.setUint16(10, 0, true);
+            rec.setUint16(12, this.stamp.time, true);
+            rec.setUint16(14, this.stamp.day, true);
+            rec.setUint32(16, entry.crc, true);
+            rec.setUint32(20, entry.size, true);
+            rec.setUint32(24, entry.size, true);
+            rec.setUint16(28, entry.nameBytes.length, true);
+            rec.setUint32(42, entry.offset, true);
+            this.parts.push(rec.buffer, entry.nameBytes);
+            dirSize += 46 + entry.nameBytes.length;
+        }
+
+        const end = new DataView(new ArrayBuffer(22));
+        end.setUint32(0, 0x06054b50, true); // End of central directory
+        end.setUint16(8, this.entries.length, true);
+        end.setUint16(10, this.entries.length, true);
+        end.setUint32(12, dirSize, true);
+        end.setUint32(16, dirStart, true);
+        this.parts.push(end.buffer);
+
+        return new Blob(this.parts, { type: 'application/zip' });
+    }
+}
@@ -0,0 +1,28 @@
+// The batch renderer's PNG codec (tools/png.mjs)
+
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { decodePNG, encodePNG, isPNG } from '../tools/png.mjs';
+
+function gradient(width, height) {
+    const data = new Uint8Array(width * height * 4);
+    for (let i = 0; i < width * height; i++) {
+        data.set([i % 256, (i * 7) % 256, (i * 13) % 256, (i * 3) % 256], i * 4);
+    }
+    return { data, width, height };
+}
+
+test('encodePNG output decodes to the same pixels', () => {
+    const image = gradient(37, 11);
+    const encoded = encodePNG(image);
+    assert.ok(isPNG(encoded));
+    const decoded = decodePNG(encoded);
+    assert.equal(decoded.width, 37);
+    assert.equal(decoded.height, 11);
+    assert.deepEqual(Uint8Array.from(decoded.data), image.data);
+});
+
+test('isPNG rejects other files', () => {
+    assert.equal(isPNG(Buffer.from('GIF89a')), false);
+    assert.equal(isPNG(Buffer.alloc(0)), false);
+});
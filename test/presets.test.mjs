@@ -0,0 +1,58 @@
+// Preset migration (src/presets.js): files from every older version load as
+// the current schema, with what they did not have filled in from defaults
+
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import {
+    PRESET_VERSION, createDefaultPreset, migratePreset, presetFromJSON, presetToJSON
+} from '../src/presets.js';
+
+test('version 0, bare params, becomes a single basic layer', () => {
+    const preset = migratePreset({ auraSize: 0.3 });
+    assert.equal(preset.version, PRESET_VERSION);
+    assert.equal(preset.layers.length, 1);
+    assert.equal(preset.layers[0].type, 'basic');
+    assert.equal(preset.layers[0].params.auraSize, 0.3);
+    // Added along the way, from the defaults
+    const defaults = createDefaultPreset();
+    assert.deepEqual(preset.timeline, defaults.timeline);
+    assert.equal(preset.convergenceTarget, defaults.convergenceTarget);
+    assert.deepEqual(preset.post, defaults.post);
+    assert.equal(preset.post.bloom.enabled, false); // Older presets keep their look
+    assert.deepEqual(preset.particles, defaults.particles);
+    assert.deepEqual(preset.frame, defaults.frame);
+});
+
+test('version 3 type and palette indices become registry keys', () => {
+    const stops = [{ pos: 0, color: '#112233' }, { pos: 1, color: '#445566' }];
+    const preset = migratePreset({ version: 3, type: 1, params: { auraSize: 0.2 }, palettes: { 1: stops } });
+    assert.equal(preset.layers[0].type, 'flame');
+    assert.equal(preset.layers[0].params.auraSize, 0.2);
+    assert.deepEqual(preset.palettes.flame, stops);
+});
+
+test('version 6 ripple direction becomes an angle and a spread', () => {
+    const migrate = (x, y) => migratePreset({
+        version: 6,
+        layers: [{ type: 'ripple', params: { dropDirX: x, dropDirY: y } }]
+    }).layers[0].params;
+    const aimed = migrate(0, 1);
+    assert.equal(aimed.rippleAngle, 90);
+    assert.equal(aimed.rippleSpread, 150);
+    assert.equal('dropDirX' in aimed, false);
+    assert.equal(migrate(0, 0).rippleSpread, 360);
+});
+
+test('the current version survives JSON unchanged', () => {
+    const preset = createDefaultPreset();
+    assert.deepEqual(presetFromJSON(presetToJSON(preset)), preset);
+});
+
+test('unusable and newer presets are refused', () => {
+    assert.throws(() => migratePreset(null), (err) => err.code === 'error.presetInvalid');
+    assert.throws(() => migratePreset([]), (err) => err.code === 'error.presetInvalid');
+    assert.throws(
+        () => migratePreset({ version: PRESET_VERSION + 1 }),
+        (err) => err.code === 'error.presetNewer' && err.vars.supported === PRESET_VERSION
+    );
+});
@@ -0,0 +1,87 @@
+// The batch renderer's options, and a smoke test rendering one small still
+// of tara.png through the whole engine. That one is skipped where `gl` is
+// not installed or cannot open a context (it is an optional dependency, see
+// package.json).
+
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { execFile } from 'node:child_process';
+import { fileURLToPath } from 'node:url';
+import { decodePNG } from '../tools/png.mjs';
+import { parseArgs } from '../tools/render-batch.mjs';
+
+const ROOT = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..');
+
+test('parseArgs: stills with the defaults', () => {
+    const options = parseArgs(['images', '--out', 'renders']);
+    assert.equal(options.input, 'images');
+    assert.equal(options.out, 'renders');
+    assert.equal(options.width, 1920);
+    assert.equal(options.height, 1080);
+    assert.deepEqual(options.times, [35]);
+    assert.equal(options.format, 'png');
+    assert.equal(options.frames, undefined);
+});
+
+test('parseArgs: stills at several times', () => {
+    const options = parseArgs(['a.png', '--out', 'o', '--size', '64x36', '--time', '1,2.5']);
+    assert.equal(options.width, 64);
+    assert.equal(options.height, 36);
+    assert.deepEqual(options.times, [1, 2.5]);
+});
+
+test('parseArgs: a frame range', () => {
+    const options = parseArgs(['a.png', '--out', 'o', '--frames', '1:2@4', '--format', 'webm']);
+    assert.deepEqual(options.times, [1, 1.25, 1.5, 1.75]);
+    assert.equal(options.fps, 4);
+    assert.equal(options.format, 'webm');
+});
+
+test('parseArgs: rejects bad options', () => {
+    const base = ['a.png', '--out', 'o'];
+    assert.throws(() => parseArgs(['a.png']), /--out is required/);
+    assert.throws(() => parseArgs(['a', 'b', '--out', 'o']), /exactly one input/);
+    assert.throws(() => parseArgs([...base, '--size', '64']), /--size/);
+    assert.throws(() => parseArgs([...base, '--frames', '2:1@30']), /TO > FROM/);
+    assert.throws(() => parseArgs([...base, '--time', '-1']), /--time/);
+    assert.throws(() => parseArgs([...base, '--format', 'webm']), /needs --frames/);
+    assert.throws(() => parseArgs([...base, '--format', 'gif', '--frames', '0:1@1']), /png or webm/);
+    assert.throws(() => parseArgs([...base, '--preset']), /needs a value/);
+});
+
+async function headlessGL() {
+    try {
+        const { default: createGL } = await import('gl');
+        const gl = createGL(1, 1);
+        if (!gl) return 'gl could not open a context';
+        gl.getExtension('STACKGL_destroy_context')?.destroy();
+        return null;
+    } catch (err) {
+        return `gl is not installed (${err.message})`;
+    }
+}
+
+test('renders a still of tara.png', { timeout: 120000 }, async (t) => {
+    const missing = await headlessGL();
+    if (missing) {
+        t.skip(missing);
+        return;
+    }
+    const out = fs.mkdtempSync(path.join(os.tmpdir(), 'tara-aura-render-'));
+    t.after(() => fs.rmSync(out, { recursive: true, force: true }));
+
+    await new Promise((resolve, reject) => {
+        execFile(process.execPath, [
+            path.join(ROOT, 'tools/render-batch.mjs'), path.join(ROOT, 'tara.png'),
+            '--out', out, '--size', '64x36', '--time', '1'
+        ], { timeout: 110000 }, (err, stdout, stderr) => (err ? reject(new Error(stderr || err.message)) : resolve()));
+    });
+
+    const image = decodePNG(fs.readFileSync(path.join(out, 'tara_t1.0.png')));
+    assert.equal(image.width, 64);
+    assert.equal(image.height, 36);
+    assert.ok(image.data.some((value, i) => i % 4 !== 3 && value > 0), 'the frame is all black');
+});
@@ -0,0 +1,65 @@
+// Layout of the archives ZipWriter produces (src/zip.js)
+
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { MAX_ZIP_ENTRIES, ZipWriter, crc32 } from '../src/zip.js';
+
+async function archiveOf(files) {
+    const zip = new ZipWriter();
+    for (const [name, text] of files) await zip.add(name, new TextEncoder().encode(text));
+    return new DataView(await zip.finish().arrayBuffer());
+}
+
+test('crc32 of a known string', () => {
+    assert.equal(crc32(new TextEncoder().encode('123456789')), 0xCBF43926);
+});
+
+test('stored entries, central directory and end record', async () => {
+    const files = [['frame_00000.png', 'first'], ['frame_00001.png', 'second!']];
+    const view = await archiveOf(files);
+    const bytes = new Uint8Array(view.buffer);
+    const text = (offset, length) => new TextDecoder().decode(bytes.subarray(offset, offset + length));
+
+    // Local headers, each followed by its name and data
+    let offset = 0;
+    const offsets = [];
+    for (const [name, content] of files) {
+        offsets.push(offset);
+        assert.equal(view.getUint32(offset, true), 0x04034b50);
+        assert.equal(view.getUint16(offset + 8, true), 0); // Stored
+        assert.equal(view.getUint32(offset + 14, true), crc32(new TextEncoder().encode(content)));
+        assert.equal(view.getUint32(offset + 18, true), content.length);
+        assert.equal(view.getUint16(offset + 26, true), name.length);
+        assert.equal(text(offset + 30, name.length), name);
+        assert.equal(text(offset + 30 + name.length, content.length), content);
+        offset += 30 + name.length + content.length;
+    }
+
+    // End of central directory: the last 22 bytes
+    const end = view.byteLength - 22;
+    assert.equal(view.getUint32(end, true), 0x06054b50);
+    assert.equal(view.getUint16(end + 8, true), files.length);
+    assert.equal(view.getUint16(end + 10, true), files.length);
+    const dirSize = view.getUint32(end + 12, true);
+    const dirStart = view.getUint32(end + 16, true);
+    assert.equal(dirStart, offset);
+    assert.equal(dirStart + dirSize, end);
+
+    // Central directory records point back at the local headers
+    let record = dirStart;
+    files.forEach(([name, content], i) => {
+        assert.equal(view.getUint32(record, true), 0x02014b50);
+        assert.equal(view.getUint32(record + 20, true), content.length);
+        assert.equal(view.getUint16(record + 28, true), name.length);
+        assert.equal(view.getUint32(record + 42, true), offsets[i]);
+        assert.equal(text(record + 46, name.length), name);
+        record += 46 + name.length;
+    });
+});
+
+test(`refuses more than ${MAX_ZIP_ENTRIES} entries`, async () => {
+    const zip = new ZipWriter();
+    const empty = new Uint8Array(0);
+    for (let i = 0; i < MAX_ZIP_ENTRIES; i++) await zip.add('f', empty);
+    await assert.rejects(zip.add('f', empty), (err) => err.code === 'error.zipTooManyFiles');
+});
@@ -0,0 +1,155 @@
+// --- PNG Codec (Node) ---
+// Just enough PNG for the batch renderer, on node:zlib: decodes 8 / 16-bit
+// gray, RGB, palette and alpha images (not interlaced) to RGBA, and encodes
+// RGBA. Pixels are { data: Uint8Array, width, height }, top row first.
+
+import zlib from 'node:zlib';
+import { crc32 } from '../src/zip.js';
+
+const SIGNATURE = Buffer.from([137, 80, 78, 71, 13, 10, 26, 10]);
+const CHANNELS = { 0: 1, 2: 3, 3: 1, 4: 2, 6: 4 }; // Per color type
+
+export function isPNG(buffer) {
+    return buffer.length > 8 && buffer.subarray(0, 8).equals(SIGNATURE);
+}
+
+export function decodePNG(buffer) {
+    if (!isPNG(buffer)) throw new Error('Not a PNG file');
+
+    let header = null;
+    let palette = null;
+    let transparency = null;
+    const idat = [];
+    let offset = 8;
+    while (offset + 12 <= buffer.length) {
+        const length = buffer.readUInt32BE(offset);
+        const type = buffer.toString('latin1', offset + 4, offset + 8);
+        const data = buffer.subarray(offset + 8, offset + 8 + length);
+        if (type === 'IHDR') {
+            header = {
+                width: data.readUInt32BE(0),
+                height: data.readUInt32BE(4),
+                depth: data[8],
+                colorType: data[9],
+                interlace: data[12]
+            };
+        } else if (type === 'PLTE') {
+            palette = data;
+        } else if (type === 'tRNS') {
+            transparency = data;
+        } else if (type === 'IDAT') {
+            idat.push(data);
+        } else if (type === 'IEND') {
+            break;
+        }
+        offset += 12 + length;
+    }
+
+    if (!header) throw new Error('PNG without IHDR');
+    const { width, height, depth, colorType, interlace } = header;
+    if (interlace) throw new Error('Interlaced PNGs are not supported');
+    if (!(colorType in CHANNELS)) throw new Error(`Unknown PNG color type ${colorType}`);
+    if (colorType === 3 && !palette) throw new Error('Palette PNG without PLTE');
+
+    const bitsPerPixel = CHANNELS[colorType] * depth;
+    const rowBytes = Math.ceil(width * bitsPerPixel / 8);
+    const bpp = Math.max(1, bitsPerPixel >> 3); // Filter byte distance
+    const raw = zlib.inflateSync(Buffer.concat(idat));
+    const rows = unfilter(raw, rowBytes, height, bpp);
+
+    const out = new Uint8Array(width * height * 4);
+    const maxValue = (1 << Math.min(depth, 8)) - 1;
+    for (let y = 0; y < height; y++) {
+        const row = rows.subarray(y * rowBytes, (y + 1) * rowBytes);
+        // Sample n of this row, scaled to 0..255 (16-bit: the high byte)
+        const sample = (n) => {
+            if (depth === 16) return row[n * 2];
+            if (depth === 8) return row[n];
+            const bit = n * depth;
+            const value = (row[bit >> 3] >> (8 - depth - (bit & 7))) & maxValue;
+            return colorType === 3 ? value : Math.round(value * 255 / maxValue);
+        };
+        for (let x = 0; x < width; x++) {
+            const o = (y * width + x) * 4;
+            const c = x * CHANNELS[colorType];
+            if (colorType === 3) {
+                const index = sample(c);
+                out[o] = palette[index * 3];
+                out[o + 1] = palette[index * 3 + 1];
+                out[o + 2] = palette[index * 3 + 2];
+                out[o + 3] = transparency && index < transparency.length ? transparency[index] : 255;
+            } else if (colorType === 0 || colorType === 4) {
+                out[o] = out[o + 1] = out[o + 2] = sample(c);
+                out[o + 3] = colorType === 4 ? sample(c + 1) : 255;
+            } else {
+                out[o] = sample(c);
+                out[o + 1] = sample(c + 1);
+                out[o + 2] = sample(c + 2);
+                out[o + 3] = colorType === 6 ? sample(c + 3) : 255;
+            }
+        }
+    }
+    return { data: out, width, height };
+}
+
+function unfilter(raw, rowBytes, height, bpp) {
+    const rows = new Uint8Array(rowBytes * height);
+    for (let y = 0; y < height; y++) {
+        const filter = raw[y * (rowBytes + 1)];
+        const src = raw.subarray(y * (rowBytes + 1) + 1, (y + 1) * (rowBytes + 1));
+        const cur = rows.subarray(y * rowBytes, (y + 1) * rowBytes);
+        const prev = y > 0 ? rows.subarray((y - 1) * rowBytes, y * rowBytes) : null;
+        for (let i = 0; i < rowBytes; i++) {
+            const a = i >= bpp ? cur[i - bpp] : 0;
+            const b = prev ? prev[i] : 0;
+            const c = prev && i >= bpp ? prev[i - bpp] : 0;
+            let value = src[i];
+            if (filter === 1) value += a;
+            else if (filter === 2) value += b;
+            else if (filter === 3) value += (a + b) >> 1;
+            else if (filter === 4) value += paeth(a, b, c);
+            else if (filter !== 0) throw new Error(`Unknown PNG filter ${filter}`);
+            cur[i] = value;
+        }
+    }
+    return rows;
+}
+
+function paeth(a, b, c) {
+    const p = a + b - c;
+    const pa = Math.abs(p - a);
+    const pb = Math.abs(p - b);
+    const pc = Math.abs(p - c);
+    if (pa <= pb && pa <= pc) return a;
+    return pb <= pc ? b : c;
+}
+
+export function encodePNG({ data, width, height }) {
+    const rowBytes = width * 4;
+    const raw = Buffer.alloc((rowBytes + 1) * height);
+    for (let y = 0; y < height; y++) {
+        // Filter 0 (none) on every row; zlib does the rest
+        raw.set(data.subarray(y * rowBytes, (y + 1) * rowBytes), y * (rowBytes + 1) + 1);
+    }
+
+    const header = Buffer.alloc(13);
+    header.writeUInt32BE(width, 0);
+    header.writeUInt32BE(height, 4);
+    header[8] = 8;  // Bit depth
+    header[9] = 6;  // RGBA
+    return Buffer.concat([
+        SIGNATURE,
+        chunk('IHDR', header),
+        chunk('IDAT', zlib.deflateSync(raw, { level: 6 })),
+        chunk('IEND', Buffer.alloc(0))
+    ]);
+}
+
+function chunk(type, data) {
+    const out = Buffer.alloc(12 + data.length);
+    out.writeUInt32BE(data.length, 0);
+    out.write(type, 4, 'latin1');
+    data.copy(out, 8);
+    out.writeUInt32BE(crc32(out.subarray(4, 8 + data.length)), 8 + data.length);
+    return out;
+}
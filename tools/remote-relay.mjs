@@ -0,0 +1,367 @@
+#!/usr/bin/env node
+// --- Remote Control Relay ---
+// Tiny local server for live events: relays every WebSocket text message to
+// all other connected clients (the projector window, a tablet running the
+// panel, custom controllers; see src/remote-control.js for the messages),
+// and serves the app's files over HTTP so a tablet on the same network can
+// open it directly. No dependencies, Node 18+.
+//
+//   node tools/remote-relay.mjs [--port 8765] [--lan | --host <address>]
+//                               [--allow-origin <origin>]...
+//
+// It listens on this machine only unless --lan (all interfaces) or --host
+// says otherwise; then open http://<this machine>:8765/?remote=ws://<this
+// machine>:8765 on each device. Only the app's own files are served (see
+// PUBLIC_FILES). Browsers may connect from the relay's own pages, or from
+// the origins given with --allow-origin; clients that send no Origin (not
+// browsers) are let in. The relay does not interpret messages and has no
+// authentication: with --lan, run it on a trusted network only.
+
+import http from 'node:http';
+import crypto from 'node:crypto';
+import fs from 'node:fs';
+import path from 'node:path';
+import os from 'node:os';
+import { fileURLToPath } from 'node:url';
+
+const ROOT = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..');
+const WS_GUID = '258EAFA5-E914-47DA-95CA-C5AB0DC85B11';
+const MAX_MESSAGE = 4 * 1024 * 1024; // Presets with many keyframes stay well below
+const PING_INTERVAL = 30000;
+
+// What the HTTP side hands out, relative to the repository root: the app and
+// the embed demo, nothing else in the tree
+const PUBLIC_FILES = ['index.html', 'embed.html', 'script.js', 'style.css', 'tara.png'];
+const PUBLIC_DIRS = ['src'];
+
+const MIME_TYPES = {
+    '.html': 'text/html; charset=utf-8',
+    '.js': 'text/javascript; charset=utf-8',
+    '.mjs': 'text/javascript; charset=utf-8',
+    '.css': 'text/css; charset=utf-8',
+    '.json': 'application/json',
+    '.png': 'image/png',
+    '.jpg': 'image/jpeg',
+    '.jpeg': 'image/jpeg',
+    '.svg': 'image/svg+xml',
+    '.webm': 'video/webm',
+    '.mp4': 'video/mp4'
+};
+
+function parseArgs(argv) {
+    const options = { port: 8765, host: '127.0.0.1', origins: [] };
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        if (arg === '--port') options.port = parseInt(argv[++i], 10);
+        else if (arg === '--host') options.host = argv[++i];
+        else if (arg === '--lan') options.host = '0.0.0.0';
+        else if (arg === '--allow-origin') options.origins.push(parseOrigin(argv[++i]));
+        else if (arg === '--help' || arg === '-h') options.help = true;
+        else throw new Error(`Unknown option ${arg}`);
+    }
+    if (!(options.port > 0 && options.port < 65536)) throw new Error('--port needs a number from 1 to 65535');
+    return options;
+}
+
+function parseOrigin(value) {
+    let url;
+    try {
+        url = new URL(value);
+    } catch {
+        url = null;
+    }
+    if (!url || url.origin === 'null') {
+        throw new Error(`--allow-origin needs an origin such as http://host:8080, not ${value}`);
+    }
+    return url.origin;
+}
+
+function isPublic(file) {
+    const parts = path.relative(ROOT, file).split(path.sep);
+    return parts.length === 1 ? PUBLIC_FILES.includes(parts[0]) : PUBLIC_DIRS.includes(parts[0]);
+}
+
+// --- Static Files ---
+function serveFile(req, res) {
+    let pathname;
+    try {
+        pathname = decodeURIComponent(new URL(req.url, 'http://localhost').pathname);
+    } catch {
+        res.writeHead(400).end('Bad request');
+        return;
+    }
+    let file = path.join(ROOT, pathname);
+    if (!file.startsWith(ROOT + path.sep) && file !== ROOT) {
+        res.writeHead(403).end('Forbidden');
+        return;
+    }
+    if (pathname.endsWith('/')) file = path.join(file, 'index.html');
+    if (!isPublic(file)) {
+        res.writeHead(404).end('Not found');
+        return;
+    }
+
+    fs.stat(file, (err, stat) => {
+        if (err || !stat.isFile()) {
+            res.writeHead(404).end('Not found');
+            return;
+        }
+        res.writeHead(200, {
+            'Content-Type': MIME_TYPES[path.extname(file).toLowerCase()] || 'application/octet-stream',
+            'Content-Length': stat.size,
+            'Cache-Control': 'no-cache'
+        });
+        if (req.method === 'HEAD') res.end();
+        else fs.createReadStream(file).pipe(res);
+    });
+}
+
+// --- WebSocket (RFC 6455, text messages only) ---
+class Client {
+    // `head`: bytes the client sent right after the handshake
+    constructor(socket, head, onMessage, onClose) {
+        this.socket = socket;
+        this.onMessage = onMessage;
+        this.onClose = onClose;
+        this.buffer = Buffer.from(head);
+        this.fragments = [];
+        this.alive = true;
+        this.closed = false;
+
+        socket.on('data', (chunk) => {
+            this.buffer = Buffer.concat([this.buffer, chunk]);
+            this.consume();
+        });
+        socket.on('close', () => this.finish());
+        socket.on('error', () => this.finish());
+    }
+
+    // Handle the complete frames received so far; a protocol error drops the
+    // client. Called first once the client is registered, for the frames
+    // that came with the handshake.
+    consume() {
+        try {
+            this.parse();
+        } catch (err) {
+            console.warn(`Dropping client: ${err.message}`);
+            this.close(1002);
+        }
+    }
+
+    parse() {
+        while (this.buffer.length >= 2) {
+            const fin = (this.buffer[0] & 0x80) !== 0;
+            const opcode = this.buffer[0] & 0x0f;
+            const masked = (this.buffer[1] & 0x80) !== 0;
+            let length = this.buffer[1] & 0x7f;
+            let offset = 2;
+
+            if (length === 126) {
+                if (this.buffer.length < 4) return;
+                length = this.buffer.readUInt16BE(2);
+                offset = 4;
+            } else if (length === 127) {
+                if (this.buffer.length < 10) return;
+                const big = this.buffer.readBigUInt64BE(2);
+                if (big > BigInt(MAX_MESSAGE)) throw new Error('Message too large');
+                length = Number(big);
+                offset = 10;
+            }
+            if (!masked) throw new Error('Client frames must be masked');
+            if (length > MAX_MESSAGE) throw new Error('Message too large');
+            if (this.buffer.length < offset + 4 + length) return;
+
+            const mask = this.buffer.subarray(offset, offset + 4);
+            const payload = Buffer.from(this.buffer.subarray(offset + 4, offset + 4 + length));
+            for (let i = 0; i < payload.length; i++) payload[i] ^= mask[i & 3];
+            this.buffer = this.buffer.subarray(offset + 4 + length);
+
+            this.frame(fin, opcode, payload);
+        }
+    }
+
+    frame(fin, opcode, payload) {
+        switch (opcode) {
+            case 0x0: // Continuation
+            case 0x1: // Text
+            case 0x2: { // Binary (relayed as text; clients only send JSON)
+                // A new message may not start inside a fragmented one (RFC 6455 5.4)
+                if ((opcode === 0x0) !== (this.fragments.length > 0)) {
+                    throw new Error(opcode === 0x0
+                        ? 'Continuation without a message'
+                        : 'New message inside a fragmented one');
+                }
+                this.fragments.push(payload);
+                const size = this.fragments.reduce((sum, part) => sum + part.length, 0);
+                if (size > MAX_MESSAGE) throw new Error('Message too large');
+                if (fin) {
+                    const message = Buffer.concat(this.fragments).toString('utf8');
+                    this.fragments = [];
+                    this.onMessage(this, message);
+                }
+                break;
+            }
+            case 0x8: // Close
+                this.close(1000);
+                break;
+            case 0x9: // Ping
+                this.write(0xa, payload);
+                break;
+            case 0xa: // Pong
+                this.alive = true;
+                break;
+            default:
+                throw new Error(`Unknown opcode ${opcode}`);
+        }
+    }
+
+    write(opcode, payload) {
+        if (this.closed) return;
+        const length = payload.length;
+        let header;
+        if (length < 126) {
+            header = Buffer.from([0x80 | opcode, length]);
+        } else if (length < 65536) {
+            header = Buffer.alloc(4);
+            header[0] = 0x80 | opcode;
+            header[1] = 126;
+            header.writeUInt16BE(length, 2);
+        } else {
+            header = Buffer.alloc(10);
+            header[0] = 0x80 | opcode;
+            header[1] = 127;
+            header.writeBigUInt64BE(BigInt(length), 2);
+        }
+        this.socket.write(Buffer.concat([header, payload]));
+    }
+
+    send(text) {
+        this.write(0x1, Buffer.from(text, 'utf8'));
+    }
+
+    ping() {
+        if (!this.alive) {
+            this.socket.destroy();
+            return;
+        }
+        this.alive = false;
+        this.write(0x9, Buffer.alloc(0));
+    }
+
+    close(code) {
+        if (this.closed) return;
+        const payload = Buffer.alloc(2);
+        payload.writeUInt16BE(code, 0);
+        this.write(0x8, payload);
+        this.closed = true;
+        this.socket.end();
+    }
+
+    finish() {
+        if (this.finished) return;
+        this.finished = true;
+        this.closed = true;
+        this.onClose(this);
+    }
+}
+
+// The addresses a server bound to `host` answers on
+function listenAddresses(host) {
+    if (host !== '0.0.0.0' && host !== '::') return [host];
+    return Object.values(os.networkInterfaces()).flat()
+        .filter((a) => a && (a.family === 'IPv4' || host === '::'))
+        .map((a) => a.address);
+}
+
+// IPv6 addresses go in brackets in URLs
+function hostOf(address) {
+    return address.includes(':') ? `[${address}]` : address;
+}
+
+function originOf(address, port) {
+    return `http://${hostOf(address)}:${port}`;
+}
+
+function main() {
+    let options;
+    try {
+        options = parseArgs(process.argv.slice(2));
+    } catch (err) {
+        console.error(err.message);
+        process.exit(1);
+    }
+    if (options.help) {
+        console.log('Usage: node tools/remote-relay.mjs [--port 8765] [--lan | --host <address>] '
+            + '[--allow-origin <origin>]...');
+        return;
+    }
+
+    const clients = new Set();
+    const server = http.createServer(serveFile);
+    const addresses = listenAddresses(options.host);
+    // Pages the relay serves itself, under any of its addresses, and the extra ones.
+    // Checked against the address list rather than the Host header, which a
+    // page on another domain can point at this machine (DNS rebinding).
+    const origins = new Set([
+        ...['localhost', ...addresses].map((address) => originOf(address, options.port)),
+        ...options.origins
+    ]);
+
+    server.on('upgrade', (req, socket, head) => {
+        const key = req.headers['sec-websocket-key'];
+        if ((req.headers.upgrade || '').toLowerCase() !== 'websocket' || !key) {
+            socket.end('HTTP/1.1 400 Bad Request\r\n\r\n');
+            return;
+        }
+        const origin = req.headers.origin;
+        if (origin !== undefined && !origins.has(origin)) {
+            console.warn(`Refused client ${req.socket.remoteAddress} from ${origin} (see --allow-origin)`);
+            socket.end('HTTP/1.1 403 Forbidden\r\n\r\n');
+            return;
+        }
+        const accept = crypto.createHash('sha1').update(key + WS_GUID).digest('base64');
+        socket.write([
+            'HTTP/1.1 101 Switching Protocols',
+            'Upgrade: websocket',
+            'Connection: Upgrade',
+            `Sec-WebSocket-Accept: ${accept}`,
+            '', ''
+        ].join('\r\n'));
+        socket.setNoDelay(true);
+
+        const client = new Client(socket, head, (from, message) => {
+            clients.forEach((other) => { if (other !== from) other.send(message); });
+        }, (gone) => {
+            clients.delete(gone);
+            console.log(`- client (${clients.size} connected)`);
+        });
+        clients.add(client);
+        console.log(`+ client ${req.socket.remoteAddress} (${clients.size} connected)`);
+        client.consume();
+    });
+
+    const heartbeat = setInterval(() => clients.forEach((client) => client.ping()), PING_INTERVAL);
+    server.on('close', () => clearInterval(heartbeat));
+
+    server.on('error', (err) => {
+        console.error(`Relay failed: ${err.message}`);
+        process.exit(1);
+    });
+    server.listen(options.port, options.host, () => {
+        console.log(`Tara Aura relay on port ${options.port}`);
+        addresses.forEach((address) => {
+            const host = hostOf(address);
+            console.log(`  http://${host}:${options.port}/?remote=ws://${host}:${options.port}`);
+        });
+    });
+
+    const shutdown = () => {
+        clients.forEach((client) => client.close(1001));
+        server.close();
+        setTimeout(() => process.exit(0), 200).unref();
+    };
+    process.on('SIGINT', shutdown);
+    process.on('SIGTERM', shutdown);
+}
+
+main();
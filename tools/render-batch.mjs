@@ -0,0 +1,293 @@
+#!/usr/bin/env node
+// --- Headless Batch Renderer ---
+// Renders an aura still (or a frame range) for every image in a folder,
+// with the same shaders, layer stack, timeline and post-processing as the
+// app: an AuraEngine on a headless GL context (see src/aura-engine.js).
+// Runs on machines without a GPU through the `gl` package (headless-gl),
+// which renders in software where no GPU driver is available.
+//
+// Its packages are declared in the repository's package.json (`gl` and
+// `jpeg-js` as optional: `gl` builds natively, and JPEG input is optional):
+//
+//   npm install
+//
+// plus `ffmpeg` on the PATH for WebM output. Without a display, run it under
+// xvfb-run if `gl` cannot open a context. headless-gl is WebGL 1: the engine's
+// float targets use whichever float type the context can render to (see
+// floatTargetType), and nothing is multisampled.
+//
+//   node tools/render-batch.mjs <input folder or image> --out <folder> [options]
+//
+//   --preset FILE        Preset JSON exported from the app (default preset otherwise)
+//   --size WxH           Output size in pixels (default 1920x1080)
+//   --time T[,T...]      Stills at these times in seconds (default 35)
+//   --frames FROM:TO@FPS A frame range instead of stills, e.g. 0:70@30
+//   --format png|webm    PNG files, or one WebM per image via ffmpeg (frames only)
+//   --mask MODE          Alpha mask mode (auto, none, colorKey, luminance, floodFill)
+//
+// Stills are written as <name>_t<time>.png, PNG frames as
+// <name>/frame_00000.png (like the app's ZIP export), WebM as <name>.webm.
+
+import fs from 'node:fs';
+import path from 'node:path';
+import { spawn } from 'node:child_process';
+import { fileURLToPath } from 'node:url';
+import { decodePNG, encodePNG, isPNG } from './png.mjs';
+
+const IMAGE_EXTENSIONS = ['.png', '.jpg', '.jpeg'];
+
+function usage() {
+    console.log('Usage: node tools/render-batch.mjs <input> --out <folder> [--preset FILE] [--size WxH]');
+    console.log('       [--time T,T... | --frames FROM:TO@FPS] [--format png|webm] [--mask MODE]');
+}
+
+function fail(message) {
+    console.error(message);
+    process.exit(1);
+}
+
+// Exported for the tests (test/render-batch.test.mjs)
+export function parseArgs(argv) {
+    const options = { size: '1920x1080', time: '35', format: 'png' };
+    const positional = [];
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        if (arg === '--help' || arg === '-h') options.help = true;
+        else if (arg.startsWith('--')) {
+            const value = argv[++i];
+            if (value === undefined) throw new Error(`${arg} needs a value`);
+            options[arg.slice(2)] = value;
+        } else positional.push(arg);
+    }
+    if (options.help) return options;
+    if (positional.length !== 1) throw new Error('Give exactly one input folder or image');
+    if (!options.out) throw new Error('--out is required');
+
+    const size = /^(\d+)x(\d+)$/.exec(options.size);
+    if (!size) throw new Error('--size must look like 1920x1080');
+    options.width = parseInt(size[1], 10);
+    options.height = parseInt(size[2], 10);
+
+    if (options.frames) {
+        const range = /^([\d.]+):([\d.]+)@(\d+)$/.exec(options.frames);
+        if (!range) throw new Error('--frames must look like 0:70@30');
+        const [from, to, fps] = [parseFloat(range[1]), parseFloat(range[2]), parseInt(range[3], 10)];
+        if (!(to > from && fps > 0)) throw new Error('--frames needs TO > FROM and FPS > 0');
+        const count = Math.round((to - from) * fps);
+        options.times = Array.from({ length: count }, (_, i) => from + i / fps);
+        options.fps = fps;
+    } else {
+        options.times = options.time.split(',').map(Number);
+        if (options.times.some((t) => !Number.isFinite(t) || t < 0)) throw new Error('--time needs seconds');
+        if (options.format === 'webm') throw new Error('--format webm needs --frames');
+    }
+    if (!['png', 'webm'].includes(options.format)) throw new Error('--format must be png or webm');
+    options.input = positional[0];
+    return options;
+}
+
+// Optional dependencies with a readable error
+async function requireModule(name, why) {
+    try {
+        return await import(name);
+    } catch (err) {
+        fail(`${why} needs the "${name}" package (npm install, see package.json)\n(${err.message})`);
+    }
+}
+
+// The float type the engine's distance fields and HDR targets can use.
+// WebGL 1 has float textures only through extensions, and may not render to
+// them at all, so each candidate is tried on a small framebuffer. Runs on the
+// raw context before three.js caches any of its state.
+function floatTargetType(gl, THREE) {
+    if (/^WebGL 2/.test(gl.getParameter(gl.VERSION))) return THREE.HalfFloatType;
+    const candidates = [
+        { type: THREE.HalfFloatType, extension: 'OES_texture_half_float', glType: (ext) => ext.HALF_FLOAT_OES },
+        { type: THREE.FloatType, extension: 'OES_texture_float', glType: () => gl.FLOAT }
+    ];
+    for (const { type, extension, glType } of candidates) {
+        const ext = gl.getExtension(extension);
+        // The fields are sampled with linear filtering
+        if (ext && gl.getExtension(`${extension}_linear`) && canRenderTo(gl, glType(ext))) return type;
+    }
+    return null;
+}
+
+function canRenderTo(gl, glType) {
+    const texture = gl.createTexture();
+    gl.bindTexture(gl.TEXTURE_2D, texture);
+    gl.texImage2D(gl.TEXTURE_2D, 0, gl.RGBA, 4, 4, 0, gl.RGBA, glType, null);
+    const framebuffer = gl.createFramebuffer();
+    gl.bindFramebuffer(gl.FRAMEBUFFER, framebuffer);
+    gl.framebufferTexture2D(gl.FRAMEBUFFER, gl.COLOR_ATTACHMENT0, gl.TEXTURE_2D, texture, 0);
+    const complete = gl.checkFramebufferStatus(gl.FRAMEBUFFER) === gl.FRAMEBUFFER_COMPLETE;
+    gl.bindFramebuffer(gl.FRAMEBUFFER, null);
+    gl.bindTexture(gl.TEXTURE_2D, null);
+    gl.deleteFramebuffer(framebuffer);
+    gl.deleteTexture(texture);
+    return complete;
+}
+
+function listImages(input) {
+    const stat = fs.statSync(input);
+    if (stat.isFile()) return [input];
+    return fs.readdirSync(input)
+        .filter((name) => IMAGE_EXTENSIONS.includes(path.extname(name).toLowerCase()))
+        .sort()
+        .map((name) => path.join(input, name));
+}
+
+async function decodeImage(file) {
+    const buffer = fs.readFileSync(file);
+    if (isPNG(buffer)) return decodePNG(buffer);
+    const jpeg = await requireModule('jpeg-js', 'JPEG input');
+    const decoded = (jpeg.default || jpeg).decode(buffer, { useTArray: true, formatAsRGBA: true });
+    return { data: decoded.data, width: decoded.width, height: decoded.height };
+}
+
+// Raw RGBA frames piped into ffmpeg
+function createWebmWriter(file, { width, height, fps }) {
+    const ffmpeg = spawn('ffmpeg', [
+        '-loglevel', 'error', '-y',
+        '-f', 'rawvideo', '-pix_fmt', 'rgba', '-s', `${width}x${height}`, '-r', String(fps), '-i', '-',
+        '-c:v', 'libvpx-vp9', '-pix_fmt', 'yuv420p', '-b:v', String(Math.round(width * height * fps * 0.2)),
+        file
+    ], { stdio: ['pipe', 'inherit', 'inherit'] });
+    const done = new Promise((resolve, reject) => {
+        ffmpeg.on('error', (err) => reject(err.code === 'ENOENT'
+            ? new Error('WebM output needs ffmpeg on the PATH')
+            : err));
+        ffmpeg.on('close', (code) => (code === 0 ? resolve() : reject(new Error(`ffmpeg exited with ${code}`))));
+    });
+    return {
+        async write(pixels) {
+            // Copied: the caller reuses its buffer for the next frame
+            if (!ffmpeg.stdin.write(Buffer.from(pixels))) {
+                await new Promise((resolve) => ffmpeg.stdin.once('drain', resolve));
+            }
+        },
+        finish() {
+            ffmpeg.stdin.end();
+            return done;
+        }
+    };
+}
+
+async function main() {
+    let options;
+    try {
+        options = parseArgs(process.argv.slice(2));
+    } catch (err) {
+        usage();
+        fail(err.message);
+    }
+    if (options.help) {
+        usage();
+        return;
+    }
+
+    const files = listImages(options.input);
+    if (!files.length) fail(`No images (${IMAGE_EXTENSIONS.join(', ')}) in ${options.input}`);
+    fs.mkdirSync(options.out, { recursive: true });
+
+    const { width, height } = options;
+    const { default: createGL } = await requireModule('gl', 'Headless rendering');
+    const THREE = await requireModule('three', 'Rendering');
+    // After three resolved: these modules import it themselves
+    const { AuraEngine } = await import('../src/aura-engine.js');
+    const { createDefaultPreset, presetFromJSON } = await import('../src/presets.js');
+    const { MASK_MODES } = await import('../src/alpha-mask.js');
+    const { unpremultiply } = await import('../src/framing.js');
+
+    const gl = createGL(width, height, { preserveDrawingBuffer: true, antialias: false });
+    if (!gl) fail('Could not create a headless GL context (try running under xvfb-run)');
+    const targetType = floatTargetType(gl, THREE);
+    if (targetType === null) {
+        fail('This GL context cannot render to float textures (it needs OES_texture_half_float or '
+            + 'OES_texture_float, with linear filtering), which the distance fields and bloom use');
+    }
+    // The renderer only needs a canvas-like object around the context
+    const canvas = {
+        width,
+        height,
+        style: {},
+        addEventListener() {},
+        removeEventListener() {},
+        getContext: () => gl
+    };
+    const renderer = new THREE.WebGLRenderer({ canvas, context: gl });
+    const engine = new AuraEngine(null, { renderer, width, height, targetType });
+
+    try {
+        const preset = options.preset
+            ? presetFromJSON(fs.readFileSync(options.preset, 'utf8'))
+            : createDefaultPreset();
+        engine.applyPreset(preset);
+    } catch (err) {
+        fail(`Could not read the preset ${options.preset}: ${err.message}`);
+    }
+    if (options.mask) {
+        if (!(options.mask in MASK_MODES)) fail(`--mask must be one of ${Object.keys(MASK_MODES).join(', ')}`);
+        engine.maskSettings.mode = options.mask;
+    }
+
+    const target = new THREE.WebGLRenderTarget(width, height);
+    const camera = engine.createCamera(width / height);
+    const pixels = new Uint8Array(width * height * 4);
+    const frame = new Uint8Array(width * height * 4);
+    const rowBytes = width * 4;
+
+    // Render time t and return the pixels top row first (WebGL rows are bottom-up)
+    const renderAt = (t) => {
+        engine.currentTime = t;
+        engine.update(t);
+        engine.render(camera, width, height, target);
+        renderer.readRenderTargetPixels(target, 0, 0, width, height, pixels);
+        for (let y = 0; y < height; y++) {
+            const src = (height - 1 - y) * rowBytes;
+            frame.set(pixels.subarray(src, src + rowBytes), y * rowBytes);
+        }
+        unpremultiply(frame); // Transparent backgrounds
+        return frame;
+    };
+
+    let failed = 0;
+    for (const [index, file] of files.entries()) {
+        const name = path.basename(file, path.extname(file));
+        console.log(`[${index + 1}/${files.length}] ${file}`);
+        try {
+            engine.setImage(await decodeImage(file));
+            engine.fitCamera(camera, width / height);
+
+            if (!options.frames) {
+                for (const t of options.times) {
+                    const out = path.join(options.out, `${name}_t${t.toFixed(1)}.png`);
+                    fs.writeFileSync(out, encodePNG({ data: renderAt(t), width, height }));
+                }
+            } else if (options.format === 'png') {
+                const dir = path.join(options.out, name);
+                fs.mkdirSync(dir, { recursive: true });
+                options.times.forEach((t, i) => {
+                    const out = path.join(dir, `frame_${String(i).padStart(5, '0')}.png`);
+                    fs.writeFileSync(out, encodePNG({ data: renderAt(t), width, height }));
+                });
+            } else {
+                const writer = createWebmWriter(path.join(options.out, `${name}.webm`), options);
+                for (const t of options.times) await writer.write(renderAt(t));
+                await writer.finish();
+            }
+        } catch (err) {
+            failed++;
+            console.warn(`  failed: ${err.message}`);
+        }
+    }
+
+    target.dispose();
+    engine.dispose();
+    renderer.dispose();
+    console.log(`Done: ${files.length - failed} rendered, ${failed} failed`);
+    if (failed) process.exitCode = 1;
+}
+
+// Not when imported by the tests
+if (process.argv[1] && path.resolve(process.argv[1]) === fileURLToPath(import.meta.url)) main();